@@ -143,6 +143,9 @@ import SDWebImage
 				name: NSNotification.Name("OpenChatFromNotification"),
 				object: chatId
 			)
+		} else {
+			// Other pushes carry a deep link (post, profile or notifications)
+			DeepLinkManager.shared.handleNotificationPayload(userInfo)
 		}
 		
 		completionHandler()
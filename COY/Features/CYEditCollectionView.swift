@@ -605,7 +605,7 @@ struct CYEditCollectionView: View {
 	
 	// Handle sending new invites and removing uninvited users
 	private func handleInvites() async {
-		guard let currentUserId = Auth.auth().currentUser?.uid else { return }
+		guard Auth.auth().currentUser != nil else { return }
 		
 		// Get the original invited users from the collection
 		let originalInvitedUsers = Set(collection.invitedUsers)
@@ -617,57 +617,14 @@ struct CYEditCollectionView: View {
 		// Find users to uninvite (in originalInvitedUsers but not in newInvitedUsers)
 		let usersToUninvite = originalInvitedUsers.subtracting(newInvitedUsers)
 		
-		// Get owner info for notifications
-		guard let owner = try? await UserService.shared.getUser(userId: currentUserId) else {
-			print("⚠️ CYEditCollectionView: Could not load owner info for invites")
-			return
-		}
-		
-		// Send invites to newly invited users
-		for userId in usersToInvite {
-			do {
-				try await NotificationService.shared.sendCollectionInviteNotification(
-					collectionId: collection.id,
-					collectionName: collection.name,
-					inviterId: currentUserId,
-					inviterUsername: owner.username,
-					inviterProfileImageURL: owner.profileImageURL,
-					invitedUserId: userId
-				)
-				print("✅ CYEditCollectionView: Sent invite to user \(userId)")
-			} catch {
-				print("❌ CYEditCollectionView: Failed to send invite to user \(userId): \(error)")
-			}
-		}
-		
-		// Remove invites for uninvited users (delete notifications)
-		if !usersToUninvite.isEmpty {
-			do {
-				let db = Firestore.firestore()
-				// Notifications are stored in each user's notifications subcollection
-				for userId in usersToUninvite {
-					let notificationsSnapshot = try await db.collection("users")
-						.document(userId)
-						.collection("notifications")
-						.whereField("type", isEqualTo: "collection_invite")
-						.whereField("collectionId", isEqualTo: collection.id)
-						.whereField("userId", isEqualTo: currentUserId)
-						.getDocuments()
-					
-					for doc in notificationsSnapshot.documents {
-						try await doc.reference.delete()
-						print("✅ CYEditCollectionView: Removed invite notification for user \(userId)")
-					}
-				}
-			} catch {
-				print("❌ CYEditCollectionView: Failed to remove invite notifications: \(error)")
-			}
-		}
+		// Invite notifications are created for newly invited users, and removed for
+		// uninvited ones, by the onCollectionMembershipNotify Cloud Function
 		
 		// Update collection's invitedUsers field
 		if !usersToInvite.isEmpty || !usersToUninvite.isEmpty {
 			do {
 				let db = Firestore.firestore()
+				// The function sends each invite from whoever made this update
 				try await db.collection("collections").document(collection.id).updateData([
 					"invitedUsers": Array(newInvitedUsers)
 				])
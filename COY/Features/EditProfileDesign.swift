@@ -462,7 +462,7 @@ struct EditProfileDesign: View {
 		}
 		
 		let nameToSave = self.name.trimmingCharacters(in: .whitespacesAndNewlines)
-		let usernameToSave = self.username.trimmingCharacters(in: .whitespacesAndNewlines).lowercased()
+		let usernameToSave = self.username.trimmingCharacters(in: .whitespacesAndNewlines)
 		let profileImageToSave = self.profileImage
 		let backgroundImageToSave = self.backgroundImage
 		
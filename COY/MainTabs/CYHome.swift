@@ -318,6 +318,10 @@ struct CYHome: View {
 							.fullScreenCover(isPresented: $showNotifications) {
 								NotificationsView(isPresented: $showNotifications)
 							}
+							.onReceive(NotificationCenter.default.publisher(for: NSNotification.Name("OpenNotifications"))) { _ in
+								// From a tapped push notification (DeepLinkManager)
+								showNotifications = true
+							}
 							.onChange(of: showNotifications) { oldValue, newValue in
 								// When notifications view is dismissed, refresh the count
 								if oldValue == true && newValue == false {
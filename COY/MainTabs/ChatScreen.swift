@@ -49,6 +49,7 @@ struct ChatScreen: View {
 	@State private var showSearchMessages = false
 	@State private var replyToMessage: MessageModel?
 	@State private var showClearChatConfirmation = false
+	@State private var isChatMuted = false
 	@State private var isUploadingMedia = false
 	@State private var uploadProgress: Double = 0.0
 	@State private var isLoadingOlderMessages = false
@@ -159,6 +160,23 @@ struct ChatScreen: View {
 					
 					Divider()
 					
+					if isChatMuted {
+						Button(action: {
+							unmuteChat()
+						}) {
+							Label("Unmute notifications", systemImage: "bell")
+						}
+					} else {
+						Menu {
+							Button("For 1 hour") { muteChat(for: 60 * 60) }
+							Button("For 8 hours") { muteChat(for: 8 * 60 * 60) }
+							Button("For 1 week") { muteChat(for: 7 * 24 * 60 * 60) }
+							Button("Until I turn it back on") { muteChat(for: nil) }
+						} label: {
+							Label("Mute notifications", systemImage: "bell.slash")
+						}
+					}
+					
 					Button(action: {
 						showClearChatConfirmation = true
 					}) {
@@ -231,6 +249,7 @@ struct ChatScreen: View {
 			loadChatRoom()
 			loadMessages()
 			markAsRead()
+			loadMuteState()
 			// Check friendship status immediately and aggressively
 			checkFriendshipStatus()
 			// Also check again after a short delay to ensure it's updated
@@ -1000,6 +1019,46 @@ struct ChatScreen: View {
 		}
 	}
 	
+	private func loadMuteState() {
+		Task {
+			do {
+				let muted = try await chatService.isChatMuted(chatId: chatId)
+				await MainActor.run {
+					isChatMuted = muted
+				}
+			} catch {
+				print("Error loading mute state: \(error)")
+			}
+		}
+	}
+	
+	// duration nil mutes until the user unmutes
+	private func muteChat(for duration: TimeInterval?) {
+		Task {
+			do {
+				try await chatService.muteChat(chatId: chatId, until: duration.map { Date().addingTimeInterval($0) })
+				await MainActor.run {
+					isChatMuted = true
+				}
+			} catch {
+				print("Error muting chat: \(error)")
+			}
+		}
+	}
+	
+	private func unmuteChat() {
+		Task {
+			do {
+				try await chatService.unmuteChat(chatId: chatId)
+				await MainActor.run {
+					isChatMuted = false
+				}
+			} catch {
+				print("Error unmuting chat: \(error)")
+			}
+		}
+	}
+	
 	private func blockUser() {
 		Task {
 			do {
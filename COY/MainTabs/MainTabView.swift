@@ -8,6 +8,7 @@ struct MainTabView: View {
 	@State private var lastSelectedTab = -1
 	@StateObject private var deepLinkManager = DeepLinkManager.shared
 	@State private var selectedProfileUserId: String?
+	@State private var selectedPostId: String?
 	@State private var totalUnreadCount = 0
 	@State private var friendRequestCount = 0
 	@State private var navigateToBuildCollection = false
@@ -96,6 +97,29 @@ struct MainTabView: View {
 					.environmentObject(authService)
 			}
 		}
+		.navigationDestination(isPresented: Binding(
+			get: { selectedPostId != nil },
+			set: { if !$0 { selectedPostId = nil } }
+		)) {
+			if let postId = selectedPostId {
+				PostDetailFromNotificationView(
+					postId: postId,
+					showStarArea: false,
+					showComments: false
+				)
+				.environmentObject(authService)
+			}
+		}
+		.onReceive(NotificationCenter.default.publisher(for: NSNotification.Name("NavigateToPost"))) { notification in
+			// From a tapped push notification (DeepLinkManager)
+			if let postId = notification.object as? String {
+				selectedPostId = postId
+			}
+		}
+		.onReceive(NotificationCenter.default.publisher(for: NSNotification.Name("OpenNotifications"))) { _ in
+			// Notifications are opened from the Home tab's bell
+			selectedTab = 0
+		}
 		.onReceive(NotificationCenter.default.publisher(for: NSNotification.Name("NavigateToUserProfile"))) { notification in
 			if let userId = notification.object as? String {
 				#if DEBUG
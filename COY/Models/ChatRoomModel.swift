@@ -10,6 +10,11 @@ struct ChatRoomModel: Identifiable, Codable {
 	var lastMessageType: String // "text", "image", "video", "live_photo"
 	var unreadCount: [String: Int] // [uid: count]
 	var chatStatus: [String: String] // [uid: "friends" | "unadded" | "pending"] - tracks friendship status per user
+	// Group chats (created through the createGroupChat Cloud Function)
+	var isGroup: Bool = false
+	var groupName: String = ""
+	var groupImageURL: String = ""
+	var admins: [String] = []
 	
 	init(chatId: String, participants: [String], lastMessageTs: Date = Date(), lastMessage: String = "", lastMessageType: String = "text", unreadCount: [String: Int] = [:], chatStatus: [String: String] = [:]) {
 		self.chatId = chatId
@@ -43,9 +48,14 @@ struct ChatRoomModel: Identifiable, Codable {
 		if let statusDict = data["chatStatus"] as? [String: String] {
 			self.chatStatus = statusDict
 		} else {
-			// Default to "friends" for both participants if not set (backward compatibility)
-			self.chatStatus = [participants[0]: "friends", participants[1]: "friends"]
+			// Default to "friends" for all participants if not set (backward compatibility)
+			self.chatStatus = Dictionary(uniqueKeysWithValues: participants.map { ($0, "friends") })
 		}
+		
+		self.isGroup = data["isGroup"] as? Bool ?? false
+		self.groupName = data["groupName"] as? String ?? ""
+		self.groupImageURL = data["groupImageURL"] as? String ?? ""
+		self.admins = data["admins"] as? [String] ?? []
 	}
 	
 	init?(queryDocument: QueryDocumentSnapshot) {
@@ -70,9 +80,14 @@ struct ChatRoomModel: Identifiable, Codable {
 		if let statusDict = data["chatStatus"] as? [String: String] {
 			self.chatStatus = statusDict
 		} else {
-			// Default to "friends" for both participants if not set (backward compatibility)
-			self.chatStatus = [participants[0]: "friends", participants[1]: "friends"]
+			// Default to "friends" for all participants if not set (backward compatibility)
+			self.chatStatus = Dictionary(uniqueKeysWithValues: participants.map { ($0, "friends") })
 		}
+		
+		self.isGroup = data["isGroup"] as? Bool ?? false
+		self.groupName = data["groupName"] as? String ?? ""
+		self.groupImageURL = data["groupImageURL"] as? String ?? ""
+		self.admins = data["admins"] as? [String] ?? []
 	}
 	
 	func toFirestoreData() -> [String: Any] {
@@ -3,6 +3,7 @@ import FirebaseAuth
 import FirebaseFirestore
 import FirebaseStorage
 import FirebaseCore
+import FirebaseFunctions
 import Combine
 
 @MainActor
@@ -261,7 +262,6 @@ class AuthService: ObservableObject {
 					"uid": user.uid,
 					"email": email,
 					"name": name,
-					"username": username,
 					"birthday": birthday,
 					"createdAt": Timestamp(date: Date()),
 					"profileImageURL": "",
@@ -271,6 +271,8 @@ class AuthService: ObservableObject {
 				_ = try await Task.detached {
 					try await db.collection("users").document(user.uid).setData(userData)
 				}.value
+				// Only the server can set usernames, so it can check they're unique
+				_ = try await Functions.functions().httpsCallable("claimUsername").call(["username": username])
 			} else {
 				#if DEBUG
 				print("⚠️ Firestore not available - user document not created in Firestore")
@@ -365,16 +367,18 @@ class AuthService: ObservableObject {
 			let userData: [String: Any] = [
 				"phoneNumber": phoneNumber,
 				"name": name,
-				"username": username,
 				"birthday": birthday,
 				"createdAt": Timestamp(date: Date()),
 				"profileImageURL": "",
 				"backgroundImageURL": ""
 			]
 			
+			// Merge so a username the user already claimed is kept
 			_ = try await Task.detached {
-				try await db.collection("users").document(currentUser.uid).setData(userData)
+				try await db.collection("users").document(currentUser.uid).setData(userData, merge: true)
 			}.value
+			// Only the server can set usernames, so it can check they're unique
+			_ = try await Functions.functions().httpsCallable("claimUsername").call(["username": username])
 			isLoading = false
 			return true
 		} catch {
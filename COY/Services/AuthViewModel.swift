@@ -104,69 +104,23 @@ class AuthViewModel: ObservableObject {
 					self.errorMessage = ""
 				}
 			} else {
-				// It's a username, find the associated email first using Firestore
+				// It's a username - the server checks the password and returns a custom token,
+				// so the account's email never reaches the client
 				// Usernames are case-insensitive, so use lowercase and trim
 				let normalizedUsername = trimmedInput.lowercased().trimmingCharacters(in: .whitespacesAndNewlines)
 				print("🔐 Attempting login with username: '\(normalizedUsername)'")
 				
-				// Use Firestore to look up user email by username
+				let functions = Functions.functions()
+				let signInFunction = functions.httpsCallable("signInWithUsername")
+				
 				do {
-					print("🔍 Looking up user by username via Firestore: '\(normalizedUsername)'")
-					
-					// Query Firestore for user with matching username
-					let snapshot = try await db.collection("users")
-						.whereField("username", isEqualTo: normalizedUsername)
-						.limit(to: 1)
-						.getDocuments()
-					
-					guard let userDoc = snapshot.documents.first else {
-						print("❌ Username not found in Firestore: '\(normalizedUsername)'")
-						
-						// Try case-insensitive fallback search
-						print("🔍 Trying case-insensitive fallback search...")
-						let allUsersSnapshot = try await db.collection("users")
-							.limit(to: 100)
-							.getDocuments()
-						
-						var foundEmail: String? = nil
-						for doc in allUsersSnapshot.documents {
-							let data = doc.data()
-							if let storedUsername = data["username"] as? String,
-							   storedUsername.lowercased() == normalizedUsername,
-							   let userEmail = data["email"] as? String,
-							   !userEmail.isEmpty {
-								foundEmail = userEmail
-								break
-							}
-						}
-						
-						guard let email = foundEmail else {
-							print("❌ Username not found (case-insensitive search also failed): '\(normalizedUsername)'")
-							let errorMsg = "Incorrect username/email or password"
-							await MainActor.run {
-								self.errorMessage = errorMsg
-							}
-							throw AuthError.invalidCredentials(errorMsg)
-						}
-						
-						print("✅ Found user with username '\(normalizedUsername)' (case-insensitive): email = '\(email)'")
-						
-						// Sign in with the email associated with this username
-						print("🔐 Signing in with email: '\(email)'")
-						try await Auth.auth().signIn(withEmail: email, password: password)
-						print("✅ Login successful with username")
-						// Clear error message on success
-						await MainActor.run {
-							self.errorMessage = ""
-						}
-						return
-					}
+					let result = try await signInFunction.call([
+						"username": normalizedUsername,
+						"password": password
+					])
 					
-					// Get user data and email
-					let userData = userDoc.data()
-					guard let email = userData["email"] as? String,
-						  !email.isEmpty else {
-						print("❌ User found but email is missing: '\(normalizedUsername)'")
+					guard let data = result.data as? [String: Any],
+						  let token = data["token"] as? String else {
 						let errorMsg = "Incorrect username/email or password"
 						await MainActor.run {
 							self.errorMessage = errorMsg
@@ -174,32 +128,22 @@ class AuthViewModel: ObservableObject {
 						throw AuthError.invalidCredentials(errorMsg)
 					}
 					
-					print("✅ Found user with username '\(normalizedUsername)': email = '\(email)'")
-					
-					// Sign in with the email associated with this username
-					print("🔐 Signing in with email: '\(email)'")
-					try await Auth.auth().signIn(withEmail: email, password: password)
+					try await Auth.auth().signIn(withCustomToken: token)
 					print("✅ Login successful with username")
 					// Clear error message on success
 					await MainActor.run {
 						self.errorMessage = ""
 					}
-				} catch let lookupError {
-					// Check if it's a Firebase Auth error (wrong password, etc.)
-					if let nsError = lookupError as NSError? {
-						if nsError.domain == "FIRAuthErrorDomain" {
-							// Let the outer catch handle Firebase Auth errors
-							throw lookupError
-						}
+				} catch let signInError as NSError where signInError.domain == FunctionsErrorDomain {
+					// resource-exhausted = too many failed attempts; everything else is a generic failure
+					print("❌ Username sign-in failed: \(signInError.localizedDescription)")
+					let errorMsg = FunctionsErrorCode(rawValue: signInError.code) == .resourceExhausted ?
+						"Too many failed attempts. Please try again later." :
+						"Incorrect username/email or password"
+					await MainActor.run {
+						self.errorMessage = errorMsg
 					}
-						
-					// Network or other errors during lookup
-						print("❌ Error during username lookup: \(lookupError.localizedDescription)")
-						let errorMsg = "Incorrect username/email or password"
-						await MainActor.run {
-							self.errorMessage = errorMsg
-						}
-						throw AuthError.invalidCredentials(errorMsg)
+					throw AuthError.invalidCredentials(errorMsg)
 				}
 			}
 		} catch let authError {
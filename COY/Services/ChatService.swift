@@ -214,7 +214,7 @@ class ChatService {
 		}
 		
 		// OPTIMIZATION: Batch fetch blocked users to reduce individual reads
-		let otherParticipants = allChatRooms.compactMap { room in
+		let otherParticipants = allChatRooms.filter { !$0.isGroup }.compactMap { room in
 			room.participants.first { $0 != currentUid }
 		}
 		
@@ -229,6 +229,12 @@ class ChatService {
 		var filteredChatRooms: [ChatRoomModel] = []
 		
 		for chatRoom in allChatRooms {
+			// Group chats aren't tied to one other user's block status
+			if chatRoom.isGroup {
+				filteredChatRooms.append(chatRoom)
+				continue
+			}
+			
 			// Get the other participant
 			guard let otherParticipant = chatRoom.participants.first(where: { $0 != currentUid }) else {
 				continue
@@ -305,8 +311,7 @@ class ChatService {
 			throw ChatServiceError.chatRoomNotFound
 		}
 		
-		let otherParticipant = participants.first { $0 != currentUid } ?? participants[0]
-		
+		let otherParticipants = participants.filter { $0 != currentUid }
 		// Create message
 		// Mark as delivered and read by sender immediately (they sent it, so they've received and read it)
 		var messageData: [String: Any] = [
@@ -340,31 +345,21 @@ class ChatService {
 		} else {
 			lastMessage = "[\(type.capitalized)]"
 		}
-		batch.updateData([
+		var chatUpdate: [String: Any] = [
 			"lastMessageTs": Timestamp(date: Date()),
 			"lastMessage": lastMessage,
-			"lastMessageType": type,
-			"unreadCount.\(otherParticipant)": FieldValue.increment(Int64(1))
-		], forDocument: chatRef)
+			"lastMessageType": type
+		]
+		// Every other participant has one more unread message (one in a direct chat, all other members in a group)
+		for participant in otherParticipants {
+			chatUpdate["unreadCount.\(participant)"] = FieldValue.increment(Int64(1))
+		}
+		batch.updateData(chatUpdate, forDocument: chatRef)
 		
 		try await batch.commit()
 		
-		// Send push notification to receiver
-		Task {
-			// Get sender's user data for notification
-			let senderUser = try? await UserService.shared.getUser(userId: currentUid)
-			let senderName = senderUser?.username.isEmpty == false ? senderUser?.username ?? "" : senderUser?.name ?? "Someone"
-			
-			await MessageNotificationService.shared.sendMessageNotification(
-				chatId: chatId,
-				messageType: type,
-				messageContent: content,
-				senderUid: currentUid,
-				senderName: senderName,
-				senderProfileImageURL: senderUser?.profileImageURL,
-				receiverUid: otherParticipant
-			)
-		}
+		// Pushes to the other participants are sent by the onMessageCreated Cloud Function,
+		// which applies each receiver's mute, preview and language settings
 	}
 	
 	func getMessages(chatId: String, limit: Int = 50) -> AsyncThrowingStream<[MessageModel], Error> {
@@ -686,6 +681,98 @@ class ChatService {
 		])
 	}
 	
+	// MARK: - Group Chats
+	// Membership changes go through Cloud Functions (see functions/groupChats.js)
+	
+	func createGroupChat(name: String, imageURL: String?, memberIds: [String]) async throws -> String {
+		guard currentUid != nil else {
+			throw ChatServiceError.notAuthenticated
+		}
+		
+		let result = try await Functions.functions().httpsCallable("createGroupChat").call([
+			"name": name,
+			"imageURL": imageURL ?? "",
+			"memberIds": memberIds
+		])
+		guard let data = result.data as? [String: Any],
+			  let chatId = data["chatId"] as? String else {
+			throw ChatServiceError.chatRoomNotFound
+		}
+		return chatId
+	}
+	
+	func addGroupMembers(chatId: String, memberIds: [String]) async throws {
+		guard currentUid != nil else {
+			throw ChatServiceError.notAuthenticated
+		}
+		
+		_ = try await Functions.functions().httpsCallable("addGroupMembers").call([
+			"chatId": chatId,
+			"memberIds": memberIds
+		])
+	}
+	
+	func removeGroupMember(chatId: String, memberId: String) async throws {
+		guard currentUid != nil else {
+			throw ChatServiceError.notAuthenticated
+		}
+		
+		_ = try await Functions.functions().httpsCallable("removeGroupMember").call([
+			"chatId": chatId,
+			"memberId": memberId
+		])
+	}
+	
+	func leaveGroupChat(chatId: String) async throws {
+		guard currentUid != nil else {
+			throw ChatServiceError.notAuthenticated
+		}
+		
+		_ = try await Functions.functions().httpsCallable("leaveGroupChat").call([
+			"chatId": chatId
+		])
+	}
+	
+	// MARK: - Mute
+	
+	// Mutes are kept with the push settings, users/{uid}/settings/notifications,
+	// as mutedChats.{chatId}: a date to mute until, or true to mute until unmuted
+	private func notificationSettingsRef() throws -> DocumentReference {
+		guard let currentUid = currentUid else {
+			throw ChatServiceError.notAuthenticated
+		}
+		return db.collection("users")
+			.document(currentUid)
+			.collection("settings")
+			.document("notifications")
+	}
+	
+	func muteChat(chatId: String, until: Date?) async throws {
+		let mutedUntil: Any = until.map { Timestamp(date: $0) } ?? true
+		try await notificationSettingsRef().setData([
+			"mutedChats": [chatId: mutedUntil]
+		], merge: true)
+	}
+	
+	func unmuteChat(chatId: String) async throws {
+		try await notificationSettingsRef().setData([
+			"mutedChats": [chatId: FieldValue.delete()]
+		], merge: true)
+	}
+	
+	// Whether the chat is muted right now
+	func isChatMuted(chatId: String) async throws -> Bool {
+		let data = try await notificationSettingsRef().getDocument().data() ?? [:]
+		let mutedChats = data["mutedChats"] as? [String: Any] ?? [:]
+		if let forever = mutedChats[chatId] as? Bool {
+			return forever
+		}
+		if let until = mutedChats[chatId] as? Timestamp {
+			return until.dateValue() > Date()
+		}
+		return false
+	}
+	
 	// MARK: - Clear Chat (One-sided with shared deletion)
 	
 	func clearChatForMe(chatId: String) async throws {
@@ -734,12 +821,12 @@ class ChatService {
 			throw ChatServiceError.notAuthenticated
 		}
 		
-		// Get chat room to know both participants
+		// Get chat room to know its participants
 		let chatRef = db.collection("chat_rooms").document(chatId)
 		let chatDoc = try await chatRef.getDocument()
 		guard let chatData = chatDoc.data(),
 			  let participants = chatData["participants"] as? [String],
-			  participants.count == 2 else {
+			  participants.contains(currentUid) else {
 			throw ChatServiceError.chatRoomNotFound
 		}
 		
@@ -54,25 +54,7 @@ final class CollectionService {
 		)
 		let collectionId = docRef.documentID
 		
-		// Send invite notifications to all invited users
-		if !invitedUsers.isEmpty {
-			// Get owner info for notification
-			guard let owner = try await UserService.shared.getUser(userId: ownerId) else {
-				throw NSError(domain: "CollectionService", code: -1, userInfo: [NSLocalizedDescriptionKey: "Owner not found"])
-			}
-			
-			// Send notifications to all invited users
-			for invitedUserId in invitedUsers {
-				try await NotificationService.shared.sendCollectionInviteNotification(
-					collectionId: collectionId,
-					collectionName: name,
-					inviterId: ownerId,
-					inviterUsername: owner.username,
-					inviterProfileImageURL: owner.profileImageURL,
-					invitedUserId: invitedUserId
-				)
-			}
-		}
+		// Invite notifications for invitedUsers are created by the onCollectionMembershipNotify Cloud Function
 		
 		return collectionId
 	}
@@ -1864,20 +1846,13 @@ final class CollectionService {
 			throw NSError(domain: "CollectionService", code: 400, userInfo: [NSLocalizedDescriptionKey: "User is already a member"])
 		}
 		
-		// Get current user info before transaction
-		guard let currentUser = try await UserService.shared.getUser(userId: currentUserId) else {
-			throw NSError(domain: "CollectionService", code: -1, userInfo: [NSLocalizedDescriptionKey: "User not found"])
-		}
-		
-		// Use transaction to atomically add member and handle batch notifications
+		// Use transaction to atomically add member
+		// Join notifications to the owner/admins are created (and aggregated) by the
+		// onCollectionMembershipNotify Cloud Function
 		do {
 			// Run transaction with User-initiated QoS to avoid priority inversion
 			// Create Firestore references inside the detached task to ensure they're on the correct thread
-			let notificationData = try await Task.detached(priority: .userInitiated) {
-				var shouldSendNotification = false
-				var pendingJoinsToNotify: [[String: Any]] = []
-				var collectionNameForNotification = ""
-				
+			try await Task.detached(priority: .userInitiated) {
 				// Create Firestore references inside the detached task
 				let db = Firestore.firestore()
 				let collectionRef = db.collection("collections").document(collectionId)
@@ -1895,9 +1870,8 @@ final class CollectionService {
 						return nil
 					}
 					
-					// Get current members and pending joins
+					// Get current members
 					var members = collectionData["members"] as? [String] ?? []
-					var pendingJoins = collectionData["pendingJoins"] as? [[String: Any]] ?? []
 					
 					// Check if user is already a member (double-check)
 					if members.contains(currentUserId) {
@@ -1907,28 +1881,6 @@ final class CollectionService {
 					// Add user to members
 					members.append(currentUserId)
 					
-					// Add user to pending joins for batch notification
-					let joinInfo: [String: Any] = [
-						"userId": currentUserId,
-						"username": currentUser.username,
-						"name": currentUser.name,
-						"profileImageURL": currentUser.profileImageURL ?? "",
-						"joinedAt": Timestamp()
-					]
-					pendingJoins.append(joinInfo)
-					
-						// Threshold is 6 for batch notifications
-						let threshold = 6
-					
-					// Check if we've reached the threshold
-					if pendingJoins.count >= threshold {
-						shouldSendNotification = true
-						pendingJoinsToNotify = pendingJoins
-						collectionNameForNotification = collectionData["name"] as? String ?? ""
-						// Clear pending joins
-						pendingJoins = []
-					}
-					
 					// Get current memberJoinDates
 					var memberJoinDates = collectionData["memberJoinDates"] as? [String: Timestamp] ?? [:]
 					// Add join date for new member
@@ -1938,7 +1890,6 @@ final class CollectionService {
 					transaction.updateData([
 						"members": members,
 						"memberCount": members.count,
-						"pendingJoins": pendingJoins,
 						"memberJoinDates": memberJoinDates
 					], forDocument: collectionRef)
 					
@@ -1956,12 +1907,8 @@ final class CollectionService {
 					return nil
 				}
 			}
-				
-				return (shouldSendNotification, pendingJoinsToNotify, collectionNameForNotification)
 			}.value
 			
-			let (shouldSendNotification, pendingJoinsToNotify, collectionNameForNotification) = notificationData
-			
 			// Post notifications after successful transaction (same pattern as invite/request)
 			NotificationCenter.default.post(
 				name: NSNotification.Name("CollectionJoined"),
@@ -1978,15 +1925,6 @@ final class CollectionService {
 				object: currentUserId
 			)
 			
-			// Send notification outside transaction if threshold reached
-			if shouldSendNotification {
-				try await NotificationService.shared.sendBatchJoinNotification(
-					collectionId: collectionId,
-					collectionName: collectionNameForNotification,
-					joinedUsers: pendingJoinsToNotify
-				)
-			}
-			
 			print("✅ CollectionService: User \(currentUserId) joined collection \(collectionId)")
 		} catch {
 			// Revert notifications on error
@@ -79,83 +79,18 @@ final class CommentService {
 		
 		if let parentCommentId = parentCommentId {
 			commentData["parentCommentId"] = parentCommentId
-			
-			// Increment reply count on parent comment
-			let parentRef = db.collection("posts").document(postId).collection("comments").document(parentCommentId)
-			try await parentRef.updateData([
-				"replyCount": FieldValue.increment(Int64(1))
-			])
 		}
 		
+		// commentCount on the post and replyCount on the parent are maintained by
+		// the onCommentCreated Cloud Function
 		try await commentRef.setData(commentData)
 		
-		// OPTIMIZATION: Update commentCount in post document for efficient counting
-		// This prevents expensive "fetch all comments" operations
-		let postRef = db.collection("posts").document(postId)
-		try await postRef.updateData([
-			"commentCount": FieldValue.increment(Int64(1))
-		])
-		
 		// Track engagement (comment count)
 		Task {
 			await EngagementService.shared.trackPostComment(postId: postId, isAdded: true)
 		}
 		
-		// Send comment/reply notification
-		Task {
-			do {
-				// Get post data to find owner
-				let db = Firestore.firestore()
-				let postDoc = try await db.collection("posts").document(postId).getDocument()
-				guard let postData = postDoc.data(),
-					  let postOwnerId = postData["authorId"] as? String else {
-					return
-				}
-				
-				// Get post thumbnail
-				let mediaItems = postData["mediaItems"] as? [[String: Any]] ?? []
-				let firstMedia = mediaItems.first
-				let thumbnailURL = firstMedia?["thumbnailURL"] as? String ?? firstMedia?["imageURL"] as? String
-				
-				if let parentCommentId = parentCommentId {
-					// This is a reply - notify the original commenter
-					let parentCommentDoc = try await db.collection("posts")
-						.document(postId)
-						.collection("comments")
-						.document(parentCommentId)
-						.getDocument()
-					
-					if let parentData = parentCommentDoc.data(),
-					   let originalCommentUserId = parentData["authorId"] as? String ?? parentData["userId"] as? String {
-						try await NotificationService.shared.sendCommentReplyNotification(
-							postId: postId,
-							commentId: parentCommentId,
-							replyId: commentRef.documentID,
-							replyUserId: currentUserId,
-							replyUsername: user.username,
-							replyProfileImageURL: user.profileImageURL,
-							replyText: text,
-							postThumbnailURL: thumbnailURL,
-							originalCommentUserId: originalCommentUserId
-						)
-					}
-				} else {
-					// This is a comment - notify the post owner
-					try await NotificationService.shared.sendCommentNotification(
-						postId: postId,
-						commentId: commentRef.documentID,
-						commentUserId: currentUserId,
-						commentUsername: user.username,
-						commentProfileImageURL: user.profileImageURL,
-						commentText: text,
-						postThumbnailURL: thumbnailURL,
-						postOwnerId: postOwnerId
-					)
-				}
-			} catch {
-				print("❌ Error sending comment notification: \(error)")
-			}
-		}
+		// Comment/reply notifications are created by the onCommentCreated Cloud Function
 		
 		// Post notification
 		NotificationCenter.default.post(
@@ -179,21 +114,8 @@ final class CommentService {
 			])
 		} else {
 			// No replies - hard delete
+			// commentCount and the parent's replyCount are decremented by the onCommentDeleted Cloud Function
 			try await commentRef.delete()
-			
-			// OPTIMIZATION: Decrement commentCount in post document
-			let postRef = db.collection("posts").document(postId)
-			try await postRef.updateData([
-				"commentCount": FieldValue.increment(Int64(-1))
-			])
-			
-			// Decrement reply count on parent if this was a reply
-			if let parentCommentId = parentCommentId {
-				let parentRef = db.collection("posts").document(postId).collection("comments").document(parentCommentId)
-				try await parentRef.updateData([
-					"replyCount": FieldValue.increment(Int64(-1))
-				])
-			}
 		}
 		
 		// Post notification
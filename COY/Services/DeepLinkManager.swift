@@ -12,6 +12,15 @@ final class DeepLinkManager: ObservableObject {
     
     private init() {}
     
+    // Handle a tapped push notification: its data carries a coy:// "link" (see functions/pushNotifications.js)
+    func handleNotificationPayload(_ userInfo: [AnyHashable: Any]) {
+        guard let link = userInfo["link"] as? String,
+              let url = URL(string: link) else {
+            return
+        }
+        handleCustomURL(url)
+    }
+    
     // Handle Universal Link: https://coy.services/profile/userId OR https://coy.services/username (backward compatibility)
     func handleUniversalLink(_ url: URL) {
         #if DEBUG
@@ -50,6 +59,7 @@ final class DeepLinkManager: ObservableObject {
     }
     
     // Handle custom URL scheme: coy://profile/userId OR coy://profile/username (backward compatibility)
+    // Push notifications also link to coy://post/postId and coy://notifications
     func handleCustomURL(_ url: URL) {
         #if DEBUG
         print("🔗 DeepLinkManager: Handling custom URL: \(url.absoluteString)")
@@ -62,8 +72,26 @@ final class DeepLinkManager: ObservableObject {
             return
         }
         
-        let path = url.path
-        let pathComponents = path.components(separatedBy: "/").filter { !$0.isEmpty }
+        // For coy://post/postId the host is "post" and the path is "/postId"
+        let pathComponents = ([url.host ?? ""] + url.path.components(separatedBy: "/")).filter { !$0.isEmpty }
+        
+        if pathComponents.first == "notifications" {
+            NotificationCenter.default.post(name: NSNotification.Name("OpenNotifications"), object: nil)
+            return
+        }
+        
+        if pathComponents.count >= 2 && pathComponents[0] == "post" {
+            let postId = pathComponents[1]
+            #if DEBUG
+            print("✅ DeepLinkManager: Extracted postId from custom URL: \(postId)")
+            #endif
+            NotificationCenter.default.post(
+                name: NSNotification.Name("NavigateToPost"),
+                object: postId,
+                userInfo: ["postId": postId]
+            )
+            return
+        }
         
         guard pathComponents.count >= 2,
               pathComponents[0] == "profile" else {
@@ -105,9 +133,9 @@ final class DeepLinkManager: ObservableObject {
         let db = Firestore.firestore()
         
         do {
-            // Query Firestore for user with matching username
+            // Query Firestore for user with matching username (case-insensitive)
             let snapshot = try await db.collection("users")
-                .whereField("username", isEqualTo: username)
+                .whereField("usernameLower", isEqualTo: username.lowercased())
                 .limit(to: 1)
                 .getDocuments()
             
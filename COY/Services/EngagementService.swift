@@ -1,6 +1,7 @@
 import Foundation
 import FirebaseFirestore
 import FirebaseAuth
+import FirebaseFunctions
 
 @MainActor
 final class EngagementService {
@@ -8,39 +9,22 @@ final class EngagementService {
 	private init() {}
 	
 	// MARK: - Track Post View
-	/// Track when a user views a post (increment view count)
+	/// Track when a user views a post
+	/// Views are counted by the recordPostViews Cloud Function (one per user per post per day,
+	/// author's own views ignored); viewCount and the engagement score are updated server-side
 	func trackPostView(postId: String) async {
-		guard let userId = Auth.auth().currentUser?.uid else { return }
-		
-		let db = Firestore.firestore()
-		let viewsRef = db.collection("posts").document(postId).collection("views").document(userId)
+		await trackPostViews(postIds: [postId])
+	}
+	
+	/// Track a batch of viewed posts in one call (up to 100)
+	func trackPostViews(postIds: [String]) async {
+		guard Auth.auth().currentUser != nil, !postIds.isEmpty else { return }
 		
-		// Check if user already viewed this post (prevent duplicate views)
 		do {
-			let viewDoc = try await viewsRef.getDocument()
-			if viewDoc.exists {
-				// User already viewed, don't increment again
-				return
-			}
-			
-			// Mark as viewed
-			try await viewsRef.setData([
-				"userId": userId,
-				"viewedAt": Timestamp()
-			])
-			
-			// Increment view count on post
-			let postRef = db.collection("posts").document(postId)
-			try await postRef.updateData([
-				"viewCount": FieldValue.increment(Int64(1))
-			])
-			
-			// Recalculate engagement score
-			Task {
-				await recalculateEngagementScore(postId: postId)
-			}
+			let recordViews = Functions.functions().httpsCallable("recordPostViews")
+			_ = try await recordViews.call(["postIds": Array(postIds.prefix(100))])
 		} catch {
-			print("⚠️ EngagementService: Error tracking post view: \(error)")
+			print("⚠️ EngagementService: Error tracking post views: \(error)")
 		}
 	}
 	
@@ -297,357 +297,5 @@ final class NotificationService {
 				"isRead": true
 			])
 	}
-	
-	// MARK: - Send Batch Join Notification
-	func sendBatchJoinNotification(
-		collectionId: String,
-		collectionName: String,
-		joinedUsers: [[String: Any]]
-	) async throws {
-		// Get collection to find owner and admins
-		guard let collection = try await CollectionService.shared.getCollection(collectionId: collectionId) else {
-			throw NSError(domain: "NotificationService", code: 404, userInfo: [NSLocalizedDescriptionKey: "Collection not found"])
-		}
-		
-		let db = Firestore.firestore()
-		
-		// Get all recipients: owner + all admins
-		var recipients = Set<String>()
-		
-		// Add owner
-		recipients.insert(collection.ownerId)
-		
-		// Add all admins (from owners array, excluding owner if they're in there)
-		for adminId in collection.owners {
-			if adminId != collection.ownerId {
-				recipients.insert(adminId)
-			}
-		}
-		
-		// Build message with all usernames
-		let usernames = joinedUsers.compactMap { $0["username"] as? String }
-		let count = joinedUsers.count
-		
-		let message: String
-		if count == 1 {
-			message = "\(usernames.first ?? "Someone") joined \(collectionName)"
-		} else if count <= 6 {
-			// Show all usernames when 6 or fewer people join
-			message = "\(usernames.joined(separator: ", ")) joined \(collectionName)"
-		} else {
-			// If more than 6, show first few and remaining count
-			let firstFew = usernames.prefix(3).joined(separator: ", ")
-			let remaining = count - 3
-			message = "\(firstFew) and \(remaining) other\(remaining == 1 ? "" : "s") joined \(collectionName)"
-		}
-		
-		// Create notification for each recipient (owner + admins)
-		for recipientId in recipients {
-			let notificationData: [String: Any] = [
-				"type": "collection_join",
-				"userId": joinedUsers.first?["userId"] as? String ?? "", // Use first user as primary
-				"username": usernames.first ?? "",
-				"userProfileImageURL": joinedUsers.first?["profileImageURL"] as? String ?? "",
-				"collectionId": collectionId,
-				"collectionName": collectionName,
-				"message": message,
-				"isRead": false,
-				"joinedUsers": joinedUsers, // Store all joined users for display
-				"joinCount": count,
-				"createdAt": Timestamp()
-			]
-			
-			// Add notification to recipient's notifications subcollection
-			let notificationRef = db.collection("users")
-				.document(recipientId)
-				.collection("notifications")
-				.document()
-			
-			try await notificationRef.setData(notificationData)
-			let recipientType = recipientId == collection.ownerId ? "owner" : "admin"
-			print("✅ NotificationService: Sent batch join notification to \(recipientType): \(recipientId) for \(count) users")
-		}
-		
-		// Post notification to trigger UI update
-		await MainActor.run {
-			NotificationCenter.default.post(
-				name: NSNotification.Name("CollectionMembersJoined"),
-				object: collectionId,
-				userInfo: ["count": count]
-			)
-		}
-	}
-	
-	// MARK: - Send Collection Invite Notification
-	func sendCollectionInviteNotification(
-		collectionId: String,
-		collectionName: String,
-		inviterId: String,
-		inviterUsername: String,
-		inviterProfileImageURL: String?,
-		invitedUserId: String
-	) async throws {
-		let db = Firestore.firestore()
-		
-		let notificationData: [String: Any] = [
-			"type": "collection_invite",
-			"userId": inviterId,
-			"username": inviterUsername,
-			"userProfileImageURL": inviterProfileImageURL ?? "",
-			"collectionId": collectionId,
-			"collectionName": collectionName,
-			"message": "\(inviterUsername) invited you to join \(collectionName)",
-			"isRead": false,
-			"status": "pending",
-			"createdAt": Timestamp()
-		]
-		
-		// Add notification to invited user's notifications subcollection
-		let notificationRef = db.collection("users")
-			.document(invitedUserId)
-			.collection("notifications")
-			.document()
-		
-		try await notificationRef.setData(notificationData)
-		print("✅ NotificationService: Sent collection invite notification to user: \(invitedUserId)")
-		
-		// Post notification to trigger UI update
-		await MainActor.run {
-			NotificationCenter.default.post(
-				name: NSNotification.Name("CollectionInviteSent"),
-				object: collectionId,
-				userInfo: ["invitedUserId": invitedUserId]
-			)
-		}
-	}
-	
-	// MARK: - Send Collection Star Update Notification
-	func sendCollectionStarNotification(
-		postId: String,
-		collectionId: String,
-		collectionName: String,
-		starUserId: String,
-		starUsername: String,
-		starProfileImageURL: String?,
-		postThumbnailURL: String?,
-		postOwnerId: String
-	) async throws {
-		// Don't notify if user starred their own post
-		guard starUserId != postOwnerId else { return }
-		
-		let db = Firestore.firestore()
-		
-		let notificationData: [String: Any] = [
-			"type": "collection_star",
-			"userId": starUserId,
-			"username": starUsername,
-			"userProfileImageURL": starProfileImageURL ?? "",
-			"collectionId": collectionId,
-			"collectionName": collectionName,
-			"message": "New star in collection \"\(collectionName)\"",
-			"isRead": false,
-			"postId": postId,
-			"postThumbnailURL": postThumbnailURL ?? "",
-			"createdAt": Timestamp()
-		]
-		
-		// Add notification to post owner's notifications subcollection
-		let notificationRef = db.collection("users")
-			.document(postOwnerId)
-			.collection("notifications")
-			.document()
-		
-		try await notificationRef.setData(notificationData)
-		print("✅ NotificationService: Sent collection star notification to user: \(postOwnerId)")
-		
-		// Post notification to trigger UI update
-		await MainActor.run {
-			NotificationCenter.default.post(
-				name: NSNotification.Name("CollectionStarNotification"),
-				object: postId,
-				userInfo: ["starUserId": starUserId]
-			)
-		}
-	}
-	
-	// MARK: - Send Collection Post Update Notification
-	func sendCollectionPostNotification(
-		collectionId: String,
-		collectionName: String,
-		postAuthorId: String,
-		postAuthorUsername: String,
-		postAuthorProfileImageURL: String?,
-		postId: String,
-		postThumbnailURL: String?,
-		collectionMemberIds: [String]
-	) async throws {
-		// Get collection to check type and get owner/admins
-		guard let collection = try await CollectionService.shared.getCollection(collectionId: collectionId) else {
-			return
-		}
-		
-		// Only send notifications for "Request" and "Invite" type collections
-		guard collection.type == "Request" || collection.type == "Invite" else {
-			print("⏭️ NotificationService: Skipping collection post notification - collection type is '\(collection.type)', only 'Request' and 'Invite' collections receive notifications")
-			return
-		}
-		
-		let db = Firestore.firestore()
-		
-		// Get all recipients: owner + admins + members (excluding post author)
-		var recipients = Set<String>()
-		
-		// Add owner
-		if collection.ownerId != postAuthorId {
-			recipients.insert(collection.ownerId)
-		}
-		
-		// Add all admins (from owners array, excluding owner if they're in there)
-		for adminId in collection.owners {
-			if adminId != postAuthorId && adminId != collection.ownerId {
-				recipients.insert(adminId)
-			}
-		}
-		
-		// Add all members (excluding post author)
-		for memberId in collectionMemberIds {
-			if memberId != postAuthorId {
-				recipients.insert(memberId)
-			}
-		}
-		
-		// Send notification to all recipients
-		for recipientId in recipients {
-			let notificationData: [String: Any] = [
-				"type": "collection_post",
-				"userId": postAuthorId,
-				"username": postAuthorUsername,
-				"userProfileImageURL": postAuthorProfileImageURL ?? "",
-				"collectionId": collectionId,
-				"collectionName": collectionName,
-				"message": "\(postAuthorUsername) has posted in the collection\n\"\(collectionName)\"",
-				"isRead": false,
-				"postId": postId,
-				"postThumbnailURL": postThumbnailURL ?? "",
-				"createdAt": Timestamp()
-			]
-			
-			// Add notification to recipient's notifications subcollection
-			let notificationRef = db.collection("users")
-				.document(recipientId)
-				.collection("notifications")
-				.document()
-			
-			try await notificationRef.setData(notificationData)
-			let recipientType = recipientId == collection.ownerId ? "owner" : (collection.owners.contains(recipientId) ? "admin" : "member")
-			print("✅ NotificationService: Sent collection post notification to \(recipientType): \(recipientId)")
-		}
-		
-		// Post notification to trigger UI update
-		await MainActor.run {
-			NotificationCenter.default.post(
-				name: NSNotification.Name("CollectionPostNotification"),
-				object: collectionId,
-				userInfo: ["postAuthorId": postAuthorId, "postId": postId]
-			)
-		}
-	}
-	
-	// MARK: - Send Comment Update Notification
-	func sendCommentNotification(
-		postId: String,
-		commentId: String,
-		commentUserId: String,
-		commentUsername: String,
-		commentProfileImageURL: String?,
-		commentText: String,
-		postThumbnailURL: String?,
-		postOwnerId: String
-	) async throws {
-		// Don't notify if user commented on their own post
-		guard commentUserId != postOwnerId else { return }
-		
-		let db = Firestore.firestore()
-		
-		let notificationData: [String: Any] = [
-			"type": "comment",
-			"userId": commentUserId,
-			"username": commentUsername,
-			"userProfileImageURL": commentProfileImageURL ?? "",
-			"message": "\(commentUsername)",
-			"isRead": false,
-			"postId": postId,
-			"postThumbnailURL": postThumbnailURL ?? "",
-			"commentText": commentText,
-			"createdAt": Timestamp()
-		]
-		
-		// Add notification to post owner's notifications subcollection
-		let notificationRef = db.collection("users")
-			.document(postOwnerId)
-			.collection("notifications")
-			.document()
-		
-		try await notificationRef.setData(notificationData)
-		print("✅ NotificationService: Sent comment notification to user: \(postOwnerId)")
-		
-		// Post notification to trigger UI update
-		await MainActor.run {
-			NotificationCenter.default.post(
-				name: NSNotification.Name("CommentNotification"),
-				object: postId,
-				userInfo: ["commentUserId": commentUserId, "commentId": commentId]
-			)
-		}
-	}
-	
-	// MARK: - Send Comment Reply Update Notification
-	func sendCommentReplyNotification(
-		postId: String,
-		commentId: String,
-		replyId: String,
-		replyUserId: String,
-		replyUsername: String,
-		replyProfileImageURL: String?,
-		replyText: String,
-		postThumbnailURL: String?,
-		originalCommentUserId: String
-	) async throws {
-		// Don't notify if user replied to their own comment
-		guard replyUserId != originalCommentUserId else { return }
-		
-		let db = Firestore.firestore()
-		
-		let notificationData: [String: Any] = [
-			"type": "comment_reply",
-			"userId": replyUserId,
-			"username": replyUsername,
-			"userProfileImageURL": replyProfileImageURL ?? "",
-			"message": "\(replyUsername)",
-			"isRead": false,
-			"postId": postId,
-			"postThumbnailURL": postThumbnailURL ?? "",
-			"commentText": replyText,
-			"createdAt": Timestamp()
-		]
-		
-		// Add notification to original commenter's notifications subcollection
-		let notificationRef = db.collection("users")
-			.document(originalCommentUserId)
-			.collection("notifications")
-			.document()
-		
-		try await notificationRef.setData(notificationData)
-		print("✅ NotificationService: Sent comment reply notification to user: \(originalCommentUserId)")
-		
-		// Post notification to trigger UI update
-		await MainActor.run {
-			NotificationCenter.default.post(
-				name: NSNotification.Name("CommentReplyNotification"),
-				object: postId,
-				userInfo: ["replyUserId": replyUserId, "replyId": replyId]
-			)
-		}
-	}
 }
 
@@ -109,49 +109,8 @@ final class PostService {
 		
 		print("✅ Post saved to Firebase: \(postId) with allowDownload=\(allowDownload), allowReplies=\(allowReplies)")
 		
-		// Send collection post notification to members/admins/owner (for Request/Invite collections only)
-		Task {
-			do {
-				// Get collection to get members and name
-				if let collection = try? await CollectionService.shared.getCollection(collectionId: collectionId) {
-					// Get post thumbnail URL
-					let firstMedia = postData["firstMediaItem"] as? [String: Any]
-					let thumbnailURL: String? = {
-						if let isVideo = firstMedia?["isVideo"] as? Bool, isVideo {
-							// Video: prefer thumbnailURL, fallback to imageURL
-							return firstMedia?["thumbnailURL"] as? String ?? firstMedia?["imageURL"] as? String
-						} else {
-							// Image: use imageURL directly
-							return firstMedia?["imageURL"] as? String
-						}
-					}()
-					
-					// Get author username and profile image
-					let author = try? await UserService.shared.getUser(userId: userId)
-					let authorUsername = author?.username ?? ""
-					let authorProfileImageURL = author?.profileImageURL
-					
-					// Get all collection members (owner, admins, members)
-					var allMemberIds = [collection.ownerId]
-					allMemberIds.append(contentsOf: collection.owners.filter { $0 != collection.ownerId })
-					allMemberIds.append(contentsOf: collection.members)
-					
-					// Send notification (only for Request/Invite collections - handled inside the function)
-					try await NotificationService.shared.sendCollectionPostNotification(
-						collectionId: collectionId,
-						collectionName: collection.name,
-						postAuthorId: userId,
-						postAuthorUsername: authorUsername,
-						postAuthorProfileImageURL: authorProfileImageURL,
-						postId: postId,
-						postThumbnailURL: thumbnailURL,
-						collectionMemberIds: allMemberIds
-					)
-				}
-			} catch {
-				print("⚠️ PostService: Error sending collection post notification: \(error.localizedDescription)")
-			}
-		}
+		// Collection post notifications (Request/Invite collections) are created by the
+		// onPostCreatedNotify Cloud Function
 		
 		// Send notification for real-time updates (replaces expensive listeners)
 		await MainActor.run {
@@ -367,63 +326,7 @@ final class PostService {
 				"starredPostIds": FieldValue.arrayUnion([postId])
 			])
 			
-			// Send star notification
-			Task {
-				do {
-					// Get post data to find owner and collection info
-					let postDoc = try await db.collection("posts").document(postId).getDocument()
-					guard let postData = postDoc.data(),
-						  let postOwnerId = postData["authorId"] as? String,
-						  let collectionId = postData["collectionId"] as? String else {
-						return
-					}
-					
-					// Get collection name
-					var collectionName = "Me"
-					if !collectionId.isEmpty {
-						if let collectionDoc = try? await db.collection("collections").document(collectionId).getDocument(),
-						   let collectionData = collectionDoc.data(),
-						   let name = collectionData["name"] as? String {
-							collectionName = name
-						}
-					}
-					
-					// Get post thumbnail/image - prioritize imageURL for images, thumbnailURL for videos
-					let mediaItems = postData["mediaItems"] as? [[String: Any]] ?? []
-					let firstMedia = mediaItems.first
-					
-					// For images: use imageURL directly (like videos use thumbnailURL)
-					// For videos: use thumbnailURL if available, fallback to imageURL
-					let isVideo = firstMedia?["isVideo"] as? Bool ?? false
-					let thumbnailURL: String?
-					if isVideo {
-						// Video: prefer thumbnailURL, fallback to imageURL
-						thumbnailURL = firstMedia?["thumbnailURL"] as? String ?? firstMedia?["imageURL"] as? String
-					} else {
-						// Image: use imageURL directly (images don't have thumbnailURL, they use imageURL)
-						thumbnailURL = firstMedia?["imageURL"] as? String
-					}
-					
-					// Get user info who starred
-					guard let starUser = try? await UserService.shared.getUser(userId: userId) else {
-						return
-					}
-					
-					// Send notification
-					try await NotificationService.shared.sendCollectionStarNotification(
-						postId: postId,
-						collectionId: collectionId,
-						collectionName: collectionName,
-						starUserId: userId,
-						starUsername: starUser.username,
-						starProfileImageURL: starUser.profileImageURL,
-						postThumbnailURL: thumbnailURL,
-						postOwnerId: postOwnerId
-					)
-				} catch {
-					print("❌ Error sending star notification: \(error)")
-				}
-			}
+			// The star notification to the post owner is created by the onStarChangedNotify Cloud Function
 		} else {
 			// Unstar the post
 			try await starsRef.delete()
@@ -1,4 +1,5 @@
 import Foundation
+import UIKit
 import FirebaseAuth
 import FirebaseFirestore
 import FirebaseMessaging
@@ -49,11 +50,23 @@ class PushNotificationManager: NSObject {
 			let token = try await Messaging.messaging().token()
 			print("✅ PushNotificationManager: FCM Token: \(token)")
 			
-			// Store token in Firestore under user's document
-			try await db.collection("users").document(currentUid).updateData([
-				"fcmToken": token,
-				"fcmTokenUpdatedAt": Timestamp(date: Date())
-			])
+			// Register this device so pushes reach every device the user is signed in on
+			let userRef = db.collection("users").document(currentUid)
+			let batch = db.batch()
+			batch.setData([
+				"token": token,
+				"platform": "ios",
+				"appVersion": Bundle.main.infoDictionary?["CFBundleShortVersionString"] as? String ?? "",
+				"lastSeenAt": Timestamp(date: Date())
+			], forDocument: userRef.collection("devices").document(deviceId), merge: true)
+			// The single-token field is superseded by the devices registry.
+			// The locale is the language pushes are written in.
+			batch.updateData([
+				"fcmToken": FieldValue.delete(),
+				"fcmTokenUpdatedAt": FieldValue.delete(),
+				"locale": Locale.preferredLanguages.first ?? Locale.current.identifier
+			], forDocument: userRef)
+			try await batch.commit()
 			
 			print("✅ PushNotificationManager: Token synced for user: \(currentUid)")
 		} catch {
@@ -61,26 +74,27 @@ class PushNotificationManager: NSObject {
 		}
 	}
 	
+	// Unregister this device only, so the user's other devices keep receiving pushes
 	func removeToken(for userId: String) async {
 		do {
-			try await db.collection("users").document(userId).updateData([
-				"fcmToken": FieldValue.delete()
-			])
+			try await db.collection("users").document(userId)
+				.collection("devices")
+				.document(deviceId)
+				.delete()
 			print("✅ PushNotificationManager: Token removed for user: \(userId)")
 		} catch {
 			print("❌ PushNotificationManager: Error removing token: \(error)")
 		}
 	}
 	
-	// MARK: - Get FCM Token for User
-	func getFCMToken(for userId: String) async -> String? {
-		do {
-			let userDoc = try await db.collection("users").document(userId).getDocument()
-			return userDoc.data()?["fcmToken"] as? String
-		} catch {
-			print("❌ PushNotificationManager: Error getting token: \(error)")
-			return nil
+	// Stable per-install ID for users/{uid}/devices/{deviceId}
+	private var deviceId: String {
+		if let id = UserDefaults.standard.string(forKey: "pushDeviceId") {
+			return id
 		}
+		let id = UIDevice.current.identifierForVendor?.uuidString ?? UUID().uuidString
+		UserDefaults.standard.set(id, forKey: "pushDeviceId")
+		return id
 	}
 }
 
@@ -3,6 +3,7 @@ import Combine
 import FirebaseAuth
 import FirebaseFirestore
 import FirebaseStorage
+import FirebaseFunctions
 
 @MainActor
 final class UserService: ObservableObject {
@@ -157,11 +158,11 @@ final class UserService: ObservableObject {
 
 	func isUsernameAvailable(_ username: String) async throws -> Bool {
 		let db = Firestore.firestore()
-		// Usernames are stored in lowercase, so check lowercase
-		let lowercaseUsername = username.lowercased()
+		// Usernames keep their casing, so check the lowercase copy
+		let lowercaseUsername = username.lowercased().trimmingCharacters(in: .whitespacesAndNewlines)
 		
 		let snapshot = try await db.collection("users")
-			.whereField("username", isEqualTo: lowercaseUsername)
+			.whereField("usernameLower", isEqualTo: lowercaseUsername)
 			.limit(to: 1)
 			.getDocuments()
 		
@@ -170,7 +171,7 @@ final class UserService: ObservableObject {
 	
 	func getUserByUsername(_ username: String) async throws -> AppUser? {
 		let db = Firestore.firestore()
-		// Usernames are stored in lowercase, so search lowercase
+		// Usernames keep their casing, so search the lowercase copy
 		// Also trim whitespace to handle any input issues
 		let normalizedUsername = username.lowercased().trimmingCharacters(in: .whitespacesAndNewlines)
 		
@@ -178,10 +179,10 @@ final class UserService: ObservableObject {
 		
 		// Add timeout to prevent hanging on slow/no network
 		do {
-			// First try exact match with lowercase (for new users)
+			// First try the lowercase copy (every user with a claimed username has one)
 			let snapshot = try await withTimeout(seconds: 8) {
 				try await db.collection("users")
-					.whereField("username", isEqualTo: normalizedUsername)
+					.whereField("usernameLower", isEqualTo: normalizedUsername)
 					.limit(to: 1)
 					.getDocuments()
 			}
@@ -395,11 +396,34 @@ final class UserService: ObservableObject {
 		}
 	}
 	
+	/// Gives the current user a username through the server, which keeps usernames unique.
+	/// Clients can't write the username field themselves.
+	private func setUsername(_ username: String, currentUsername: String) async throws {
+		guard username != currentUsername else { return }
+		
+		// A user without a username claims one; everyone else changes theirs
+		let functionName = currentUsername.isEmpty ? "claimUsername" : "changeUsername"
+		do {
+			_ = try await Functions.functions().httpsCallable(functionName).call([
+				"username": username
+			])
+			print("✅ Username set to '\(username)'")
+		} catch let error as NSError where error.domain == FunctionsErrorDomain &&
+			FunctionsErrorCode(rawValue: error.code) == .alreadyExists {
+			throw UserError.usernameTaken
+		}
+	}
+	
 	func updateUserProfile(userId: String, name: String, username: String, profileImage: UIImage?, backgroundImage: UIImage?) async throws -> AppUser {
 		let db = Firestore.firestore()
+		let username = username.trimmingCharacters(in: .whitespacesAndNewlines)
+		
+		// Rename first, so a taken username doesn't leave the rest of the profile half saved
+		let currentDoc = try await db.collection("users").document(userId).getDocument()
+		try await setUsername(username, currentUsername: currentDoc.data()?["username"] as? String ?? "")
+		
 		var updateData: [String: Any] = [
-			"name": name,
-			"username": username
+			"name": name
 		]
 		
 		var profileImageURL: String?
@@ -494,28 +518,17 @@ final class UserService: ObservableObject {
 		}
 		
 		let db = Firestore.firestore()
-		// Ensure username is always stored in lowercase for consistent lookup
-		let lowercaseUsername = username.lowercased().trimmingCharacters(in: .whitespacesAndNewlines)
+		// Usernames keep the casing the user typed; lookups go through usernameLower
+		let username = username.trimmingCharacters(in: .whitespacesAndNewlines)
 		
-		// CRITICAL FIX: Final username availability check right before save to minimize race condition window
-		// This is the last check before we write to Firestore
-		let isUsernameAvailable = try await isUsernameAvailable(lowercaseUsername)
-		if !isUsernameAvailable {
-			// Check if it's the current user updating their profile with the same username
-			if let existingUser = try? await getUser(userId: userId),
-			   existingUser.username.lowercased() == lowercaseUsername {
-				// User already has this username, it's fine to keep it
-				print("ℹ️ User already has this username, proceeding with update")
-			} else {
-				// Username is taken by another user
-				throw UserError.usernameTaken
-			}
-		}
+		// Claim the username before saving anything else - the server checks it's free
+		// and reserves it in one transaction, so two sign-ups can't both get it
+		let currentDoc = try await db.collection("users").document(userId).getDocument()
+		try await setUsername(username, currentUsername: currentDoc.data()?["username"] as? String ?? "")
 		
-		// Now upload images and save data (username availability verified)
+		// Now upload images and save data (username reserved)
 		var userData: [String: Any] = [
 			"name": name,
-			"username": lowercaseUsername,
 			"email": email.lowercased().trimmingCharacters(in: .whitespacesAndNewlines),
 			"birthMonth": birthMonth,
 			"birthDay": birthDay,
@@ -84,6 +84,9 @@ struct CYSettingsView: View {
 				NavigationLink(destination: StarredView()) {
 					SettingsRow(title: "Starred", icon: "star.fill")
 				}
+				NavigationLink(destination: NotificationSettingsView()) {
+					SettingsRow(title: "Notifications", icon: "bell.fill")
+				}
 				NavigationLink(destination: DeletedCollectionsView()) {
 					SettingsRow(title: "Deleted Collections", icon: "trash.fill")
 				}
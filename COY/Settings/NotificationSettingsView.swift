@@ -0,0 +1,292 @@
+import SwiftUI
+import Combine
+import FirebaseAuth
+import FirebaseFirestore
+
+// Push notification preferences, stored in users/{uid}/settings/notifications
+// and read by the push functions (functions/pushNotifications.js).
+// In-app notifications are not affected.
+struct NotificationSettingsView: View {
+	@Environment(\.colorScheme) var colorScheme
+	@Environment(\.presentationMode) var presentationMode
+	@StateObject private var viewModel = NotificationSettingsViewModel()
+
+	var body: some View {
+		PhoneSizeContainer {
+			VStack(spacing: 0) {
+			// Header
+			HStack {
+				Button(action: { presentationMode.wrappedValue.dismiss() }) {
+					Image(systemName: "chevron.backward")
+						.font(.title2)
+						.foregroundColor(colorScheme == .dark ? .white : .black)
+				}
+				Spacer()
+				Text("Notifications")
+					.font(.title2)
+					.fontWeight(.bold)
+					.foregroundColor(colorScheme == .dark ? .white : .black)
+				Spacer()
+				// Balance the back button
+				Image(systemName: "chevron.backward")
+					.font(.title2)
+					.hidden()
+			}
+			.padding(.top, 10)
+			.padding(.horizontal)
+
+			if viewModel.isLoading {
+				Spacer()
+				ProgressView()
+				Spacer()
+			} else {
+				ScrollView {
+					VStack(spacing: 16) {
+						NotificationToggleRow(
+							title: "Pause all push notifications",
+							icon: "bell.slash.fill",
+							isOn: Binding(
+								get: { viewModel.muteAll },
+								set: { viewModel.setMuteAll($0) }
+							)
+						)
+
+						ForEach(NotificationSettingsViewModel.pushTypes, id: \.type) { item in
+							NotificationToggleRow(
+								title: item.title,
+								icon: item.icon,
+								isOn: Binding(
+									get: { viewModel.isEnabled(item.type) },
+									set: { viewModel.setEnabled(item.type, $0) }
+								)
+							)
+							.disabled(viewModel.muteAll)
+							.opacity(viewModel.muteAll ? 0.5 : 1)
+						}
+
+						NotificationToggleRow(
+							title: "Hide message previews",
+							icon: "eye.slash.fill",
+							isOn: Binding(
+								get: { viewModel.hidePreviews },
+								set: { viewModel.setHidePreviews($0) }
+							)
+						)
+
+						NotificationToggleRow(
+							title: "Quiet hours",
+							icon: "moon.fill",
+							isOn: Binding(
+								get: { viewModel.quietHoursEnabled },
+								set: { viewModel.setQuietHoursEnabled($0) }
+							)
+						)
+
+						if viewModel.quietHoursEnabled {
+							VStack(spacing: 12) {
+								DatePicker(
+									"From",
+									selection: Binding(
+										get: { viewModel.quietHoursStart },
+										set: { viewModel.setQuietHours(start: $0) }
+									),
+									displayedComponents: .hourAndMinute
+								)
+								DatePicker(
+									"To",
+									selection: Binding(
+										get: { viewModel.quietHoursEnd },
+										set: { viewModel.setQuietHours(end: $0) }
+									),
+									displayedComponents: .hourAndMinute
+								)
+								Text("Notifications still arrive during quiet hours, without sound.")
+									.font(.caption)
+									.foregroundColor(.gray)
+									.frame(maxWidth: .infinity, alignment: .leading)
+							}
+							.foregroundColor(colorScheme == .dark ? .white : .black)
+							.padding()
+							.background(colorScheme == .dark ? Color(white: 0.15) : Color(white: 0.95))
+							.cornerRadius(10)
+							.padding(.horizontal)
+						}
+					}
+					.padding(.vertical)
+				}
+			}
+			}
+		}
+		.background(colorScheme == .dark ? Color.black : Color.white)
+		.navigationBarBackButtonHidden(true)
+		.navigationTitle("")
+		.toolbar(.hidden, for: .tabBar)
+		.onAppear {
+			Task {
+				await viewModel.load()
+			}
+		}
+	}
+}
+
+// MARK: - Notification Toggle Row
+
+struct NotificationToggleRow: View {
+	@Environment(\.colorScheme) var colorScheme
+	let title: String
+	let icon: String
+	@Binding var isOn: Bool
+
+	var body: some View {
+		HStack {
+			Image(systemName: icon)
+				.foregroundColor(colorScheme == .dark ? .white : .black)
+			Text(title)
+				.foregroundColor(colorScheme == .dark ? .white : .black)
+			Spacer()
+			Toggle("", isOn: $isOn)
+				.toggleStyle(SwitchToggleStyle(tint: .blue))
+				.labelsHidden()
+		}
+		.padding()
+		.background(colorScheme == .dark ? Color(white: 0.15) : Color(white: 0.95))
+		.cornerRadius(10)
+		.padding(.horizontal)
+	}
+}
+
+class NotificationSettingsViewModel: ObservableObject {
+	// Keys match the notification types the push functions send
+	static let pushTypes: [(type: String, title: String, icon: String)] = [
+		("message", "Messages", "message.fill"),
+		("friend_request", "Friend requests", "person.badge.plus"),
+		("collection_star", "Stars", "star.fill"),
+		("comment", "Comments", "bubble.left.fill"),
+		("comment_reply", "Replies", "arrowshape.turn.up.left.fill"),
+		("collection_post", "New posts in collections", "photo.on.rectangle"),
+		("collection_join", "New members", "person.3.fill"),
+		("collection_invite", "Collection invites", "envelope.fill"),
+		("collection_request", "Join requests", "hand.raised.fill")
+	]
+
+	@Published var muteAll = false
+	@Published var disabledTypes: Set<String> = []
+	@Published var hidePreviews = false
+	@Published var quietHoursEnabled = false
+	@Published var quietHoursStart = NotificationSettingsViewModel.date(from: "22:00")
+	@Published var quietHoursEnd = NotificationSettingsViewModel.date(from: "07:00")
+	@Published var isLoading = false
+
+	private var settingsRef: DocumentReference? {
+		guard let uid = Auth.auth().currentUser?.uid else { return nil }
+		return Firestore.firestore()
+			.collection("users")
+			.document(uid)
+			.collection("settings")
+			.document("notifications")
+	}
+
+	@MainActor
+	func load() async {
+		guard let settingsRef = settingsRef else { return }
+		isLoading = true
+
+		do {
+			let data = try await settingsRef.getDocument().data() ?? [:]
+			muteAll = data["muteAll"] as? Bool ?? false
+			let types = data["types"] as? [String: Bool] ?? [:]
+			disabledTypes = Set(types.filter { !$0.value }.map { $0.key })
+			hidePreviews = data["hidePreviews"] as? Bool ?? false
+			if let quietHours = data["quietHours"] as? [String: Any] {
+				quietHoursEnabled = quietHours["enabled"] as? Bool ?? false
+				if let start = quietHours["start"] as? String {
+					quietHoursStart = Self.date(from: start)
+				}
+				if let end = quietHours["end"] as? String {
+					quietHoursEnd = Self.date(from: end)
+				}
+			}
+		} catch {
+			print("❌ NotificationSettingsViewModel: Error loading settings: \(error)")
+		}
+
+		isLoading = false
+	}
+
+	func isEnabled(_ type: String) -> Bool {
+		return !disabledTypes.contains(type)
+	}
+
+	@MainActor
+	func setMuteAll(_ value: Bool) {
+		muteAll = value
+		save(["muteAll": value])
+	}
+
+	@MainActor
+	func setEnabled(_ type: String, _ value: Bool) {
+		if value {
+			disabledTypes.remove(type)
+		} else {
+			disabledTypes.insert(type)
+		}
+		save(["types": [type: value]])
+	}
+
+	// Message pushes say "New message" instead of showing the message
+	@MainActor
+	func setHidePreviews(_ value: Bool) {
+		hidePreviews = value
+		save(["hidePreviews": value])
+	}
+
+	@MainActor
+	func setQuietHoursEnabled(_ value: Bool) {
+		quietHoursEnabled = value
+		saveQuietHours()
+	}
+
+	@MainActor
+	func setQuietHours(start: Date? = nil, end: Date? = nil) {
+		if let start = start {
+			quietHoursStart = start
+		}
+		if let end = end {
+			quietHoursEnd = end
+		}
+		saveQuietHours()
+	}
+
+	// Quiet hours are wall-clock times; the current time zone is saved with
+	// them so the server knows when they apply
+	private func saveQuietHours() {
+		save(["quietHours": [
+			"enabled": quietHoursEnabled,
+			"start": Self.timeString(from: quietHoursStart),
+			"end": Self.timeString(from: quietHoursEnd),
+			"timeZone": TimeZone.current.identifier
+		]])
+	}
+
+	private static func timeString(from date: Date) -> String {
+		let components = Calendar.current.dateComponents([.hour, .minute], from: date)
+		return String(format: "%02d:%02d", components.hour ?? 0, components.minute ?? 0)
+	}
+
+	private static func date(from time: String) -> Date {
+		let parts = time.split(separator: ":").compactMap { Int($0) }
+		let hour = parts.first ?? 0
+		let minute = parts.count > 1 ? parts[1] : 0
+		return Calendar.current.date(bySettingHour: hour, minute: minute, second: 0, of: Date()) ?? Date()
+	}
+
+	private func save(_ data: [String: Any]) {
+		guard let settingsRef = settingsRef else { return }
+		// Merge so each toggle only writes its own field
+		settingsRef.setData(data, merge: true) { error in
+			if let error = error {
+				print("❌ NotificationSettingsViewModel: Error saving settings: \(error)")
+			}
+		}
+	}
+}
@@ -19,10 +19,12 @@ module.exports = {
     {
       files: ["**/*.spec.*"],
       env: {
-        mocha: true,
+        jest: true,
       },
       rules: {},
     },
   ],
-  globals: {},
+  globals: {
+    fetch: "readonly",
+  },
 };
@@ -0,0 +1,124 @@
+/**
+ * App icon badge counts
+ *
+ * The badge is the user's unread chat messages plus unread notifications,
+ * kept in users/{uid}/counters/badge so a push doesn't have to query every
+ * chat room:
+ *   unreadChats.{chatId}  the room's unreadCount.{uid}, absent when 0
+ *   notifications         unread notification docs
+ *
+ * unreadChats is copied from the room's current state on every room write,
+ * so repeated or out-of-order trigger runs still end up correct.
+ * notifications is adjusted once per trigger event.
+ */
+
+const admin = require("firebase-admin");
+const {claimCounterEvent} = require("./counters");
+
+/**
+ * Reference to a user's badge counter
+ * @param {string} uid User ID
+ * @return {Object} DocumentReference
+ */
+function badgeRef(uid) {
+  return admin.firestore()
+      .collection("users")
+      .doc(uid)
+      .collection("counters")
+      .doc("badge");
+}
+
+/**
+ * Badge number from badge counter data
+ * @param {Object} data Badge counter data
+ * @param {Object} chatOverrides {chatId: unread} fresher than the counter
+ * @return {number} Badge number
+ */
+function badgeTotal(data, chatOverrides) {
+  const unreadChats = {...(data.unreadChats || {}), ...chatOverrides};
+  const messages = Object.values(unreadChats)
+      .reduce((sum, count) => sum + Math.max(0, count || 0), 0);
+  return messages + Math.max(0, data.notifications || 0);
+}
+
+/**
+ * Reads a user's badge number
+ * @param {string} uid User ID
+ * @param {?Object} chatOverrides {chatId: unread} for rooms whose counter
+ *   may not have caught up yet (e.g. the room of the message being pushed)
+ * @return {Promise<number>} Badge number
+ */
+async function getBadgeCount(uid, chatOverrides) {
+  const doc = await badgeRef(uid).get();
+  return badgeTotal(doc.exists ? doc.data() : {}, chatOverrides || {});
+}
+
+/**
+ * Copies a chat room's unread counts into its participants' badge
+ * counters. Reads the room as it is now, not as the event saw it.
+ * @param {string} chatId Chat room ID
+ * @param {Array<string>} previousParticipants Participants before the write,
+ *   so users who left (or a deleted room) are cleared
+ * @return {Promise<number>} Badge counters written
+ */
+async function syncChatUnreadCounts(chatId, previousParticipants) {
+  const db = admin.firestore();
+  const roomDoc = await db.collection("chat_rooms").doc(chatId).get();
+  const participants = roomDoc.exists ? roomDoc.get("participants") || [] : [];
+  const unreadCount = roomDoc.exists ? roomDoc.get("unreadCount") || {} : {};
+
+  const uids = new Set([...participants, ...previousParticipants]);
+  const batch = db.batch();
+  uids.forEach((uid) => {
+    const count = participants.includes(uid) ? unreadCount[uid] || 0 : 0;
+    batch.set(badgeRef(uid), {
+      unreadChats: {
+        [chatId]: count > 0 ? count : admin.firestore.FieldValue.delete(),
+      },
+    }, {merge: true});
+  });
+  await batch.commit();
+  return uids.size;
+}
+
+/**
+ * Adjusts a user's unread notification count once per trigger event
+ * @param {string} eventId ID of the trigger event
+ * @param {string} uid User ID
+ * @param {number} delta +1 for a new unread notification, -1 when one is
+ *   read or deleted, 0 to just read the badge
+ * @return {Promise<number>} Badge number after the change
+ */
+async function applyNotificationBadgeChange(eventId, uid, delta) {
+  const ref = badgeRef(uid);
+  return admin.firestore().runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const data = doc.exists ? doc.data() : {};
+    if (delta === 0) {
+      return badgeTotal(data, {});
+    }
+    const claimed = await claimCounterEvent(transaction, eventId, {
+      counter: "badge.notifications",
+      path: ref.path,
+      delta,
+    });
+    if (!claimed) {
+      return badgeTotal(data, {});
+    }
+
+    transaction.set(ref, {
+      notifications: admin.firestore.FieldValue.increment(delta),
+    }, {merge: true});
+    return badgeTotal({
+      ...data,
+      notifications: (data.notifications || 0) + delta,
+    }, {});
+  });
+}
+
+module.exports = {
+  badgeRef,
+  getBadgeCount,
+  syncChatUnreadCounts,
+  applyNotificationBadgeChange,
+};
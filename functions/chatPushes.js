@@ -0,0 +1,180 @@
+/**
+ * Chat message pushes
+ *
+ * A new message is pushed to every participant except the sender, on each
+ * of their devices. Direct chats are titled with the sender's name; group
+ * chats with the group name, and the body says who wrote it. Chats the
+ * recipient muted don't push, and quiet hours make the push silent.
+ *
+ * Bodies are written in the recipient's language. Long texts are cut short,
+ * and recipients who hide previews get "New message" instead of the text.
+ */
+
+const admin = require("firebase-admin");
+const {sendToUserDevices} = require("./devices");
+const {getBadgeCount} = require("./badges");
+const {pushLanguage, pushString, truncatePreview} = require("./pushText");
+const {
+  getNotificationPreferences,
+  isPushEnabled,
+  isChatMuted,
+  isQuietTime,
+  silencePush,
+  setPushImage,
+} = require("./pushNotifications");
+
+/**
+ * Push body for a message
+ * @param {string} messageType Message type ("text", "image", ...)
+ * @param {string} content Message content
+ * @param {string} language Recipient's language, from pushLanguage
+ * @param {boolean} hidePreview Whether the recipient hides message previews
+ * @return {string} Body text
+ */
+function messagePreview(messageType, content, language, hidePreview) {
+  if (hidePreview) {
+    return pushString(language, "newMessage");
+  }
+  switch (messageType) {
+    case "voice":
+      return pushString(language, "voice");
+    case "image":
+    case "photo":
+      return pushString(language, "photo");
+    case "video":
+      return pushString(language, "video");
+    case "text":
+      return truncatePreview(content, language) ||
+        pushString(language, "newMessage");
+    default:
+      return pushString(language, "newMessage");
+  }
+}
+
+/**
+ * Sends a message's push to one recipient
+ * @param {Object} params
+ * @param {string} params.receiverUid Recipient
+ * @param {string} params.chatId Chat room ID
+ * @param {Object} params.chatData Chat room data
+ * @param {Object} params.messageData Message data
+ * @param {Object} params.sender {name, profileImageURL}, name null if
+ *   unknown
+ * @return {Promise<Object|string>} sendToUserDevices result, "disabled" or
+ *   "muted"
+ */
+async function sendMessagePush({
+  receiverUid, chatId, chatData, messageData, sender,
+}) {
+  const preferences = await getNotificationPreferences(receiverUid);
+  if (!isPushEnabled(preferences, "message")) {
+    return "disabled";
+  }
+  const now = Date.now();
+  if (isChatMuted(preferences, chatId, now)) {
+    return "muted";
+  }
+
+  const receiverDoc = await admin.firestore()
+      .collection("users")
+      .doc(receiverUid)
+      .get();
+  // The room's own count is read fresh; its badge counter may lag this
+  // message
+  const badge = await getBadgeCount(receiverUid, {
+    [chatId]: (chatData.unreadCount || {})[receiverUid] || 0,
+  });
+
+  const language = pushLanguage(receiverDoc);
+  const messageType = messageData.type || "text";
+  const preview = messagePreview(
+      messageType, messageData.content || "", language,
+      preferences.hidePreviews,
+  );
+  const isGroup = chatData.isGroup === true;
+  const senderName = sender.name || pushString(language, "someone");
+  const title = isGroup ?
+    chatData.groupName || pushString(language, "group") : senderName;
+  // A hidden preview doesn't say who wrote in the group either
+  const body = isGroup && !preferences.hidePreviews ?
+    pushString(language, "groupBody", {name: senderName, preview}) :
+    preview;
+  const appProfileImageURL = receiverDoc.exists ?
+    receiverDoc.get("profileImageURL") || "" : "";
+
+  const message = {
+    notification: {title, body},
+    data: {
+      type: "message",
+      chatId,
+      senderUid: messageData.senderUid,
+      messageType,
+      isGroup: String(isGroup),
+      userProfileImageURL: sender.profileImageURL,
+      appProfileImageURL,
+    },
+    apns: {
+      payload: {
+        "aps": {
+          "alert": {title, body},
+          "sound": "default",
+          "badge": badge,
+          "mutable-content": 1,
+        },
+        "userProfileImageURL": sender.profileImageURL,
+        "appProfileImageURL": appProfileImageURL,
+      },
+    },
+  };
+  setPushImage(message, isGroup && chatData.groupImageURL ?
+    chatData.groupImageURL : sender.profileImageURL);
+  if (isQuietTime(preferences, now)) {
+    silencePush(message);
+  }
+  return sendToUserDevices(receiverUid, message, receiverDoc);
+}
+
+/**
+ * Pushes a new message to everyone in the room except its sender
+ * @param {string} chatId Chat room ID
+ * @param {Object} chatData Chat room data, read after the message was
+ *   written
+ * @param {Object} messageData Message data
+ * @return {Promise<Object>} {[receiverUid]: result}
+ */
+async function sendMessagePushes(chatId, chatData, messageData) {
+  const senderUid = messageData.senderUid;
+  const receivers = (chatData.participants || [])
+      .filter((uid) => uid !== senderUid);
+  if (receivers.length === 0) {
+    return {};
+  }
+
+  const senderDoc = await admin.firestore()
+      .collection("users")
+      .doc(senderUid)
+      .get();
+  const sender = {
+    name: (senderDoc.exists &&
+      (senderDoc.get("username") || senderDoc.get("name"))) || null,
+    profileImageURL: senderDoc.exists ?
+      senderDoc.get("profileImageURL") || "" : "",
+  };
+
+  const results = {};
+  await Promise.all(receivers.map(async (receiverUid) => {
+    try {
+      results[receiverUid] = await sendMessagePush({
+        receiverUid, chatId, chatData, messageData, sender,
+      });
+    } catch (error) {
+      results[receiverUid] = {error: error.message};
+    }
+  }));
+  return results;
+}
+
+module.exports = {
+  messagePreview,
+  sendMessagePushes,
+};
@@ -0,0 +1,187 @@
+/**
+ * Denormalized collection previews
+ * Keeps previewPosts (newest 4 thumbnails) and postCount on each collection
+ * document so profile pages can render from a single collections query
+ *
+ * That query orders by createdAt, which leaves out collections without one.
+ * The app sets it on new collections; backfillCollectionCreatedAt
+ * fills it in on older ones from the document's creation time
+ * (npm run backfill:collection-created-at).
+ */
+
+const admin = require("firebase-admin");
+const {getPostThumbnailURL} = require("./postMedia");
+
+// Thumbnails shown per collection row (matches CollectionRowDesign)
+const PREVIEW_POST_LIMIT = 4;
+
+// Collections processed per page by the backfill
+const BACKFILL_PAGE_SIZE = 100;
+
+/**
+ * Builds the preview entries stored on a collection document
+ * @param {Array<Object>} postDocs Post snapshots, newest first
+ * @return {Array<Object>} [{id, imageURL}] - imageURL is null for placeholders
+ */
+function buildPreviewPosts(postDocs) {
+  return postDocs.slice(0, PREVIEW_POST_LIMIT).map((postDoc) => ({
+    id: postDoc.id,
+    imageURL: getPostThumbnailURL(postDoc.data()) || null,
+  }));
+}
+
+/**
+ * Reads the current preview posts and post count for a collection
+ * @param {string} collectionId Collection document ID
+ * @return {Promise<Object>} {previewPosts, postCount}
+ */
+async function getCollectionPreview(collectionId) {
+  const postsQuery = admin.firestore()
+      .collection("posts")
+      .where("collectionId", "==", collectionId);
+
+  const [postsSnapshot, countSnapshot] = await Promise.all([
+    postsQuery.orderBy("createdAt", "desc").limit(PREVIEW_POST_LIMIT).get(),
+    postsQuery.count().get(),
+  ]);
+
+  return {
+    previewPosts: buildPreviewPosts(postsSnapshot.docs),
+    postCount: countSnapshot.data().count,
+  };
+}
+
+/**
+ * Recomputes previewPosts and postCount and writes them to the collection.
+ * Recomputing (rather than incrementing) keeps the count accurate when
+ * triggers are retried or delivered out of order.
+ * @param {string} collectionId Collection document ID
+ * @return {Promise<?Object>} Written preview, or null if the collection is gone
+ */
+async function refreshCollectionPreview(collectionId) {
+  const collectionRef = admin.firestore()
+      .collection("collections")
+      .doc(collectionId);
+  const preview = await getCollectionPreview(collectionId);
+
+  try {
+    await collectionRef.update({
+      previewPosts: preview.previewPosts,
+      postCount: preview.postCount,
+    });
+  } catch (error) {
+    // NOT_FOUND - the collection was deleted before its posts
+    if (error.code === 5) {
+      return null;
+    }
+    throw error;
+  }
+  return preview;
+}
+
+/**
+ * Populates previewPosts and postCount on every existing collection
+ * @param {Object} [options]
+ * @param {number} [options.pageSize] Collections read per page
+ * @param {function(string): void} [options.log] Progress logger
+ * @return {Promise<Object>} {updated, failed}
+ */
+async function backfillCollectionPreviews(options = {}) {
+  const pageSize = options.pageSize || BACKFILL_PAGE_SIZE;
+  const log = options.log || (() => {});
+  const db = admin.firestore();
+  let updated = 0;
+  let failed = 0;
+  let lastDoc = null;
+
+  for (;;) {
+    let query = db.collection("collections")
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .select()
+        .limit(pageSize);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    for (const doc of snapshot.docs) {
+      try {
+        const preview = await refreshCollectionPreview(doc.id);
+        updated++;
+        log(`${doc.id}: ${preview ? preview.postCount : 0} posts`);
+      } catch (error) {
+        failed++;
+        log(`${doc.id}: failed - ${error.message}`);
+      }
+    }
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return {updated, failed};
+}
+
+/**
+ * Sets createdAt on collections that don't have it, from the time their
+ * document was created
+ * @param {Object} [options]
+ * @param {number} [options.pageSize] Collections read per page
+ * @param {function(string): void} [options.log] Progress logger
+ * @return {Promise<Object>} {updated, skipped}
+ */
+async function backfillCollectionCreatedAt(options = {}) {
+  const pageSize = options.pageSize || BACKFILL_PAGE_SIZE;
+  const log = options.log || (() => {});
+  const db = admin.firestore();
+  let updated = 0;
+  let skipped = 0;
+  let lastDoc = null;
+
+  for (;;) {
+    let query = db.collection("collections")
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .select("createdAt")
+        .limit(pageSize);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = db.batch();
+    let batchSize = 0;
+    for (const doc of snapshot.docs) {
+      if (doc.get("createdAt")) {
+        skipped++;
+        continue;
+      }
+      batch.update(doc.ref, {createdAt: doc.createTime});
+      batchSize++;
+      log(`${doc.id}: ${doc.createTime.toDate().toISOString()}`);
+    }
+    if (batchSize > 0) {
+      await batch.commit();
+      updated += batchSize;
+    }
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return {updated, skipped};
+}
+
+module.exports = {
+  PREVIEW_POST_LIMIT,
+  buildPreviewPosts,
+  getCollectionPreview,
+  refreshCollectionPreview,
+  backfillCollectionPreviews,
+  backfillCollectionCreatedAt,
+};
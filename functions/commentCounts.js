@@ -0,0 +1,213 @@
+/**
+ * Comment counts
+ *
+ * Keeps posts.commentCount (comments and replies) and comments.replyCount
+ * (direct replies via parentCommentId) in step with posts/{postId}/comments.
+ * A comment that has been counted carries countedAt, so a delete only
+ * uncounts comments that were counted and retries never count twice.
+ *
+ * Comments from before these triggers were counted by the app and have no
+ * countedAt. backfillCommentCountedAt stamps them once, so deleting them
+ * still uncounts them (npm run backfill:comment-counted-at after deploying).
+ *
+ * The nightly reconciliation only counts comments with countedAt and stamps
+ * posts/{postId}/counters/comments.reconciledAt when it corrects a count;
+ * deletes from before that stamp are already reflected and aren't uncounted.
+ *
+ * Comments on posts with allowReplies: false are removed instead of counted.
+ */
+
+const admin = require("firebase-admin");
+const {claimCounterEvent} = require("./counters");
+
+// Comments read per page by the backfill
+const BACKFILL_PAGE_SIZE = 300;
+
+// Comments newer than this are left to onCommentCreated by the backfill
+const BACKFILL_MIN_AGE_MS = 10 * 60 * 1000;
+
+/**
+ * Reference to a post's comment
+ * @param {string} postId Post document ID
+ * @param {string} commentId Comment document ID
+ * @return {Object} DocumentReference
+ */
+function commentRef(postId, commentId) {
+  return admin.firestore()
+      .collection("posts")
+      .doc(postId)
+      .collection("comments")
+      .doc(commentId);
+}
+
+/**
+ * Counts a new comment, or removes it if its post doesn't allow replies
+ * @param {string} postId Post document ID
+ * @param {string} commentId Comment document ID
+ * @return {Promise<string>} "counted", "removed", "duplicate" or "missing"
+ */
+async function countNewComment(postId, commentId) {
+  const db = admin.firestore();
+  const postRef = db.collection("posts").doc(postId);
+  const ref = commentRef(postId, commentId);
+
+  return db.runTransaction(async (transaction) => {
+    const [postDoc, commentDoc] = await Promise.all([
+      transaction.get(postRef),
+      transaction.get(ref),
+    ]);
+    if (!commentDoc.exists || !postDoc.exists) {
+      return "missing";
+    }
+    if (commentDoc.get("countedAt")) {
+      return "duplicate";
+    }
+
+    if (postDoc.get("allowReplies") === false) {
+      transaction.delete(ref);
+      return "removed";
+    }
+
+    const parentCommentId = commentDoc.get("parentCommentId");
+    const parentRef = parentCommentId ?
+      commentRef(postId, parentCommentId) : null;
+    const parentDoc = parentRef ? await transaction.get(parentRef) : null;
+
+    transaction.update(postRef, {
+      commentCount: admin.firestore.FieldValue.increment(1),
+    });
+    if (parentDoc && parentDoc.exists) {
+      transaction.update(parentRef, {
+        replyCount: admin.firestore.FieldValue.increment(1),
+      });
+    }
+    transaction.update(ref, {
+      countedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return "counted";
+  });
+}
+
+/**
+ * Uncounts a deleted comment, once per delete event
+ * @param {string} eventId ID of the delete event
+ * @param {string} postId Post document ID
+ * @param {Object} commentData The deleted comment's data
+ * @param {number} deletedAtMillis When the comment was deleted
+ * @return {Promise<string>} "uncounted", "uncounted-never", "reconciled",
+ *   "duplicate" or "missing"
+ */
+async function uncountDeletedComment(eventId, postId, commentData,
+    deletedAtMillis) {
+  // Never counted (e.g. removed for allowReplies), so nothing to undo
+  if (!commentData.countedAt) {
+    return "uncounted-never";
+  }
+
+  const db = admin.firestore();
+  const postRef = db.collection("posts").doc(postId);
+  const counterRef = postRef.collection("counters").doc("comments");
+  const parentRef = commentData.parentCommentId ?
+    commentRef(postId, commentData.parentCommentId) : null;
+
+  return db.runTransaction(async (transaction) => {
+    // All reads go before claimCounterEvent's write
+    const [postDoc, counterDoc, parentDoc] = await Promise.all([
+      transaction.get(postRef),
+      transaction.get(counterRef),
+      parentRef ? transaction.get(parentRef) : null,
+    ]);
+    const claimed = await claimCounterEvent(transaction, eventId, {
+      counter: "comments",
+      path: postRef.path,
+      delta: -1,
+    });
+    if (!claimed) {
+      return "duplicate";
+    }
+
+    // Deleting a post deletes its comments too; there is no count to fix
+    if (!postDoc.exists) {
+      return "missing";
+    }
+    if (parentDoc && parentDoc.exists) {
+      transaction.update(parentRef, {
+        replyCount: admin.firestore.FieldValue.increment(-1),
+      });
+    }
+    // Reconciled after the delete: commentCount already leaves it out
+    const reconciledAt = counterDoc.exists ?
+      counterDoc.get("reconciledAt") : null;
+    if (reconciledAt && reconciledAt.toMillis() >= deletedAtMillis) {
+      return "reconciled";
+    }
+    transaction.update(postRef, {
+      commentCount: admin.firestore.FieldValue.increment(-1),
+    });
+    return "uncounted";
+  });
+}
+
+/**
+ * Marks comments created before the count triggers as counted
+ * @param {Object} [options]
+ * @param {number} [options.pageSize] Comments read per page
+ * @param {function(string): void} [options.log] Progress logger
+ * @return {Promise<Object>} {updated, skipped}
+ */
+async function backfillCommentCountedAt(options = {}) {
+  const pageSize = options.pageSize || BACKFILL_PAGE_SIZE;
+  const log = options.log || (() => {});
+  const db = admin.firestore();
+  const cutoff = Date.now() - BACKFILL_MIN_AGE_MS;
+  let updated = 0;
+  let skipped = 0;
+  let lastDoc = null;
+
+  for (;;) {
+    let query = db.collectionGroup("comments")
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .select("countedAt", "createdAt")
+        .limit(pageSize);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = db.batch();
+    let batchSize = 0;
+    for (const doc of snapshot.docs) {
+      const {countedAt, createdAt} = doc.data();
+      const createdAtMillis = createdAt && createdAt.toMillis ?
+        createdAt.toMillis() : 0;
+      // Recent comments may still be waiting for onCommentCreated
+      if (countedAt || createdAtMillis > cutoff) {
+        skipped++;
+        continue;
+      }
+      batch.update(doc.ref, {
+        countedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      batchSize++;
+      log(doc.ref.path);
+    }
+    if (batchSize > 0) {
+      await batch.commit();
+      updated += batchSize;
+    }
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return {updated, skipped};
+}
+
+module.exports = {
+  countNewComment,
+  uncountDeletedComment,
+  backfillCommentCountedAt,
+};
@@ -0,0 +1,206 @@
+/**
+ * Distributed counters
+ *
+ * A counter named `name` on a document lives in
+ * {doc}/counters/{name}/shards/{0..SHARD_COUNT-1}, so hot documents spread
+ * increments over several shards instead of hitting Firestore's
+ * one-write-per-second limit on the document itself.
+ *
+ * A scheduled roll-up copies totals back onto the parent field (viewCount,
+ * likeCount, ...) so existing queries keep working. It adds only the change
+ * since the last roll-up, which keeps counts made before sharding existed.
+ */
+
+const admin = require("firebase-admin");
+
+const SHARD_COUNT = 10;
+
+// Roll-up bookkeeping: counter_rollups/{name}.lastRunAt
+const ROLLUPS_COLLECTION = "counter_rollups";
+
+// Trigger events already applied, removed by a TTL policy on expireAt
+const COUNTER_EVENTS_COLLECTION = "counter_events";
+
+// How long an applied event is remembered (event retries stop well before)
+const COUNTER_EVENT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Re-scan shards touched this long before the last run, to cover commits
+// that landed while it was running (rolling up twice is harmless)
+const ROLLUP_OVERLAP_MS = 2 * 60 * 1000;
+
+/**
+ * Reference to a counter's shards
+ * @param {Object} parentRef DocumentReference the counter belongs to
+ * @param {string} name Counter name
+ * @return {Object} CollectionReference
+ */
+function counterShards(parentRef, name) {
+  return parentRef.collection("counters").doc(name).collection("shards");
+}
+
+/**
+ * Adds an increment to a random shard of a counter
+ * @param {Object} writer Transaction, WriteBatch or BulkWriter
+ * @param {Object} parentRef DocumentReference the counter belongs to
+ * @param {string} name Counter name
+ * @param {number} delta Amount to add (may be negative)
+ * @param {?number} shard Shard index (random if omitted)
+ * @return {*} Whatever writer.set returns
+ */
+function incrementCounter(writer, parentRef, name, delta, shard) {
+  const index = Number.isInteger(shard) ?
+    shard : Math.floor(Math.random() * SHARD_COUNT);
+  return writer.set(counterShards(parentRef, name).doc(String(index)), {
+    counter: name,
+    count: admin.firestore.FieldValue.increment(delta),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, {merge: true});
+}
+
+/**
+ * Marks a trigger event as applied within a transaction. Reads, so it must
+ * run before the transaction's writes.
+ * @param {Object} transaction Firestore transaction
+ * @param {string} eventId ID of the trigger event
+ * @param {Object} details Stored with the marker for debugging
+ * @return {Promise<boolean>} False if the event was already applied
+ */
+async function claimCounterEvent(transaction, eventId, details) {
+  const eventRef = admin.firestore()
+      .collection(COUNTER_EVENTS_COLLECTION)
+      .doc(eventId);
+  const eventDoc = await transaction.get(eventRef);
+  if (eventDoc.exists) {
+    return false;
+  }
+  transaction.create(eventRef, {
+    ...details,
+    expireAt: admin.firestore.Timestamp.fromMillis(
+        Date.now() + COUNTER_EVENT_TTL_MS,
+    ),
+  });
+  return true;
+}
+
+/**
+ * Increments a counter once per trigger event, so retried deliveries of the
+ * same event don't count twice
+ * @param {string} eventId ID of the trigger event
+ * @param {Object} parentRef DocumentReference the counter belongs to
+ * @param {string} name Counter name
+ * @param {number} delta Amount to add (may be negative)
+ * @return {Promise<boolean>} False if the event was already applied
+ */
+async function applyCounterEvent(eventId, parentRef, name, delta) {
+  return admin.firestore().runTransaction(async (transaction) => {
+    const claimed = await claimCounterEvent(transaction, eventId, {
+      counter: name,
+      path: parentRef.path,
+      delta,
+    });
+    if (claimed) {
+      incrementCounter(transaction, parentRef, name, delta);
+    }
+    return claimed;
+  });
+}
+
+/**
+ * Sums a counter's shards
+ * @param {Object} parentRef DocumentReference the counter belongs to
+ * @param {string} name Counter name
+ * @param {?Object} transaction Read within this transaction if given
+ * @return {Promise<number>} Counter total
+ */
+async function readCounter(parentRef, name, transaction) {
+  const query = counterShards(parentRef, name);
+  const snapshot = transaction ?
+    await transaction.get(query) : await query.get();
+  return snapshot.docs.reduce((sum, doc) => sum + (doc.get("count") || 0), 0);
+}
+
+/**
+ * Applies one counter's change since its last roll-up to the parent field
+ * @param {Object} parentRef DocumentReference the counter belongs to
+ * @param {string} name Counter name
+ * @param {string} field Parent field to keep in sync
+ * @return {Promise<number>} Change applied
+ */
+async function rollUpCounter(parentRef, name, field) {
+  const counterRef = parentRef.collection("counters").doc(name);
+  return admin.firestore().runTransaction(async (transaction) => {
+    const [parentDoc, counterDoc, total] = await Promise.all([
+      transaction.get(parentRef),
+      transaction.get(counterRef),
+      readCounter(parentRef, name, transaction),
+    ]);
+    const rolledUp = counterDoc.exists ? counterDoc.get("rolledUp") || 0 : 0;
+    const delta = total - rolledUp;
+    if (delta === 0 || !parentDoc.exists) {
+      return 0;
+    }
+
+    transaction.update(parentRef, {
+      [field]: admin.firestore.FieldValue.increment(delta),
+    });
+    transaction.set(counterRef, {
+      rolledUp: total,
+      rolledUpAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+    return delta;
+  });
+}
+
+/**
+ * Rolls up every counter with this name whose shards changed since the
+ * previous run
+ * @param {string} name Counter name
+ * @param {string} field Parent field to keep in sync
+ * @return {Promise<Object>} {counters, changed}
+ */
+async function rollUpCounters(name, field) {
+  const db = admin.firestore();
+  const stateRef = db.collection(ROLLUPS_COLLECTION).doc(name);
+  const startedAt = Date.now();
+
+  const stateDoc = await stateRef.get();
+  const lastRunAt = stateDoc.exists && stateDoc.get("lastRunAt") ?
+    stateDoc.get("lastRunAt").toMillis() : 0;
+
+  const snapshot = await db.collectionGroup("shards")
+      .where("counter", "==", name)
+      .where("updatedAt", ">=", admin.firestore.Timestamp.fromMillis(
+          Math.max(0, lastRunAt - ROLLUP_OVERLAP_MS),
+      ))
+      .select()
+      .get();
+
+  // shard -> shards -> counters/{name} -> counters -> parent
+  const parents = new Map();
+  snapshot.docs.forEach((doc) => {
+    const parentRef = doc.ref.parent.parent.parent.parent;
+    parents.set(parentRef.path, parentRef);
+  });
+
+  let changed = 0;
+  for (const parentRef of parents.values()) {
+    if (await rollUpCounter(parentRef, name, field) !== 0) {
+      changed++;
+    }
+  }
+
+  await stateRef.set({
+    lastRunAt: admin.firestore.Timestamp.fromMillis(startedAt),
+  }, {merge: true});
+  return {counters: parents.size, changed};
+}
+
+module.exports = {
+  SHARD_COUNT,
+  incrementCounter,
+  claimCounterEvent,
+  applyCounterEvent,
+  readCounter,
+  rollUpCounter,
+  rollUpCounters,
+};
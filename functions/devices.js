@@ -0,0 +1,101 @@
+/**
+ * Device token registry
+ *
+ * Each signed-in device registers itself at users/{uid}/devices/{deviceId}:
+ *   {token, platform, appVersion, lastSeenAt}
+ * Pushes go to every registered device in one multicast send. Tokens FCM
+ * reports as unregistered or invalid are pruned from the registry.
+ *
+ * Users on app versions from before the registry only have the legacy
+ * users/{uid}.fcmToken field, which is still used until it is replaced.
+ */
+
+const admin = require("firebase-admin");
+
+// sendEachForMulticast accepts at most this many tokens per call
+const MULTICAST_TOKEN_LIMIT = 500;
+
+// Errors that mean a token will never work again
+const STALE_TOKEN_ERRORS = [
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-argument",
+];
+
+/**
+ * Loads every push token of a user
+ * @param {string} uid User ID
+ * @param {?Object} userDoc The user's document if already loaded
+ * @return {Promise<Array<Object>>} [{token, ref}], ref being the device doc
+ *   or the user doc for the legacy token
+ */
+async function getDeviceTokens(uid, userDoc) {
+  const userRef = admin.firestore().collection("users").doc(uid);
+  const [devicesSnapshot, user] = await Promise.all([
+    userRef.collection("devices").get(),
+    userDoc ? Promise.resolve(userDoc) : userRef.get(),
+  ]);
+
+  const tokens = new Map();
+  devicesSnapshot.docs.forEach((doc) => {
+    const token = doc.get("token");
+    if (token && !tokens.has(token)) {
+      tokens.set(token, {token, ref: doc.ref});
+    }
+  });
+  const legacyToken = user.exists ? user.get("fcmToken") : null;
+  if (legacyToken && !tokens.has(legacyToken)) {
+    tokens.set(legacyToken, {token: legacyToken, ref: userRef});
+  }
+  return [...tokens.values()];
+}
+
+/**
+ * Removes a token FCM rejected: deletes its device doc, or clears the
+ * legacy field
+ * @param {Object} entry {token, ref} from getDeviceTokens
+ * @return {Promise<void>}
+ */
+async function pruneToken(entry) {
+  if (entry.ref.parent.id === "devices") {
+    await entry.ref.delete();
+    return;
+  }
+  await entry.ref.update({
+    fcmToken: admin.firestore.FieldValue.delete(),
+  });
+}
+
+/**
+ * Sends a message to every device of a user, pruning stale tokens
+ * @param {string} uid User ID
+ * @param {Object} message FCM message without a token
+ * @param {?Object} userDoc The user's document if already loaded
+ * @return {Promise<Object>} {devices, sent, failed, pruned}
+ */
+async function sendToUserDevices(uid, message, userDoc) {
+  const entries = await getDeviceTokens(uid, userDoc);
+  const result = {devices: entries.length, sent: 0, failed: 0, pruned: 0};
+
+  for (let i = 0; i < entries.length; i += MULTICAST_TOKEN_LIMIT) {
+    const batch = entries.slice(i, i + MULTICAST_TOKEN_LIMIT);
+    const response = await admin.messaging().sendEachForMulticast({
+      ...message,
+      tokens: batch.map((entry) => entry.token),
+    });
+    result.sent += response.successCount;
+    result.failed += response.failureCount;
+
+    const stale = batch.filter((entry, index) => {
+      const error = response.responses[index].error;
+      return error && STALE_TOKEN_ERRORS.includes(error.code);
+    });
+    await Promise.all(stale.map(pruneToken));
+    result.pruned += stale.length;
+  }
+  return result;
+}
+
+module.exports = {
+  getDeviceTokens,
+  sendToUserDevices,
+};
@@ -0,0 +1,291 @@
+/**
+ * Discover feed
+ *
+ * Public collections and posts from collections the caller doesn't follow,
+ * belong to or have hidden, with blocked owners and authors left out.
+ *
+ * Both streams are scanned newest first by (createdAt, document ID), which
+ * never changes, so the cursor can't make a page repeat. Each page is then
+ * ordered by recent engagement before it is returned.
+ */
+
+const admin = require("firebase-admin");
+const {getFeedSourceCollectionIds} = require("./timelines");
+
+// Docs read per query while filling a page
+const SCAN_BATCH_SIZE = 50;
+
+// Queries per stream per page, so heavily filtered feeds still return
+const MAX_SCAN_ROUNDS = 4;
+
+// Recent posts summed into a collection's engagement
+const COLLECTION_ENGAGEMENT_POSTS = 10;
+
+/**
+ * Encodes a stream position
+ * @param {Object} doc Last scanned document snapshot
+ * @return {Object} {s, n, id}
+ */
+function streamPosition(doc) {
+  const createdAt = doc.get("createdAt");
+  return {
+    s: createdAt ? createdAt.seconds : 0,
+    n: createdAt ? createdAt.nanoseconds : 0,
+    id: doc.id,
+  };
+}
+
+/**
+ * Encodes the discover cursor
+ * @param {Object} cursor {posts, collections} - stream positions, or
+ *   "done" once a stream is exhausted
+ * @return {string} base64url cursor
+ */
+function encodeDiscoverCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+/**
+ * Decodes a discover cursor
+ * @param {string} value base64url cursor from a previous page
+ * @return {?Object} {posts, collections}, or null if malformed
+ */
+function decodeDiscoverCursor(value) {
+  const isPosition = (position) => position === null ||
+    position === "done" ||
+    (position && Number.isInteger(position.s) &&
+      Number.isInteger(position.n) &&
+      typeof position.id === "string" && position.id.length > 0);
+  try {
+    const cursor = JSON.parse(
+        Buffer.from(String(value), "base64url").toString("utf8"),
+    );
+    if (!cursor || !isPosition(cursor.posts) ||
+      !isPosition(cursor.collections)) {
+      return null;
+    }
+    return cursor;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds the caller's exclusion lists
+ * @param {string} uid Caller's user ID
+ * @param {Object} userData Caller's user document data
+ * @return {Object} {uid, blockedUserIds, excludedCollectionIds}
+ */
+function buildViewer(uid, userData) {
+  return {
+    uid,
+    blockedUserIds: new Set([
+      ...(userData.blockedUsers || []),
+      ...(userData.blockedByUsers || []),
+    ]),
+    excludedCollectionIds: new Set([
+      ...getFeedSourceCollectionIds(userData),
+      ...(userData.blockedCollectionIds || []),
+    ]),
+  };
+}
+
+/**
+ * Whether a collection belongs in the viewer's discover feed
+ * @param {string} collectionId Collection document ID
+ * @param {?Object} data Collection document data
+ * @param {Object} viewer From buildViewer
+ * @return {boolean} True if it can be shown
+ */
+function isDiscoverableCollection(collectionId, data, viewer) {
+  if (!data || data.isPublic !== true) {
+    return false;
+  }
+  if (viewer.excludedCollectionIds.has(collectionId)) {
+    return false;
+  }
+  const owners = [data.ownerId, ...(data.owners || [])];
+  if (owners.includes(viewer.uid) ||
+    owners.some((ownerId) => viewer.blockedUserIds.has(ownerId))) {
+    return false;
+  }
+  return !(data.members || []).includes(viewer.uid) &&
+    !(data.followers || []).includes(viewer.uid) &&
+    !(data.deniedUsers || []).includes(viewer.uid);
+}
+
+/**
+ * Scans a stream newest first until `limit` docs pass the filter
+ * @param {Object} baseQuery Query without ordering or cursor
+ * @param {?Object} position Stream position from the cursor
+ * @param {number} limit Docs wanted
+ * @param {function(Array<Object>): Promise<Array<boolean>>} filter
+ *   Resolves whether each doc of a batch is kept
+ * @return {Promise<Object>} {docs, position} - position is "done" at the end
+ */
+async function scanStream(baseQuery, position, limit, filter) {
+  const kept = [];
+  let lastScanned = null;
+  let after = position;
+
+  for (let round = 0; round < MAX_SCAN_ROUNDS; round++) {
+    let query = baseQuery
+        .orderBy("createdAt", "desc")
+        .orderBy(admin.firestore.FieldPath.documentId(), "desc")
+        .limit(SCAN_BATCH_SIZE);
+    if (after) {
+      query = query.startAfter(
+          new admin.firestore.Timestamp(after.s, after.n),
+          after.id,
+      );
+    }
+    const snapshot = await query.get();
+    const keep = await filter(snapshot.docs);
+
+    // Stop at the doc that fills the page so the rest aren't skipped
+    for (let i = 0; i < snapshot.docs.length; i++) {
+      lastScanned = snapshot.docs[i];
+      if (keep[i]) {
+        kept.push(snapshot.docs[i]);
+        if (kept.length === limit) {
+          return {docs: kept, position: streamPosition(lastScanned)};
+        }
+      }
+    }
+
+    if (snapshot.size < SCAN_BATCH_SIZE) {
+      return {docs: kept, position: "done"};
+    }
+    after = streamPosition(lastScanned);
+  }
+  return {docs: kept, position: after};
+}
+
+/**
+ * Loads collection docs by ID, reusing ones already loaded
+ * @param {Array<string>} collectionIds Collection document IDs
+ * @param {Map<string, ?Object>} cache ID -> data (null if missing)
+ * @return {Promise<void>}
+ */
+async function loadCollections(collectionIds, cache) {
+  const db = admin.firestore();
+  const missing = [...new Set(collectionIds)].filter(
+      (id) => id && !cache.has(id),
+  );
+  if (missing.length === 0) {
+    return;
+  }
+  const docs = await db.getAll(
+      ...missing.map((id) => db.collection("collections").doc(id)),
+  );
+  docs.forEach((doc) => cache.set(doc.id, doc.exists ? doc.data() : null));
+}
+
+/**
+ * Sum of engagementScore over a collection's most recent posts
+ * @param {string} collectionId Collection document ID
+ * @return {Promise<number>} Recent engagement
+ */
+async function getRecentCollectionEngagement(collectionId) {
+  const snapshot = await admin.firestore()
+      .collection("posts")
+      .where("collectionId", "==", collectionId)
+      .orderBy("createdAt", "desc")
+      .limit(COLLECTION_ENGAGEMENT_POSTS)
+      .select("engagementScore")
+      .get();
+  return snapshot.docs.reduce(
+      (sum, doc) => sum + (doc.get("engagementScore") || 0),
+      0,
+  );
+}
+
+/**
+ * Reads one page of the discover feed
+ * @param {string} uid Caller's user ID
+ * @param {Object} userData Caller's user document data
+ * @param {Object} options
+ * @param {number} options.postLimit Posts per page
+ * @param {number} options.collectionLimit Collections per page
+ * @param {?Object} options.cursor Decoded cursor, or null for the first page
+ * @return {Promise<Object>} {collections, posts, hasMore, nextCursor}
+ */
+async function readDiscoverPage(uid, userData, options) {
+  const {postLimit, collectionLimit} = options;
+  const cursor = options.cursor || {posts: null, collections: null};
+  const db = admin.firestore();
+  const viewer = buildViewer(uid, userData);
+  const collectionCache = new Map();
+
+  const postsScan = cursor.posts === "done" ?
+    {docs: [], position: "done"} :
+    scanStream(db.collection("posts"), cursor.posts, postLimit,
+        async (docs) => {
+          await loadCollections(
+              docs.map((doc) => doc.get("collectionId")),
+              collectionCache,
+          );
+          return docs.map((doc) => {
+            const authorId = doc.get("authorId");
+            const collectionId = doc.get("collectionId");
+            return authorId !== uid &&
+              !viewer.blockedUserIds.has(authorId) &&
+              isDiscoverableCollection(
+                  collectionId,
+                  collectionCache.get(collectionId),
+                  viewer,
+              );
+          });
+        });
+
+  // A page size of 0 leaves the collections stream where it was
+  const collectionsScan = cursor.collections === "done" ||
+    collectionLimit === 0 ?
+    {docs: [], position: cursor.collections} :
+    scanStream(
+        db.collection("collections").where("isPublic", "==", true),
+        cursor.collections,
+        collectionLimit,
+        async (docs) => docs.map(
+            (doc) => isDiscoverableCollection(doc.id, doc.data(), viewer),
+        ),
+    );
+
+  const [postsPage, collectionsPage] = await Promise.all([
+    postsScan,
+    collectionsScan,
+  ]);
+
+  // engagementScore already decays with age, so it favours recent activity
+  const posts = postsPage.docs
+      .map((doc) => ({id: doc.id, ...doc.data()}))
+      .sort((a, b) => (b.engagementScore || 0) - (a.engagementScore || 0));
+
+  const engagement = await Promise.all(collectionsPage.docs.map(
+      (doc) => getRecentCollectionEngagement(doc.id),
+  ));
+  const collections = collectionsPage.docs
+      .map((doc, i) => ({
+        collection: {id: doc.id, ...doc.data()},
+        score: engagement[i],
+      }))
+      .sort((a, b) => b.score - a.score)
+      .map(({collection}) => collection);
+
+  const hasMore = postsPage.position !== "done" ||
+    (collectionLimit > 0 && collectionsPage.position !== "done");
+  return {
+    collections,
+    posts,
+    hasMore,
+    nextCursor: hasMore ? encodeDiscoverCursor({
+      posts: postsPage.position,
+      collections: collectionsPage.position,
+    }) : null,
+  };
+}
+
+module.exports = {
+  decodeDiscoverCursor,
+  readDiscoverPage,
+};
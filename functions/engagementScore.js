@@ -0,0 +1,195 @@
+/**
+ * Post engagement scores
+ *
+ * engagementScore = (likes x likeWeight + comments x commentWeight +
+ * views x viewWeight), decayed by the post's age with the configured
+ * half-life. onPostEngagementUpdated scores a post when its counts change,
+ * and recomputeRecentEngagementScores keeps decaying posts that went quiet.
+ *
+ * Weights live in config/engagementScore and can be tuned without a deploy.
+ */
+
+const admin = require("firebase-admin");
+
+const ENGAGEMENT_CONFIG_DOC = "config/engagementScore";
+
+const DEFAULT_ENGAGEMENT_CONFIG = {
+  likeWeight: 3,
+  commentWeight: 5,
+  viewWeight: 0.1,
+  // Same curve as the original exp(-hours / 48)
+  halfLifeHours: 48 * Math.LN2,
+  // Posts older than this are left at their last score by the recompute
+  activeWindowDays: 7,
+};
+
+// How long an instance reuses the config before reading it again
+const CONFIG_CACHE_MS = 60 * 1000;
+
+// Posts read and rescored per page by the recompute
+const RECOMPUTE_PAGE_SIZE = 300;
+
+// Relative change below which a stored score isn't rewritten
+const MIN_RELATIVE_CHANGE = 0.01;
+
+// Fields that must be above zero; the weights may also be zero
+const POSITIVE_CONFIG_FIELDS = ["halfLifeHours", "activeWindowDays"];
+
+let cachedConfig = null;
+let cachedConfigAt = 0;
+
+/**
+ * Merges stored config over the defaults. Fields that are missing, not
+ * numbers, negative, or zero where that makes no sense keep their default.
+ * @param {?Object} stored config/engagementScore data
+ * @return {Object} Engagement config
+ */
+function resolveEngagementConfig(stored) {
+  const config = {...DEFAULT_ENGAGEMENT_CONFIG};
+  Object.keys(DEFAULT_ENGAGEMENT_CONFIG).forEach((key) => {
+    const value = stored ? stored[key] : undefined;
+    if (typeof value !== "number" || !isFinite(value) || value < 0) {
+      return;
+    }
+    if (value === 0 && POSITIVE_CONFIG_FIELDS.includes(key)) {
+      return;
+    }
+    config[key] = value;
+  });
+  return config;
+}
+
+/**
+ * Reads the scoring weights, falling back to defaults for invalid fields
+ * @return {Promise<Object>} Engagement config
+ */
+async function getEngagementConfig() {
+  if (cachedConfig && Date.now() - cachedConfigAt < CONFIG_CACHE_MS) {
+    return cachedConfig;
+  }
+  const doc = await admin.firestore().doc(ENGAGEMENT_CONFIG_DOC).get();
+  const config = resolveEngagementConfig(doc.exists ? doc.data() : null);
+  cachedConfig = config;
+  cachedConfigAt = Date.now();
+  return config;
+}
+
+/**
+ * Computes a post's engagement score
+ * @param {Object} counts
+ * @param {number} counts.likeCount Likes
+ * @param {number} counts.commentCount Comments
+ * @param {number} counts.viewCount Views
+ * @param {number} ageHours Hours since the post was created
+ * @param {Object} config Weights and half-life (see DEFAULT_ENGAGEMENT_CONFIG)
+ * @return {Object} {engagementScore, rawScore, recencyFactor}
+ */
+function computeEngagementScore(counts, ageHours, config) {
+  const rawScore = (counts.likeCount || 0) * config.likeWeight +
+    (counts.commentCount || 0) * config.commentWeight +
+    (counts.viewCount || 0) * config.viewWeight;
+  const recencyFactor = config.halfLifeHours > 0 ?
+    Math.pow(0.5, Math.max(0, ageHours) / config.halfLifeHours) : 0;
+  return {
+    engagementScore: rawScore * recencyFactor,
+    rawScore,
+    recencyFactor,
+  };
+}
+
+/**
+ * Scores a post document's data as of a given time
+ * @param {Object} postData Post document data
+ * @param {Object} config Engagement config
+ * @param {number} now Current time in milliseconds
+ * @return {Object} {engagementScore, rawScore, recencyFactor}
+ */
+function scorePostData(postData, config, now) {
+  const createdAtMillis = postData.createdAt && postData.createdAt.toMillis ?
+    postData.createdAt.toMillis() : now;
+  return computeEngagementScore(
+      postData,
+      (now - createdAtMillis) / 3600000,
+      config,
+  );
+}
+
+/**
+ * Whether a stored score is far enough from the new one to rewrite
+ * @param {?number} stored Current engagementScore
+ * @param {number} next Recomputed score
+ * @return {boolean} True if it should be written
+ */
+function needsUpdate(stored, next) {
+  if (typeof stored !== "number") {
+    return true;
+  }
+  const scale = Math.max(Math.abs(stored), Math.abs(next));
+  return scale > 0 && Math.abs(stored - next) / scale >= MIN_RELATIVE_CHANGE;
+}
+
+/**
+ * Recomputes decayed scores for posts created within the active window
+ * @param {Object} options
+ * @param {number} options.pageSize Posts read per page
+ * @return {Promise<Object>} {scanned, updated, failed}
+ */
+async function recomputeRecentEngagementScores({
+  pageSize = RECOMPUTE_PAGE_SIZE,
+} = {}) {
+  const db = admin.firestore();
+  const config = await getEngagementConfig();
+  const now = Date.now();
+  const windowStart = admin.firestore.Timestamp.fromMillis(
+      now - config.activeWindowDays * 24 * 3600000,
+  );
+
+  const writer = db.bulkWriter();
+  let scanned = 0;
+  let updated = 0;
+  let failed = 0;
+  let lastDoc = null;
+
+  for (;;) {
+    let query = db.collection("posts")
+        .where("createdAt", ">=", windowStart)
+        .orderBy("createdAt")
+        .select("likeCount", "commentCount", "viewCount",
+            "createdAt", "engagementScore")
+        .limit(pageSize);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    for (const doc of snapshot.docs) {
+      const data = doc.data();
+      const {engagementScore} = scorePostData(data, config, now);
+      if (needsUpdate(data.engagementScore, engagementScore)) {
+        // Posts deleted since the read are skipped, not fatal
+        writer.update(doc.ref, {engagementScore})
+            .then(() => updated++, () => failed++);
+      }
+    }
+    scanned += snapshot.size;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    if (snapshot.size < pageSize) {
+      break;
+    }
+  }
+
+  await writer.close();
+  return {scanned, updated, failed};
+}
+
+module.exports = {
+  DEFAULT_ENGAGEMENT_CONFIG,
+  resolveEngagementConfig,
+  getEngagementConfig,
+  computeEngagementScore,
+  scorePostData,
+  recomputeRecentEngagementScores,
+};
@@ -0,0 +1,223 @@
+/**
+ * Ranked home feed
+ *
+ * Ranked pages are cut from the same chronological timeline as the default
+ * feed, so the lastPostId cursor still walks every post exactly once. Within
+ * a page, posts are scored by recency, engagementScore and pinning, then
+ * reordered so one collection or author can't fill a run of the feed.
+ *
+ * Weights live in config/feedRanking and can be tuned without a deploy.
+ */
+
+const admin = require("firebase-admin");
+const {readHomeFeedPage} = require("./timelines");
+
+const RANKING_CONFIG_DOC = "config/feedRanking";
+
+const DEFAULT_RANKING_CONFIG = {
+  recencyWeight: 1,
+  recencyHalfLifeHours: 24,
+  engagementWeight: 0.5,
+  pinnedBoost: 1.5,
+  pinnedHalfLifeHours: 72,
+  maxConsecutivePerCollection: 2,
+  maxConsecutivePerAuthor: 2,
+};
+
+// How long an instance reuses the config before reading it again
+const CONFIG_CACHE_MS = 60 * 1000;
+
+// Extra timeline pages read to replace posts the user has already seen
+const MAX_REFILL_ROUNDS = 3;
+
+let cachedConfig = null;
+let cachedConfigAt = 0;
+
+/**
+ * Reads the ranking weights, falling back to defaults for missing fields
+ * @return {Promise<Object>} Ranking config
+ */
+async function getRankingConfig() {
+  if (cachedConfig && Date.now() - cachedConfigAt < CONFIG_CACHE_MS) {
+    return cachedConfig;
+  }
+  const doc = await admin.firestore().doc(RANKING_CONFIG_DOC).get();
+  const stored = doc.exists ? doc.data() : {};
+
+  const config = {...DEFAULT_RANKING_CONFIG};
+  Object.keys(DEFAULT_RANKING_CONFIG).forEach((key) => {
+    if (typeof stored[key] === "number" && isFinite(stored[key])) {
+      config[key] = stored[key];
+    }
+  });
+  cachedConfig = config;
+  cachedConfigAt = Date.now();
+  return config;
+}
+
+/**
+ * Hours since a Firestore timestamp
+ * @param {?Object} timestamp Firestore Timestamp
+ * @param {number} now Current time in milliseconds
+ * @return {?number} Hours, or null without a timestamp
+ */
+function hoursSince(timestamp, now) {
+  if (!timestamp || !timestamp.toMillis) {
+    return null;
+  }
+  return Math.max(0, (now - timestamp.toMillis()) / 3600000);
+}
+
+/**
+ * Exponential decay that halves every halfLifeHours
+ * @param {number} hours Age in hours
+ * @param {number} halfLifeHours Half-life in hours
+ * @return {number} Factor between 0 and 1
+ */
+function decay(hours, halfLifeHours) {
+  return halfLifeHours > 0 ? Math.pow(0.5, hours / halfLifeHours) : 0;
+}
+
+/**
+ * Scores a post for the ranked feed
+ * @param {Object} post Post data (with id)
+ * @param {Object} config Ranking config
+ * @param {number} now Current time in milliseconds
+ * @return {number} Higher ranks first
+ */
+function scorePost(post, config, now) {
+  const ageHours = hoursSince(post.createdAt, now);
+  const recency = ageHours === null ?
+    0 : decay(ageHours, config.recencyHalfLifeHours);
+
+  // engagementScore is unbounded, so compress it to keep recency relevant
+  const engagement = Math.log1p(Math.max(0, post.engagementScore || 0));
+
+  let pinned = 0;
+  if (post.isPinned) {
+    const pinnedHours = hoursSince(post.pinnedAt, now);
+    pinned = pinnedHours === null ?
+      1 : decay(pinnedHours, config.pinnedHalfLifeHours);
+  }
+
+  return config.recencyWeight * recency +
+    config.engagementWeight * engagement +
+    config.pinnedBoost * pinned;
+}
+
+/**
+ * Length of the run of posts sharing a field value at the end of a list
+ * @param {Array<Object>} posts Posts placed so far
+ * @param {string} field "collectionId" or "authorId"
+ * @param {*} value Value to match
+ * @return {number} Run length
+ */
+function trailingRun(posts, field, value) {
+  let run = 0;
+  for (let i = posts.length - 1; i >= 0 && posts[i][field] === value; i--) {
+    run++;
+  }
+  return run;
+}
+
+/**
+ * Orders posts by score, capping consecutive posts from one collection or
+ * author. When every remaining post would break a cap, the best one is
+ * placed anyway rather than dropped.
+ * @param {Array<Object>} posts Posts (with id)
+ * @param {Object} config Ranking config
+ * @return {Array<Object>} Ranked posts
+ */
+function rankPosts(posts, config) {
+  const now = Date.now();
+  const remaining = posts
+      .map((post) => ({post, score: scorePost(post, config, now)}))
+      .sort((a, b) => b.score - a.score);
+
+  const ranked = [];
+  while (remaining.length > 0) {
+    let index = remaining.findIndex(({post}) =>
+      (!post.collectionId || trailingRun(ranked, "collectionId",
+          post.collectionId) < config.maxConsecutivePerCollection) &&
+      (!post.authorId || trailingRun(ranked, "authorId",
+          post.authorId) < config.maxConsecutivePerAuthor));
+    if (index === -1) {
+      index = 0;
+    }
+    ranked.push(remaining.splice(index, 1)[0].post);
+  }
+  return ranked;
+}
+
+/**
+ * Post IDs the user has viewed, from posts/{postId}/views/{uid}
+ * @param {string} uid User ID
+ * @param {Array<string>} postIds Candidate post IDs
+ * @return {Promise<Set<string>>} IDs with a view record
+ */
+async function getViewedPostIds(uid, postIds) {
+  if (postIds.length === 0) {
+    return new Set();
+  }
+  const db = admin.firestore();
+  const viewDocs = await db.getAll(...postIds.map((postId) => db
+      .collection("posts")
+      .doc(postId)
+      .collection("views")
+      .doc(uid)));
+  return new Set(viewDocs
+      .filter((doc) => doc.exists)
+      .map((doc) => doc.ref.parent.parent.id));
+}
+
+/**
+ * Reads one ranked page of a user's home feed
+ * @param {string} uid User ID
+ * @param {Object} userData User document data
+ * @param {Object} options
+ * @param {number} options.pageSize Posts per page
+ * @param {?string} options.lastPostId Cursor from the previous page
+ * @param {Array<string>} options.seenPostIds Extra IDs the client has shown
+ * @return {Promise<Object>} {posts, hasMore, lastPostId}
+ */
+async function readRankedHomeFeedPage(uid, userData, options) {
+  const {pageSize, seenPostIds = []} = options;
+  const config = await getRankingConfig();
+  const seen = new Set(seenPostIds);
+
+  // Walk the timeline until a page of unseen posts is collected
+  const candidates = [];
+  let cursor = options.lastPostId || null;
+  let hasMore = true;
+  for (let round = 0; round <= MAX_REFILL_ROUNDS &&
+    hasMore && candidates.length < pageSize; round++) {
+    const page = await readHomeFeedPage(uid, userData, {
+      pageSize: pageSize - candidates.length,
+      lastPostId: cursor,
+    });
+    const viewed = await getViewedPostIds(
+        uid,
+        page.posts.map((post) => post.id),
+    );
+    candidates.push(...page.posts.filter(
+        (post) => !seen.has(post.id) && !viewed.has(post.id),
+    ));
+    hasMore = page.hasMore;
+    cursor = page.lastPostId || cursor;
+  }
+
+  return {
+    posts: rankPosts(candidates, config),
+    hasMore,
+    // Chronological position in the timeline, not the last ranked post
+    lastPostId: cursor,
+  };
+}
+
+module.exports = {
+  DEFAULT_RANKING_CONFIG,
+  getRankingConfig,
+  scorePost,
+  rankPosts,
+  readRankedHomeFeedPage,
+};
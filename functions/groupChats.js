@@ -0,0 +1,245 @@
+/**
+ * Group chats
+ *
+ * A group is a chat_rooms doc with isGroup: true, a groupName, a
+ * groupImageURL and any number of participants. Direct chats keep their
+ * "{uid1}_{uid2}" IDs; groups get generated IDs. Membership only changes
+ * through these functions, which keep participants, admins and
+ * unreadCount.{uid} in step:
+ *   admins can add and remove members, anyone can leave, and the longest
+ *   standing member becomes admin when the last admin leaves. The room is
+ *   deleted when the last member leaves.
+ */
+
+const admin = require("firebase-admin");
+
+const MAX_GROUP_MEMBERS = 50;
+const MAX_GROUP_NAME_LENGTH = 100;
+
+/**
+ * Checks a group name
+ * @param {*} name Requested name
+ * @return {string} Trimmed name
+ */
+function validateGroupName(name) {
+  const trimmed = typeof name === "string" ? name.trim() : "";
+  if (!trimmed || trimmed.length > MAX_GROUP_NAME_LENGTH) {
+    throw new Error(
+        `Group name must be 1-${MAX_GROUP_NAME_LENGTH} characters`,
+    );
+  }
+  return trimmed;
+}
+
+/**
+ * Loads users to add to a group, dropping unknown users and anyone who has
+ * blocked (or been blocked by) the user adding them
+ * @param {Object} actorData Data of the user adding members
+ * @param {string} actorUid ID of the user adding members
+ * @param {Array<string>} uids Requested member IDs
+ * @return {Promise<Array<string>>} IDs that can be added
+ */
+async function addableMembers(actorData, actorUid, uids) {
+  const requested = [...new Set((uids || []).filter(
+      (uid) => typeof uid === "string" && uid && uid !== actorUid,
+  ))];
+  if (requested.length === 0) {
+    return [];
+  }
+  const refs = requested.map((uid) =>
+    admin.firestore().collection("users").doc(uid));
+  const docs = await admin.firestore().getAll(...refs);
+
+  const blocked = new Set([
+    ...(actorData.blockedUsers || []),
+    ...(actorData.blockedByUsers || []),
+  ]);
+  return docs
+      .filter((doc) => doc.exists && !blocked.has(doc.id) &&
+        !(doc.get("blockedUsers") || []).includes(actorUid))
+      .map((doc) => doc.id);
+}
+
+/**
+ * Loads a group for a membership change
+ * @param {Object} transaction Firestore transaction
+ * @param {string} chatId Chat room ID
+ * @param {string} uid Caller, who must be a member
+ * @return {Promise<Object>} {ref, data}
+ */
+async function getGroupForMember(transaction, chatId, uid) {
+  const ref = admin.firestore().collection("chat_rooms").doc(chatId);
+  const doc = await transaction.get(ref);
+  if (!doc.exists || doc.get("isGroup") !== true) {
+    throw new Error("Group not found");
+  }
+  if (!(doc.get("participants") || []).includes(uid)) {
+    throw new Error("Unauthorized");
+  }
+  return {ref, data: doc.data()};
+}
+
+/**
+ * Creates a group chat
+ * @param {string} uid Creator, who becomes its admin
+ * @param {Object} params
+ * @param {string} params.name Group name
+ * @param {?string} params.imageURL Group avatar
+ * @param {Array<string>} params.memberIds Other members
+ * @return {Promise<string>} Chat room ID
+ */
+async function createGroupChat(uid, {name, imageURL, memberIds}) {
+  const groupName = validateGroupName(name);
+  const db = admin.firestore();
+  const creatorDoc = await db.collection("users").doc(uid).get();
+  if (!creatorDoc.exists) {
+    throw new Error("User not found");
+  }
+
+  const members = await addableMembers(creatorDoc.data(), uid, memberIds);
+  if (members.length === 0) {
+    throw new Error("A group needs at least one other member");
+  }
+  const participants = [uid, ...members];
+  if (participants.length > MAX_GROUP_MEMBERS) {
+    throw new Error(`Groups are limited to ${MAX_GROUP_MEMBERS} members`);
+  }
+
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const ref = db.collection("chat_rooms").doc();
+  await ref.set({
+    isGroup: true,
+    groupName,
+    groupImageURL: typeof imageURL === "string" ? imageURL : "",
+    createdBy: uid,
+    createdAt: now,
+    admins: [uid],
+    participants,
+    unreadCount: Object.fromEntries(participants.map((id) => [id, 0])),
+    chatStatus: {},
+    lastMessage: "",
+    lastMessageTs: now,
+    lastMessageType: "text",
+  });
+  return ref.id;
+}
+
+/**
+ * Adds members to a group
+ * @param {string} uid Caller, who must be an admin
+ * @param {string} chatId Chat room ID
+ * @param {Array<string>} memberIds Users to add
+ * @return {Promise<Array<string>>} IDs that were added
+ */
+async function addGroupMembers(uid, chatId, memberIds) {
+  const db = admin.firestore();
+  const actorDoc = await db.collection("users").doc(uid).get();
+  const candidates = await addableMembers(
+      actorDoc.exists ? actorDoc.data() : {}, uid, memberIds,
+  );
+
+  return db.runTransaction(async (transaction) => {
+    const {ref, data} = await getGroupForMember(transaction, chatId, uid);
+    if (!(data.admins || []).includes(uid)) {
+      throw new Error("Only group admins can add members");
+    }
+    const participants = data.participants || [];
+    const added = candidates.filter((id) => !participants.includes(id));
+    if (added.length === 0) {
+      return [];
+    }
+    if (participants.length + added.length > MAX_GROUP_MEMBERS) {
+      throw new Error(`Groups are limited to ${MAX_GROUP_MEMBERS} members`);
+    }
+
+    const update = {
+      participants: admin.firestore.FieldValue.arrayUnion(...added),
+    };
+    added.forEach((id) => {
+      update[`unreadCount.${id}`] = 0;
+    });
+    transaction.update(ref, update);
+    return added;
+  });
+}
+
+/**
+ * Takes a member out of a group, handing admin on or deleting the room as
+ * needed
+ * @param {Object} transaction Firestore transaction
+ * @param {Object} ref Chat room DocumentReference
+ * @param {Object} data Chat room data
+ * @param {string} memberId Member to take out
+ * @return {string} "removed" or "deleted"
+ */
+function removeMember(transaction, ref, data, memberId) {
+  const participants = (data.participants || [])
+      .filter((id) => id !== memberId);
+  if (participants.length === 0) {
+    transaction.delete(ref);
+    return "deleted";
+  }
+
+  let admins = (data.admins || []).filter((id) => id !== memberId);
+  if (admins.length === 0) {
+    admins = [participants[0]];
+  }
+  transaction.update(ref, {
+    participants,
+    admins,
+    [`unreadCount.${memberId}`]: admin.firestore.FieldValue.delete(),
+  });
+  return "removed";
+}
+
+/**
+ * Removes another member from a group
+ * @param {string} uid Caller, who must be an admin
+ * @param {string} chatId Chat room ID
+ * @param {string} memberId Member to remove
+ * @return {Promise<string>} "removed", "deleted" or "not-member"
+ */
+async function removeGroupMember(uid, chatId, memberId) {
+  if (memberId === uid) {
+    return leaveGroupChat(uid, chatId);
+  }
+  return admin.firestore().runTransaction(async (transaction) => {
+    const {ref, data} = await getGroupForMember(transaction, chatId, uid);
+    if (!(data.admins || []).includes(uid)) {
+      throw new Error("Only group admins can remove members");
+    }
+    if (!(data.participants || []).includes(memberId)) {
+      return "not-member";
+    }
+    return removeMember(transaction, ref, data, memberId);
+  });
+}
+
+/**
+ * Leaves a group
+ * @param {string} uid Member leaving
+ * @param {string} chatId Chat room ID
+ * @return {Promise<string>} "removed" or "deleted"
+ */
+async function leaveGroupChat(uid, chatId) {
+  const result = await admin.firestore().runTransaction(async (transaction) => {
+    const {ref, data} = await getGroupForMember(transaction, chatId, uid);
+    return removeMember(transaction, ref, data, uid);
+  });
+  if (result === "deleted") {
+    // Nobody can read the messages any more
+    await admin.firestore().recursiveDelete(
+        admin.firestore().collection("chat_rooms").doc(chatId)
+            .collection("messages"),
+    );
+  }
+  return result;
+}
+
+module.exports = {
+  MAX_GROUP_MEMBERS,
+  createGroupChat,
+  addGroupMembers,
+  removeGroupMember,
+  leaveGroupChat,
+};
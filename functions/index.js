@@ -5,11 +5,159 @@
  */
 
 const admin = require("firebase-admin");
-const {onDocumentCreated, onDocumentUpdated, onDocumentWritten} = require("firebase-functions/v2/firestore");
-const {onCall} = require("firebase-functions/v2/https");
+const {
+  onDocumentCreated,
+  onDocumentUpdated,
+  onDocumentWritten,
+  onDocumentDeleted,
+} = require("firebase-functions/v2/firestore");
+const {
+  onDocumentWrittenWithAuthContext,
+} = require("firebase-functions/v2/firestore");
+const {onCall, HttpsError} = require("firebase-functions/v2/https");
 const {onRequest} = require("firebase-functions/v2/https");
+const {onSchedule} = require("firebase-functions/v2/scheduler");
 const logger = require("firebase-functions/logger");
+const {defineString} = require("firebase-functions/params");
 const profileServerApp = require("./profileServer");
+const {
+  profilePreviewPath,
+  collectionPreviewPath,
+  postPreviewPath,
+  invalidateCachedPreview,
+} = require("./previewImage");
+const {refreshCollectionPreview} = require("./collectionPreviews");
+const {bumpProfileVersions} = require("./profileCache");
+const {
+  getFeedSourceCollectionIds,
+  fanOutPost,
+  removePostFromTimelines,
+  backfillTimeline,
+  pruneTimeline,
+  readHomeFeedPage,
+} = require("./timelines");
+const {readRankedHomeFeedPage} = require("./feedRanking");
+const {decodeDiscoverCursor, readDiscoverPage} = require("./discoverFeed");
+const {
+  getEngagementConfig,
+  scorePostData,
+  recomputeRecentEngagementScores,
+} = require("./engagementScore");
+const {applyCounterEvent, rollUpCounters} = require("./counters");
+const {MAX_VIEWS_PER_CALL, recordPostViews} = require("./postViews");
+const {countNewComment, uncountDeletedComment} = require("./commentCounts");
+const {reconcileAllCounters} = require("./reconcileCounters");
+const {
+  getActor,
+  addNotification,
+  withdrawNotification,
+  removeNotification,
+  getCollectionAdmins,
+} = require("./notifications");
+const {sendToUserDevices} = require("./devices");
+const {messagePreview, sendMessagePushes} = require("./chatPushes");
+const {
+  createGroupChat,
+  addGroupMembers,
+  removeGroupMember,
+  leaveGroupChat,
+} = require("./groupChats");
+const {
+  getBadgeCount,
+  syncChatUnreadCounts,
+  applyNotificationBadgeChange,
+} = require("./badges");
+const {
+  getNotificationPreferences,
+  isPushEnabled,
+  isChatMuted,
+  isQuietTime,
+  silencePush,
+  setPushImage,
+  isNewNotificationEvent,
+  sendNotificationPush,
+} = require("./pushNotifications");
+const {pushLanguage, pushString} = require("./pushText");
+const {getPostThumbnailURL} = require("./postMedia");
+const {signInWithUsername, LoginError} = require("./usernameLogin");
+
+// Web API key of the Firebase project - used by signInWithUsername to check
+// passwords
+const webApiKey = defineString("WEB_API_KEY");
+const {
+  normalizeUsername,
+  recordFormerUsername,
+  clearFormerUsername,
+  claimUsername,
+  changeUsername,
+  releaseUsername,
+  UsernameError,
+} = require("./usernames");
+
+// User fields drawn on the /preview/{username} card
+const PROFILE_PREVIEW_FIELDS = [
+  "profileImageURL",
+  "backgroundImageURL",
+  "username",
+  "name",
+];
+
+// User fields the collection and post cards also show (owner / author)
+const OWNER_PREVIEW_FIELDS = [
+  "profileImageURL",
+  "username",
+];
+
+// Collection fields drawn on the /preview/c/{collectionId} card
+const COLLECTION_PREVIEW_FIELDS = [
+  "name",
+  "imageURL",
+  "type",
+  "memberCount",
+  "isPublic",
+  "ownerId",
+];
+
+// Post fields drawn on the /preview/p/{postId} card (and the collection mosaic)
+const POST_PREVIEW_FIELDS = [
+  "mediaItems",
+  "firstMediaItem",
+  "collectionId",
+  "createdAt",
+  "authorId",
+];
+
+// User fields shown on the profile page
+const PROFILE_PAGE_USER_FIELDS = [
+  "username",
+  "name",
+  "profileImageURL",
+  "backgroundImageURL",
+  "bio",
+];
+
+// Collection fields shown on the profile page
+const PROFILE_PAGE_COLLECTION_FIELDS = [
+  "name",
+  "description",
+  "imageURL",
+  "isPublic",
+  "createdAt",
+  "ownerId",
+  "postCount",
+  "previewPosts",
+];
+
+/**
+ * Compare two Firestore values by their JSON form
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @return {boolean} True when both values serialize identically
+ */
+function isSameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) ===
+    JSON.stringify(b === undefined ? null : b);
+}
 
 // Initialize Firebase Admin
 admin.initializeApp();
@@ -17,7 +165,8 @@ admin.initializeApp();
 /**
  * Firestore trigger that automatically sends push notifications
  * when messages are created. This is more efficient as it doesn't
- * require an HTTPS call from the client.
+ * require an HTTPS call from the client. Every participant except the
+ * sender is notified, so group chats fan out to all members.
  */
 exports.onMessageCreated = onDocumentCreated(
   {
@@ -29,7 +178,6 @@ exports.onMessageCreated = onDocumentCreated(
     const chatId = event.params.chatId;
     const senderUid = messageData.senderUid;
     const messageType = messageData.type || "text";
-    const messageContent = messageData.content || "";
 
     logger.info("New message created", { chatId, senderUid, messageType });
 
@@ -42,95 +190,9 @@ exports.onMessageCreated = onDocumentCreated(
       return null;
     }
 
-    const participants = chatRoom.data().participants || [];
-    const receiverUid = participants.find((uid) => uid !== senderUid);
-
-    if (!receiverUid) {
-      logger.error("Receiver not found for chat", { chatId });
-      return null;
-    }
-
-    // Get receiver's FCM token
-    const receiverDoc = await admin
-      .firestore()
-      .collection("users")
-      .doc(receiverUid)
-      .get();
-    const receiverToken = receiverDoc.data()?.fcmToken;
-
-    if (!receiverToken) {
-      logger.info("No FCM token for receiver", { receiverUid });
-      return null;
-    }
-
-    // Get sender's user data
-    const senderDoc = await admin
-      .firestore()
-      .collection("users")
-      .doc(senderUid)
-      .get();
-    const senderData = senderDoc.data();
-    const senderName = senderData?.username || senderData?.name || "Someone";
-    const senderProfileImageURL = senderData?.profileImageURL || "";
-
-    // Get receiver's profile image for app profile
-    const appProfileImageURL = receiverDoc.data()?.profileImageURL || "";
-
-    // Format notification body based on message type
-    let notificationBody;
-    switch (messageType) {
-      case "image":
-      case "photo":
-        notificationBody = "Sent photo";
-        break;
-      case "video":
-        notificationBody = "Sent video";
-        break;
-      case "text":
-        notificationBody = messageContent;
-        break;
-      default:
-        notificationBody = "New message";
-    }
-
-    // Prepare the message payload
-    const message = {
-      token: receiverToken,
-      notification: {
-        title: senderName,
-        body: notificationBody,
-      },
-      data: {
-        type: "message",
-        chatId: chatId,
-        senderUid: senderUid,
-        messageType: messageType,
-        userProfileImageURL: senderProfileImageURL,
-        appProfileImageURL: appProfileImageURL,
-      },
-      apns: {
-        payload: {
-          aps: {
-            alert: {
-              title: senderName,
-              body: notificationBody,
-            },
-            sound: "default",
-            badge: 1,
-            "mutable-content": 1,
-          },
-          userProfileImageURL: senderProfileImageURL,
-          appProfileImageURL: appProfileImageURL,
-        },
-        fcmOptions: {
-          imageUrl: senderProfileImageURL,
-        },
-      },
-    };
-
     try {
-      const response = await admin.messaging().send(message);
-      logger.info("Successfully sent notification", { response });
+      const results = await sendMessagePushes(chatId, chatRoom.data(), messageData);
+      logger.info("Successfully sent notification", { chatId, results });
       return null;
     } catch (error) {
       logger.error("Error sending notification", { error });
@@ -141,23 +203,75 @@ exports.onMessageCreated = onDocumentCreated(
 
 /**
  * HTTPS callable function to send push notifications (alternative method)
- * This can be called directly from the iOS app
+ * This can be called directly from the iOS app. With receiverUid it sends to
+ * every registered device of a user the caller shares the chat with, and
+ * the receiver's language, preview, mute and quiet hours settings apply as
+ * they do for onMessageCreated. The single `token` form is kept for older
+ * app versions.
  */
 exports.sendMessageNotification = onCall(async (request) => {
   const data = request.data;
   const token = data.token;
+  const receiverUid = data.receiverUid;
 
-  if (!token) {
+  if (!token && !receiverUid) {
     throw new Error("FCM token is required");
   }
 
+  // Only known for the receiverUid form; legacy token pushes carry no badge
+  let badge = null;
+  let preferences = null;
+  const now = Date.now();
+  // Legacy token pushes don't know the receiver, so they use the default
+  let language = pushLanguage(null);
+  let body = data.notification?.body || "You have a new message";
+  if (receiverUid) {
+    if (!request.auth) {
+      throw new Error("Unauthorized");
+    }
+    const chatId = data.data?.chatId || "-";
+    const chatRoom = await admin.firestore()
+        .collection("chat_rooms")
+        .doc(chatId)
+        .get();
+    const participants = chatRoom.exists ?
+      chatRoom.data().participants || [] : [];
+    if (!participants.includes(request.auth.uid) ||
+        !participants.includes(receiverUid)) {
+      throw new Error("Unauthorized");
+    }
+
+    // Same rules as sendMessagePush: message pushes off or the chat muted
+    preferences = await getNotificationPreferences(receiverUid);
+    if (!isPushEnabled(preferences, "message")) {
+      return {success: false, sent: 0, skipped: "disabled"};
+    }
+    if (isChatMuted(preferences, chatId, now)) {
+      return {success: false, sent: 0, skipped: "muted"};
+    }
+
+    badge = await getBadgeCount(receiverUid, {
+      [chatId]: chatRoom.data().unreadCount?.[receiverUid] || 0,
+    });
+
+    // The client's body is the raw text for text messages
+    const receiverDoc = await admin.firestore()
+        .collection("users")
+        .doc(receiverUid)
+        .get();
+    language = pushLanguage(receiverDoc);
+    body = messagePreview(
+        data.data?.messageType || "text",
+        data.notification?.body || "",
+        language,
+        preferences.hidePreviews,
+    );
+  }
+  const title = data.notification?.title || pushString(language, "newMessage");
+
   try {
     const message = {
-      token: token,
-      notification: {
-        title: data.notification?.title || "New Message",
-        body: data.notification?.body || "You have a new message",
-      },
+      notification: {title, body},
       data: {
         type: data.data?.type || "message",
         chatId: data.data?.chatId || "",
@@ -168,89 +282,144 @@ exports.sendMessageNotification = onCall(async (request) => {
       },
       apns: {
         payload: {
-          aps: {
-            alert: {
-              title: data.notification?.title || "New Message",
-              body: data.notification?.body || "You have a new message",
-            },
-            sound: "default",
-            badge: 1,
+          "aps": {
+            "alert": {title, body},
+            "sound": "default",
+            ...(badge === null ? {} : {"badge": badge}),
             "mutable-content": 1,
           },
-          userProfileImageURL: data.data?.userProfileImageURL || "",
-          appProfileImageURL: data.data?.appProfileImageURL || "",
-        },
-        fcmOptions: {
-          imageUrl: data.data?.userProfileImageURL || "",
+          "userProfileImageURL": data.data?.userProfileImageURL || "",
+          "appProfileImageURL": data.data?.appProfileImageURL || "",
         },
       },
     };
+    setPushImage(message, data.data?.userProfileImageURL);
+    if (preferences && isQuietTime(preferences, now)) {
+      silencePush(message);
+    }
+
+    if (receiverUid) {
+      const result = await sendToUserDevices(receiverUid, message);
+      logger.info("Successfully sent message via callable", {
+        receiverUid,
+        ...result,
+      });
+      return {success: result.sent > 0, sent: result.sent};
+    }
 
-    const response = await admin.messaging().send(message);
-    logger.info("Successfully sent message via callable", { response });
-    return { success: true, messageId: response };
+    const response = await admin.messaging().send({...message, token});
+    logger.info("Successfully sent message via callable", {response});
+    return {success: true, messageId: response};
   } catch (error) {
-    logger.error("Error sending message", { error });
+    logger.error("Error sending message", {error});
     throw new Error("Failed to send notification");
   }
 });
 
 /**
- * Callable function to get user email by username (for login)
- * This allows unauthenticated users to look up their email by username
+ * Callable function to sign in with username and password (for login)
+ * Verifies the password server-side and returns a custom token - the account
+ * email is never returned. Failed attempts are rate limited per IP and
+ * username.
  */
-exports.getUserEmailByUsername = onCall(async (request) => {
+exports.signInWithUsername = onCall(async (request) => {
   const username = request.data?.username;
-  
+  const password = request.data?.password;
+
+  if (!username || !password) {
+    throw new HttpsError(
+        "invalid-argument", "Username and password are required",
+    );
+  }
+
+  // Google's front end appends the address it saw to X-Forwarded-For, so
+  // only the last hop is trusted - earlier ones are whatever the caller sent
+  const forwardedFor = request.rawRequest.headers["x-forwarded-for"] || "";
+  const ip = forwardedFor.split(",").pop().trim() || request.rawRequest.ip;
+
+  try {
+    const result = await signInWithUsername({
+      username,
+      password,
+      ip,
+      apiKey: webApiKey.value(),
+    });
+    logger.info("Username sign-in succeeded", {userId: result.userId});
+    return {token: result.token};
+  } catch (error) {
+    if (error instanceof LoginError) {
+      logger.info("Username sign-in refused", {code: error.code});
+      const code = error.code === "locked-out" ?
+        "resource-exhausted" :
+        "unauthenticated";
+      throw new HttpsError(code, error.message);
+    }
+    logger.error("Error signing in with username", {error});
+    throw new HttpsError("internal", "Failed to sign in");
+  }
+});
+
+/**
+ * Callable function to claim a username at sign-up
+ * Reserves usernames/{normalized} and sets it on the caller's user doc in one
+ * transaction. The app can only set a username through this and
+ * changeUsername.
+ */
+exports.claimUsername = onCall(async (request) => {
+  const currentUid = request.auth?.uid;
+  const username = request.data?.username;
+
+  if (!currentUid) {
+    throw new Error("User must be authenticated");
+  }
+
   if (!username) {
     throw new Error("Username is required");
   }
-  
+
   try {
-    const normalizedUsername = username.toLowerCase().trim();
-    
-    // Query users collection by username
-    const usersSnapshot = await admin
-      .firestore()
-      .collection("users")
-      .where("username", "==", normalizedUsername)
-      .limit(1)
-      .get();
-    
-    if (usersSnapshot.empty) {
-      // Try case-insensitive search as fallback
-      const allUsersSnapshot = await admin
-        .firestore()
-        .collection("users")
-        .limit(1000)
-        .get();
-      
-      const matchingUser = allUsersSnapshot.docs.find((doc) => {
-        const userData = doc.data();
-        return userData.username?.toLowerCase() === normalizedUsername;
-      });
-      
-      if (matchingUser) {
-        const userData = matchingUser.data();
-        return {
-          email: userData.email || "",
-          userId: matchingUser.id,
-        };
-      }
-      
-      return { email: null, userId: null };
+    const claimed = await claimUsername(currentUid, username);
+    logger.info("Username claimed", {currentUid, username: claimed});
+    return {success: true, username: claimed};
+  } catch (error) {
+    // Taken, invalid and so on are shown to the user as is
+    if (error instanceof UsernameError) {
+      throw new HttpsError(error.code, error.message);
     }
-    
-    const userDoc = usersSnapshot.docs[0];
-    const userData = userDoc.data();
-    
-    return {
-      email: userData.email || "",
-      userId: userDoc.id,
-    };
+    logger.error("Error claiming username", {error, currentUid});
+    throw new Error("Failed to claim username: " + error.message);
+  }
+});
+
+/**
+ * Callable function to change the caller's username
+ * Swaps the registry entry atomically and enforces the change cooldown
+ */
+exports.changeUsername = onCall(async (request) => {
+  const currentUid = request.auth?.uid;
+  const username = request.data?.username;
+
+  if (!currentUid) {
+    throw new Error("User must be authenticated");
+  }
+
+  if (!username) {
+    throw new Error("Username is required");
+  }
+
+  try {
+    const changed = await changeUsername(currentUid, username);
+    logger.info("Username changed via callable", {
+      currentUid,
+      username: changed,
+    });
+    return {success: true, username: changed};
   } catch (error) {
-    logger.error("Error looking up user by username", { error, username });
-    throw new Error("Failed to look up user");
+    if (error instanceof UsernameError) {
+      throw new HttpsError(error.code, error.message);
+    }
+    logger.error("Error changing username", {error, currentUid});
+    throw new Error("Failed to change username: " + error.message);
   }
 });
 
@@ -365,7 +534,7 @@ exports.clearChat = onCall(async (request) => {
     const db = admin.firestore();
     const storage = admin.storage();
     
-    // Get chat room to know both participants
+    // Get chat room to know its participants
     const chatRef = db.collection("chat_rooms").doc(chatId);
     const chatDoc = await chatRef.get();
     
@@ -376,12 +545,13 @@ exports.clearChat = onCall(async (request) => {
     const chatData = chatDoc.data();
     const participants = chatData.participants || [];
     
-    if (participants.length !== 2) {
+    if (!participants.includes(currentUid)) {
       throw new Error("Invalid chat room participants");
     }
     
-    // Get the other participant
-    const otherParticipant = participants.find((uid) => uid !== currentUid) || participants[0];
+    // A message is deleted once every current participant has cleared it
+    // (both users in a direct chat, all members in a group)
+    const everyoneCleared = (deletedFor) => participants.every((uid) => deletedFor.includes(uid));
     
     // Process messages in batches of 500 (Firestore batch limit)
     const batchSize = 500;
@@ -438,9 +608,9 @@ exports.clearChat = onCall(async (request) => {
         
         // Check if current user already cleared this message
         if (currentDeletedFor.includes(currentUid)) {
-          // Current user already cleared - check if other user also cleared
-          if (currentDeletedFor.includes(otherParticipant)) {
-            // Both users cleared - delete from Firebase (including "This message has been deleted" messages)
+          // Current user already cleared - check if everyone else also cleared
+          if (everyoneCleared(currentDeletedFor)) {
+            // Everyone cleared - delete from Firebase (including "This message has been deleted" messages)
             messagesToDelete.push({
               ref: doc.ref,
               type: messageType,
@@ -457,17 +627,14 @@ exports.clearChat = onCall(async (request) => {
         }
         
         // Current user hasn't cleared yet - add them to deletedFor
-        // Check if BOTH participants have now cleared this message
+        // Check if ALL participants have now cleared this message
         const newDeletedFor = [...currentDeletedFor];
         if (!newDeletedFor.includes(currentUid)) {
           newDeletedFor.push(currentUid);
         }
         
-        const bothCleared = newDeletedFor.includes(currentUid) && 
-                           newDeletedFor.includes(otherParticipant);
-        
-        if (bothCleared) {
-          // Both users cleared - delete from Firebase (including "This message has been deleted" messages)
+        if (everyoneCleared(newDeletedFor)) {
+          // Everyone cleared - delete from Firebase (including "This message has been deleted" messages)
           messagesToDelete.push({
             ref: doc.ref,
             type: messageType,
@@ -562,6 +729,110 @@ exports.clearChat = onCall(async (request) => {
   }
 });
 
+/**
+ * Callable to create a group chat with a name, an avatar and members.
+ * The caller becomes the group's admin. Returns { chatId }.
+ */
+exports.createGroupChat = onCall(async (request) => {
+  const uid = request.auth?.uid;
+  if (!uid) {
+    throw new Error("Unauthorized");
+  }
+
+  const memberIds = request.data?.memberIds;
+  if (!Array.isArray(memberIds) || memberIds.length === 0) {
+    throw new Error("memberIds is required");
+  }
+
+  try {
+    const chatId = await createGroupChat(uid, {
+      name: request.data?.name,
+      imageURL: request.data?.imageURL,
+      memberIds,
+    });
+    logger.info("Group chat created", {uid, chatId});
+    return {chatId};
+  } catch (error) {
+    logger.error("Error creating group chat", {error, uid});
+    throw new Error("Failed to create group chat: " + error.message);
+  }
+});
+
+/**
+ * Callable for a group admin to add members. Returns { added }.
+ */
+exports.addGroupMembers = onCall(async (request) => {
+  const uid = request.auth?.uid;
+  if (!uid) {
+    throw new Error("Unauthorized");
+  }
+
+  const chatId = request.data?.chatId;
+  const memberIds = request.data?.memberIds;
+  if (!chatId || !Array.isArray(memberIds) || memberIds.length === 0) {
+    throw new Error("chatId and memberIds are required");
+  }
+
+  try {
+    const added = await addGroupMembers(uid, chatId, memberIds);
+    logger.info("Group members added", {uid, chatId, added});
+    return {added};
+  } catch (error) {
+    logger.error("Error adding group members", {error, uid, chatId});
+    throw new Error("Failed to add group members: " + error.message);
+  }
+});
+
+/**
+ * Callable for a group admin to remove a member. Returns { result }.
+ */
+exports.removeGroupMember = onCall(async (request) => {
+  const uid = request.auth?.uid;
+  if (!uid) {
+    throw new Error("Unauthorized");
+  }
+
+  const chatId = request.data?.chatId;
+  const memberId = request.data?.memberId;
+  if (!chatId || !memberId) {
+    throw new Error("chatId and memberId are required");
+  }
+
+  try {
+    const result = await removeGroupMember(uid, chatId, memberId);
+    logger.info("Group member removed", {uid, chatId, memberId, result});
+    return {result};
+  } catch (error) {
+    logger.error("Error removing group member", {error, uid, chatId});
+    throw new Error("Failed to remove group member: " + error.message);
+  }
+});
+
+/**
+ * Callable to leave a group chat. The last member leaving deletes it.
+ * Returns { result }.
+ */
+exports.leaveGroupChat = onCall(async (request) => {
+  const uid = request.auth?.uid;
+  if (!uid) {
+    throw new Error("Unauthorized");
+  }
+
+  const chatId = request.data?.chatId;
+  if (!chatId) {
+    throw new Error("chatId is required");
+  }
+
+  try {
+    const result = await leaveGroupChat(uid, chatId);
+    logger.info("Left group chat", {uid, chatId, result});
+    return {result};
+  } catch (error) {
+    logger.error("Error leaving group chat", {error, uid, chatId});
+    throw new Error("Failed to leave group chat: " + error.message);
+  }
+});
+
 /**
  * Profile server - handles user profile pages
  * Routes:
@@ -576,6 +847,418 @@ exports.profileServer = onRequest(
   profileServerApp
 );
 
+/**
+ * Firestore trigger to clear the cached /preview/{username} image
+ * when any field drawn on the card changes. A new username or photo also
+ * clears the cards of the user's collections and posts, which show them.
+ */
+exports.onUserPreviewFieldsChanged = onDocumentUpdated(
+    {
+      document: "users/{userId}",
+      maxInstances: 10,
+    },
+    async (event) => {
+      const userId = event.params.userId;
+      const beforeData = event.data.before.data() || {};
+      const afterData = event.data.after.data() || {};
+
+      const changed = PROFILE_PREVIEW_FIELDS.some(
+          (field) => (beforeData[field] || "") !== (afterData[field] || ""),
+      );
+      if (!changed) {
+        return null;
+      }
+
+      try {
+        const paths = [profilePreviewPath(userId)];
+
+        const ownerChanged = OWNER_PREVIEW_FIELDS.some(
+            (field) => (beforeData[field] || "") !== (afterData[field] || ""),
+        );
+        if (ownerChanged) {
+          const db = admin.firestore();
+          const [collectionsSnapshot, postsSnapshot] = await Promise.all([
+            db.collection("collections")
+                .where("ownerId", "==", userId)
+                .select()
+                .get(),
+            db.collection("posts")
+                .where("authorId", "==", userId)
+                .select()
+                .get(),
+          ]);
+          collectionsSnapshot.docs.forEach((doc) =>
+            paths.push(collectionPreviewPath(doc.id)));
+          postsSnapshot.docs.forEach((doc) =>
+            paths.push(postPreviewPath(doc.id)));
+        }
+
+        await Promise.all(paths.map(invalidateCachedPreview));
+        logger.info("Cleared cached profile preview", {
+          userId,
+          count: paths.length,
+        });
+        return null;
+      } catch (error) {
+        logger.error("Error clearing cached profile preview", {error, userId});
+        return null;
+      }
+    },
+);
+
+/**
+ * Firestore trigger to keep usernameLower in sync with username and to
+ * record former handles in username_history so old profile links redirect
+ */
+exports.onUsernameWritten = onDocumentWritten(
+    {
+      document: "users/{userId}",
+      maxInstances: 10,
+    },
+    async (event) => {
+      const userId = event.params.userId;
+      const beforeData = event.data.before.exists ?
+        event.data.before.data() : null;
+      const afterData = event.data.after.exists ?
+        event.data.after.data() : null;
+
+      const oldUsername = (beforeData && beforeData.username) || "";
+      const newUsername = (afterData && afterData.username) || "";
+      const newNormalized = normalizeUsername(newUsername);
+
+      try {
+        // Our own usernameLower update re-triggers this function - it is a
+        // no-op then
+        if (afterData && newNormalized &&
+            afterData.usernameLower !== newNormalized) {
+          await event.data.after.ref.update({usernameLower: newNormalized});
+        }
+
+        if (normalizeUsername(oldUsername) === newNormalized) {
+          return null;
+        }
+
+        // A claimed name no longer redirects to its previous owner
+        if (newNormalized) {
+          await clearFormerUsername(newUsername);
+        }
+        // Deleted accounts don't redirect anywhere - their name goes back to
+        // the pool
+        if (oldUsername && afterData) {
+          await recordFormerUsername(userId, oldUsername);
+        } else if (oldUsername) {
+          await releaseUsername(userId, oldUsername);
+        }
+
+        logger.info("Username changed", {userId, oldUsername, newUsername});
+        return null;
+      } catch (error) {
+        logger.error("Error syncing username", {error, userId});
+        return null;
+      }
+    },
+);
+
+/**
+ * Firestore trigger to clear the cached /preview/c/{collectionId} image
+ * when the collection is deleted or a field drawn on the card changes.
+ * A rename also clears the post cards, which show the collection name.
+ */
+exports.onCollectionPreviewChanged = onDocumentWritten(
+    {
+      document: "collections/{collectionId}",
+      maxInstances: 10,
+    },
+    async (event) => {
+      const collectionId = event.params.collectionId;
+      const beforeData = event.data.before.exists ?
+        event.data.before.data() :
+        null;
+      const afterData = event.data.after.exists ?
+        event.data.after.data() :
+        null;
+
+      // Nothing is cached for a collection that was just created
+      if (!beforeData) {
+        return null;
+      }
+
+      const changed = !afterData || COLLECTION_PREVIEW_FIELDS.some(
+          (field) => !isSameValue(beforeData[field], afterData[field]),
+      );
+      if (!changed) {
+        return null;
+      }
+
+      try {
+        const paths = [collectionPreviewPath(collectionId)];
+
+        if (afterData && beforeData.name !== afterData.name) {
+          const postsSnapshot = await admin.firestore()
+              .collection("posts")
+              .where("collectionId", "==", collectionId)
+              .select()
+              .get();
+          postsSnapshot.docs.forEach((doc) =>
+            paths.push(postPreviewPath(doc.id)));
+        }
+
+        await Promise.all(paths.map(invalidateCachedPreview));
+        logger.info("Cleared cached collection preview", {
+          collectionId,
+          count: paths.length,
+        });
+        return null;
+      } catch (error) {
+        logger.error("Error clearing cached collection preview", {
+          error,
+          collectionId,
+        });
+        return null;
+      }
+    },
+);
+
+/**
+ * Firestore trigger to clear cached preview images when a post changes.
+ * Clears the post card and the mosaic card of every collection the post
+ * was in before or after the write.
+ */
+exports.onPostPreviewChanged = onDocumentWritten(
+    {
+      document: "posts/{postId}",
+      maxInstances: 10,
+    },
+    async (event) => {
+      const postId = event.params.postId;
+      const beforeData = event.data.before.exists ?
+        event.data.before.data() :
+        null;
+      const afterData = event.data.after.exists ?
+        event.data.after.data() :
+        null;
+
+      // Creates and deletes always change the collection mosaic
+      const changed = !beforeData || !afterData || POST_PREVIEW_FIELDS.some(
+          (field) => !isSameValue(beforeData[field], afterData[field]),
+      );
+      if (!changed) {
+        return null;
+      }
+
+      try {
+        const paths = new Set([postPreviewPath(postId)]);
+        [beforeData, afterData].forEach((data) => {
+          if (data && data.collectionId) {
+            paths.add(collectionPreviewPath(data.collectionId));
+          }
+        });
+
+        await Promise.all([...paths].map(invalidateCachedPreview));
+        logger.info("Cleared cached post preview", {postId, count: paths.size});
+        return null;
+      } catch (error) {
+        logger.error("Error clearing cached post preview", {error, postId});
+        return null;
+      }
+    },
+);
+
+/**
+ * Firestore trigger to keep previewPosts and postCount on collection docs
+ * in sync with their posts. Profile pages render from these fields instead
+ * of querying every collection's posts.
+ */
+exports.onPostWrittenUpdateCollectionPreview = onDocumentWritten(
+    {
+      document: "posts/{postId}",
+      maxInstances: 10,
+    },
+    async (event) => {
+      const postId = event.params.postId;
+      const beforeData = event.data.before.exists ?
+        event.data.before.data() :
+        null;
+      const afterData = event.data.after.exists ?
+        event.data.after.data() :
+        null;
+
+      // Likes, comments and views don't affect the preview
+      const changed = !beforeData || !afterData || POST_PREVIEW_FIELDS.some(
+          (field) => !isSameValue(beforeData[field], afterData[field]),
+      );
+      if (!changed) {
+        return null;
+      }
+
+      const collectionIds = new Set();
+      [beforeData, afterData].forEach((data) => {
+        if (data && data.collectionId) {
+          collectionIds.add(data.collectionId);
+        }
+      });
+
+      try {
+        await Promise.all([...collectionIds].map((collectionId) =>
+          refreshCollectionPreview(collectionId)));
+        logger.info("Updated collection previews", {
+          postId,
+          collectionIds: [...collectionIds],
+        });
+        return null;
+      } catch (error) {
+        logger.error("Error updating collection previews", {error, postId});
+        return null;
+      }
+    },
+);
+
+/**
+ * Firestore trigger to invalidate cached profile pages when a user's
+ * profile fields change (or the user is deleted)
+ */
+exports.onUserWrittenBumpProfileVersion = onDocumentWritten(
+    {
+      document: "users/{userId}",
+      maxInstances: 10,
+    },
+    async (event) => {
+      const userId = event.params.userId;
+      const beforeData = event.data.before.exists ?
+        event.data.before.data() :
+        null;
+      const afterData = event.data.after.exists ?
+        event.data.after.data() :
+        null;
+
+      // Nothing was cached before the user existed
+      if (!beforeData) {
+        return null;
+      }
+
+      const changed = !afterData || PROFILE_PAGE_USER_FIELDS.some(
+          (field) => !isSameValue(beforeData[field], afterData[field]),
+      );
+      if (!changed) {
+        return null;
+      }
+
+      try {
+        await bumpProfileVersions([userId]);
+        return null;
+      } catch (error) {
+        logger.error("Error bumping profile version", {error, userId});
+        return null;
+      }
+    },
+);
+
+/**
+ * Firestore trigger to invalidate the owner's cached profile page when one
+ * of their collections is created, deleted or changes what the page shows.
+ * Post changes reach here too via previewPosts/postCount.
+ */
+exports.onCollectionWrittenBumpProfileVersion = onDocumentWritten(
+    {
+      document: "collections/{collectionId}",
+      maxInstances: 10,
+    },
+    async (event) => {
+      const collectionId = event.params.collectionId;
+      const beforeData = event.data.before.exists ?
+        event.data.before.data() :
+        null;
+      const afterData = event.data.after.exists ?
+        event.data.after.data() :
+        null;
+
+      const changed = !beforeData || !afterData ||
+        PROFILE_PAGE_COLLECTION_FIELDS.some(
+            (field) => !isSameValue(beforeData[field], afterData[field]),
+        );
+      if (!changed) {
+        return null;
+      }
+
+      try {
+        // Both owners when ownership moves
+        const userIds = await bumpProfileVersions([
+          beforeData && beforeData.ownerId,
+          afterData && afterData.ownerId,
+        ]);
+        logger.info("Bumped profile versions for collection", {
+          collectionId,
+          userIds,
+        });
+        return null;
+      } catch (error) {
+        logger.error("Error bumping profile versions for collection", {
+          error,
+          collectionId,
+        });
+        return null;
+      }
+    },
+);
+
+/**
+ * Firestore trigger to invalidate the collection owner's cached profile page
+ * as soon as a post changes, without waiting for the previewPosts refresh
+ */
+exports.onPostWrittenBumpProfileVersion = onDocumentWritten(
+    {
+      document: "posts/{postId}",
+      maxInstances: 10,
+    },
+    async (event) => {
+      const postId = event.params.postId;
+      const beforeData = event.data.before.exists ?
+        event.data.before.data() :
+        null;
+      const afterData = event.data.after.exists ?
+        event.data.after.data() :
+        null;
+
+      // Likes, comments and views aren't shown on the profile page
+      const changed = !beforeData || !afterData || POST_PREVIEW_FIELDS.some(
+          (field) => !isSameValue(beforeData[field], afterData[field]),
+      );
+      if (!changed) {
+        return null;
+      }
+
+      try {
+        const ownerIds = [];
+        for (const data of [beforeData, afterData]) {
+          if (!data || !data.collectionId) {
+            continue;
+          }
+          if (data.collectionOwnerId) {
+            ownerIds.push(data.collectionOwnerId);
+            continue;
+          }
+          const collectionDoc = await admin.firestore()
+              .collection("collections")
+              .doc(data.collectionId)
+              .get();
+          if (collectionDoc.exists) {
+            ownerIds.push(collectionDoc.data().ownerId);
+          }
+        }
+
+        const userIds = await bumpProfileVersions(ownerIds);
+        logger.info("Bumped profile versions for post", {postId, userIds});
+        return null;
+      } catch (error) {
+        logger.error("Error bumping profile versions for post", {
+          error,
+          postId,
+        });
+        return null;
+      }
+    },
+);
+
 /**
  * Firestore trigger to update engagement score when post metrics change
  * Triggers on: post document updates (likeCount, commentCount, viewCount changes)
@@ -608,23 +1291,8 @@ exports.onPostEngagementUpdated = onDocumentUpdated(
     });
     
     try {
-      // Calculate engagement score
-      const likeCount = afterData.likeCount || 0;
-      const commentCount = afterData.commentCount || 0;
-      const viewCount = afterData.viewCount || 0;
-      const createdAt = afterData.createdAt?.toDate() || new Date();
-      
-      // Calculate recency factor (exponential decay)
-      const now = new Date();
-      const timeSinceCreation = (now - createdAt) / 1000 / 3600; // hours
-      const recencyFactor = Math.exp(-timeSinceCreation / 48.0); // Half-life of ~48 hours
-      
-      // Engagement score formula:
-      // - Likes: 3 points each
-      // - Comments: 5 points each
-      // - Views: 0.1 points each
-      const rawScore = (likeCount * 3 + commentCount * 5) + (viewCount * 0.1);
-      const engagementScore = rawScore * recencyFactor;
+      const config = await getEngagementConfig();
+      const {engagementScore, recencyFactor} = scorePostData(afterData, config, Date.now());
       
       // Update post with new engagement score
       await event.data.after.ref.update({
@@ -646,118 +1314,868 @@ exports.onPostEngagementUpdated = onDocumentUpdated(
 );
 
 /**
- * Firestore trigger to update likeCount when a star is added/removed
- * This maintains the likeCount field on the post document for efficient queries
+ * Scheduled job to keep decaying engagement scores of recently created posts.
+ * onPostEngagementUpdated only rescores a post when its counts change, so
+ * without this a post that went quiet would keep its peak score.
  */
-exports.onStarChanged = onDocumentWritten(
+exports.recomputeEngagementScores = onSchedule(
   {
-    document: "posts/{postId}/stars/{userId}",
-    maxInstances: 10,
+    schedule: "every 1 hours",
+    maxInstances: 1,
+    timeoutSeconds: 540,
   },
-  async (event) => {
-    const postId = event.params.postId;
-    const beforeData = event.data.before?.data();
-    const afterData = event.data.after?.data();
-    
-    const wasStarred = beforeData !== undefined;
-    const isStarred = afterData !== undefined;
-    
-    // Only update if star status actually changed
-    if (wasStarred === isStarred) {
-      return null;
+  async () => {
+    try {
+      const result = await recomputeRecentEngagementScores();
+      logger.info("Recomputed engagement scores", result);
+    } catch (error) {
+      logger.error("Error recomputing engagement scores", {error});
     }
-    
+  }
+);
+
+/**
+ * Records a batch of posts the caller has viewed
+ * Each user counts at most once per post per day and authors' views of their
+ * own posts are ignored. Counts go to sharded counters (see counters.js) and
+ * reach viewCount through rollUpPostViewCounts.
+ *
+ * Usage: Call with { postIds: [...] } (up to 100 per call)
+ * Returns: { recorded, skipped }
+ */
+exports.recordPostViews = onCall(async (request) => {
+  const uid = request.auth?.uid;
+  if (!uid) {
+    throw new Error("Unauthorized");
+  }
+
+  const postIds = request.data?.postIds;
+  if (!Array.isArray(postIds) || postIds.length === 0) {
+    throw new Error("postIds is required");
+  }
+  if (postIds.length > MAX_VIEWS_PER_CALL) {
+    throw new Error(`At most ${MAX_VIEWS_PER_CALL} postIds per call`);
+  }
+
+  try {
+    return await recordPostViews(uid, postIds);
+  } catch (error) {
+    logger.error("Error recording post views", {error, uid});
+    throw new Error("Failed to record post views: " + error.message);
+  }
+});
+
+/**
+ * Scheduled job to copy view counter shards into posts' viewCount
+ */
+exports.rollUpPostViewCounts = onSchedule(
+  {
+    schedule: "every 5 minutes",
+    maxInstances: 1,
+    timeoutSeconds: 300,
+  },
+  async () => {
     try {
-      const postRef = admin.firestore().collection("posts").doc(postId);
-      
-      if (isStarred && !wasStarred) {
-        // Star was added - increment likeCount
-        await postRef.update({
-          likeCount: admin.firestore.FieldValue.increment(1),
-        });
-        logger.info("Incremented likeCount", { postId });
-      } else if (!isStarred && wasStarred) {
-        // Star was removed - decrement likeCount
-        await postRef.update({
-          likeCount: admin.firestore.FieldValue.increment(-1),
+      const result = await rollUpCounters("views", "viewCount");
+      logger.info("Rolled up post view counts", result);
+    } catch (error) {
+      logger.error("Error rolling up post view counts", {error});
+    }
+  }
+);
+
+/**
+ * Firestore trigger to count stars when a star is added/removed
+ * Stars go to the "likes" sharded counter (see counters.js) so popular posts
+ * don't hit the per-document write limit. Each event is applied once, keyed
+ * on its event ID, so retries don't double-count. rollUpPostLikeCounts keeps
+ * the likeCount field on the post document in sync for efficient queries.
+ */
+exports.onStarChanged = onDocumentWritten(
+    {
+      document: "posts/{postId}/stars/{userId}",
+      maxInstances: 10,
+    },
+    async (event) => {
+      const postId = event.params.postId;
+      const wasStarred = event.data.before.exists;
+      const isStarred = event.data.after.exists;
+
+      // Only count if star status actually changed
+      if (wasStarred === isStarred) {
+        return null;
+      }
+
+      try {
+        const postRef = admin.firestore().collection("posts").doc(postId);
+        const delta = isStarred ? 1 : -1;
+        const applied = await applyCounterEvent(
+            event.id, postRef, "likes", delta,
+        );
+        logger.info(
+            applied ? "Counted star change" : "Star change already counted",
+            {postId, delta, eventId: event.id},
+        );
+        return null;
+      } catch (error) {
+        logger.error("Error counting star change", {error, postId});
+        return null;
+      }
+    },
+);
+
+/**
+ * Scheduled job to copy star counter shards into posts' likeCount
+ */
+exports.rollUpPostLikeCounts = onSchedule(
+    {
+      schedule: "every 1 minutes",
+      maxInstances: 1,
+      timeoutSeconds: 120,
+    },
+    async () => {
+      try {
+        const result = await rollUpCounters("likes", "likeCount");
+        logger.info("Rolled up post like counts", result);
+      } catch (error) {
+        logger.error("Error rolling up post like counts", {error});
+      }
+    },
+);
+
+/**
+ * Firestore trigger to count a new comment or reply
+ * Increments the post's commentCount and, for replies, the parent comment's
+ * replyCount. Comments on posts with allowReplies turned off are removed.
+ */
+exports.onCommentCreated = onDocumentCreated(
+    {
+      document: "posts/{postId}/comments/{commentId}",
+      maxInstances: 10,
+    },
+    async (event) => {
+      const {postId, commentId} = event.params;
+
+      try {
+        const result = await countNewComment(postId, commentId);
+        if (result === "removed") {
+          logger.info("Removed comment on post with replies disabled", {
+            postId,
+            commentId,
+          });
+          return null;
+        }
+        if (result === "counted" || result === "duplicate") {
+          await notifyCommentCreated(postId, commentId, event.data.data());
+        }
+        return null;
+      } catch (error) {
+        logger.error("Error counting new comment", {error, postId, commentId});
+        return null;
+      }
+    },
+);
+
+/**
+ * Firestore trigger to uncount a deleted comment or reply
+ */
+exports.onCommentDeleted = onDocumentDeleted(
+    {
+      document: "posts/{postId}/comments/{commentId}",
+      maxInstances: 10,
+    },
+    async (event) => {
+      const {postId, commentId} = event.params;
+
+      try {
+        await uncountDeletedComment(
+            event.id, postId, event.data.data(), Date.parse(event.time),
+        );
+        return null;
+      } catch (error) {
+        logger.error("Error uncounting deleted comment", {
+          error,
+          postId,
+          commentId,
         });
-        logger.info("Decremented likeCount", { postId });
+        return null;
       }
-      
-      return null;
-    } catch (error) {
-      logger.error("Error updating likeCount", { error, postId });
-      return null;
+    },
+);
+
+/**
+ * Nightly job to recompute counters from their sources and fix any drift:
+ * likeCount / commentCount on posts, memberCount / followerCount on
+ * collections, unreadCount on recently active chat rooms and users' badge
+ * counters.
+ * Large collections are finished over several nights (see
+ * reconcileCounters.js).
+ * For a single document run: npm run reconcile:counters -- posts/{postId}
+ */
+exports.reconcileCounters = onSchedule(
+    {
+      schedule: "every day 03:00",
+      timeZone: "Etc/UTC",
+      maxInstances: 1,
+      timeoutSeconds: 540,
+    },
+    async () => {
+      try {
+        const results = await reconcileAllCounters(7 * 60 * 1000);
+        const report = Object.fromEntries(Object.entries(results).map(
+            ([name, result]) => [name, {
+              scanned: result.scanned,
+              drifted: result.drift.length,
+              complete: result.complete,
+            }],
+        ));
+        const drift = Object.values(results)
+            .flatMap((result) => result.drift);
+
+        if (drift.length > 0) {
+          // Cap the entries so one bad night doesn't produce an oversized log
+          // line
+          logger.warn("Counter drift corrected", {
+            report,
+            drift: drift.slice(0, 200),
+          });
+        } else {
+          logger.info("Counter reconciliation found no drift", {report});
+        }
+      } catch (error) {
+        logger.error("Error reconciling counters", {error});
+      }
+    },
+);
+
+/**
+ * Notify the post author about a comment, or the parent comment's author
+ * about a reply (aggregated per post / per comment thread)
+ * @param {string} postId - Post document ID
+ * @param {string} commentId - Comment document ID
+ * @param {Object} commentData - The new comment
+ * @return {Promise<void>}
+ */
+async function notifyCommentCreated(postId, commentId, commentData) {
+  const db = admin.firestore();
+  const authorId = commentData.authorId || commentData.userId;
+  const postDoc = await db.collection("posts").doc(postId).get();
+  if (!authorId || !postDoc.exists) {
+    return;
+  }
+
+  const fields = {
+    postId,
+    commentId,
+    postThumbnailURL: getPostThumbnailURL(postDoc.data()) || "",
+    commentText: commentData.text || "",
+  };
+
+  let recipientId = postDoc.data().authorId;
+  let type = "comment";
+  let key = postId;
+  if (commentData.parentCommentId) {
+    const parentDoc = await db.collection("posts").doc(postId)
+        .collection("comments").doc(commentData.parentCommentId).get();
+    if (!parentDoc.exists) {
+      return;
     }
+    recipientId = parentDoc.data().authorId || parentDoc.data().userId;
+    type = "comment_reply";
+    key = `${postId}_${commentData.parentCommentId}`;
   }
+
+  const actor = await getActor(authorId);
+  const result = await addNotification({recipientId, type, key, actor, fields});
+  logger.info("Comment notification", {postId, commentId, type, result});
+}
+
+/**
+ * Firestore trigger to notify a post's author when it is starred
+ * Stars on the same post are aggregated ("ana and 4 others starred…")
+ * and an unstar takes the user back out of an unread notification.
+ */
+exports.onStarChangedNotify = onDocumentWritten(
+    {
+      document: "posts/{postId}/stars/{userId}",
+      maxInstances: 10,
+    },
+    async (event) => {
+      const {postId, userId} = event.params;
+      const wasStarred = event.data.before.exists;
+      const isStarred = event.data.after.exists;
+      if (wasStarred === isStarred) {
+        return null;
+      }
+
+      try {
+        const db = admin.firestore();
+        const postDoc = await db.collection("posts").doc(postId).get();
+        if (!postDoc.exists) {
+          return null;
+        }
+        const postData = postDoc.data();
+
+        if (!isStarred) {
+          await withdrawNotification({
+            recipientId: postData.authorId,
+            type: "collection_star",
+            key: postId,
+            actorId: userId,
+          });
+          return null;
+        }
+
+        const collectionDoc = postData.collectionId ?
+          await db.collection("collections").doc(postData.collectionId).get() :
+          null;
+        const actor = await getActor(userId);
+        const result = await addNotification({
+          recipientId: postData.authorId,
+          type: "collection_star",
+          key: postId,
+          actor,
+          fields: {
+            postId,
+            collectionId: postData.collectionId || "",
+            collectionName: collectionDoc?.exists ?
+              collectionDoc.data().name || "" : "",
+            postThumbnailURL: getPostThumbnailURL(postData) || "",
+          },
+        });
+        logger.info("Star notification", {postId, userId, result});
+        return null;
+      } catch (error) {
+        logger.error("Error creating star notification", {
+          error,
+          postId,
+          userId,
+        });
+        return null;
+      }
+    },
+);
+
+/**
+ * Firestore trigger to notify a collection's owner, admins and members when
+ * someone posts in it (Request and Invite collections only, as before).
+ * Posts in the same collection are aggregated.
+ */
+exports.onPostCreatedNotify = onDocumentCreated(
+    {
+      document: "posts/{postId}",
+      maxInstances: 10,
+      timeoutSeconds: 120,
+    },
+    async (event) => {
+      const postId = event.params.postId;
+      const postData = event.data.data();
+      if (!postData.collectionId || !postData.authorId) {
+        return null;
+      }
+
+      try {
+        const collectionDoc = await admin.firestore()
+            .collection("collections")
+            .doc(postData.collectionId)
+            .get();
+        if (!collectionDoc.exists) {
+          return null;
+        }
+        const collectionData = collectionDoc.data();
+        if (collectionData.type !== "Request" &&
+            collectionData.type !== "Invite") {
+          return null;
+        }
+
+        const recipients = [...new Set([
+          ...getCollectionAdmins(collectionData),
+          ...(collectionData.members || []),
+        ])].filter((uid) => uid !== postData.authorId);
+
+        const actor = await getActor(postData.authorId);
+        const fields = {
+          postId,
+          collectionId: postData.collectionId,
+          collectionName: collectionData.name || "",
+          postThumbnailURL: getPostThumbnailURL(postData) || "",
+        };
+        await Promise.all(recipients.map((recipientId) => addNotification({
+          recipientId,
+          type: "collection_post",
+          key: postData.collectionId,
+          actor,
+          fields,
+        })));
+        logger.info("Collection post notifications", {
+          postId,
+          recipients: recipients.length,
+        });
+        return null;
+      } catch (error) {
+        logger.error("Error creating collection post notifications", {
+          error,
+          postId,
+        });
+        return null;
+      }
+    },
+);
+
+/**
+ * Firestore trigger to notify about membership changes on a collection:
+ * new members -> owner and admins (collection_join, aggregated), and newly
+ * invited users -> the invitee (collection_invite). The inviter is whoever
+ * made the write, if they're the owner or an admin, and otherwise the owner;
+ * it's never read from the document, which other members can edit. A pending
+ * invite is removed when the user is uninvited.
+ */
+exports.onCollectionMembershipNotify = onDocumentWrittenWithAuthContext(
+    {
+      document: "collections/{collectionId}",
+      maxInstances: 10,
+    },
+    async (event) => {
+      const collectionId = event.params.collectionId;
+      const beforeData = event.data.before.exists ?
+        event.data.before.data() : null;
+      const afterData = event.data.after.exists ?
+        event.data.after.data() : null;
+      if (!afterData) {
+        return null;
+      }
+
+      // Members present at creation are the owner's own setup, not joins
+      const beforeMembers = beforeData ?
+        beforeData.members || [] : afterData.members || [];
+      const joined = (afterData.members || [])
+          .filter((uid) => !beforeMembers.includes(uid));
+      const beforeInvited = beforeData ? beforeData.invitedUsers || [] : [];
+      const invited = (afterData.invitedUsers || [])
+          .filter((uid) => !beforeInvited.includes(uid));
+      // Accepting an invite also leaves invitedUsers, but as a member
+      const uninvited = beforeInvited.filter((uid) =>
+        !(afterData.invitedUsers || []).includes(uid) &&
+        !(afterData.members || []).includes(uid));
+      if (joined.length === 0 && invited.length === 0 &&
+          uninvited.length === 0) {
+        return null;
+      }
+
+      try {
+        const collectionName = afterData.name || "";
+        const admins = getCollectionAdmins(afterData);
+
+        for (const memberId of joined) {
+          const actor = await getActor(memberId);
+          await Promise.all(admins.map((recipientId) => addNotification({
+            recipientId,
+            type: "collection_join",
+            key: collectionId,
+            actor,
+            fields: {collectionId, collectionName},
+          })));
+        }
+
+        // Only the owner and admins can invite
+        const inviterId = admins.includes(event.authId) ?
+          event.authId : afterData.ownerId;
+        for (const invitedId of invited) {
+          const actor = await getActor(inviterId);
+          await addNotification({
+            recipientId: invitedId,
+            type: "collection_invite",
+            key: collectionId,
+            actor,
+            fields: {collectionId, collectionName, status: "pending"},
+          });
+        }
+
+        await Promise.all(uninvited.map((recipientId) => removeNotification({
+          recipientId,
+          type: "collection_invite",
+          key: collectionId,
+          status: "pending",
+        })));
+
+        logger.info("Collection membership notifications", {
+          collectionId,
+          joined: joined.length,
+          invited: invited.length,
+          uninvited: uninvited.length,
+        });
+        return null;
+      } catch (error) {
+        logger.error("Error creating collection membership notifications", {
+          error,
+          collectionId,
+        });
+        return null;
+      }
+    },
+);
+
+/**
+ * Firestore trigger to copy a chat room's unreadCount into its participants'
+ * badge counters (users/{uid}/counters/badge)
+ */
+exports.onChatRoomWrittenUpdateBadges = onDocumentWritten(
+    {
+      document: "chat_rooms/{chatId}",
+      maxInstances: 10,
+    },
+    async (event) => {
+      const chatId = event.params.chatId;
+      const beforeData = event.data.before.exists ?
+        event.data.before.data() : null;
+      const afterData = event.data.after.exists ?
+        event.data.after.data() : null;
+      const unreadChanged =
+        JSON.stringify(beforeData?.unreadCount || {}) !==
+        JSON.stringify(afterData?.unreadCount || {});
+      const participantsChanged =
+        JSON.stringify(beforeData?.participants || []) !==
+        JSON.stringify(afterData?.participants || []);
+      if (!unreadChanged && !participantsChanged) {
+        return null;
+      }
+
+      try {
+        await syncChatUnreadCounts(chatId, beforeData?.participants || []);
+        return null;
+      } catch (error) {
+        logger.error("Error updating chat badge counts", {error, chatId});
+        return null;
+      }
+    },
+);
+
+/**
+ * Firestore trigger to keep the unread notification badge count and push
+ * notifications as they arrive. Aggregated notifications are rewritten in
+ * place, so this also pushes when one takes in a new event; reads and status
+ * changes only update the count.
+ */
+exports.onNotificationWrittenPush = onDocumentWritten(
+    {
+      document: "users/{userId}/notifications/{notificationId}",
+      maxInstances: 10,
+    },
+    async (event) => {
+      const {userId, notificationId} = event.params;
+      const beforeData = event.data.before.exists ?
+        event.data.before.data() : null;
+      const afterData = event.data.after.exists ?
+        event.data.after.data() : null;
+      const wasUnread = Boolean(beforeData && !beforeData.isRead);
+      const isUnread = Boolean(afterData && !afterData.isRead);
+      const shouldPush = isNewNotificationEvent(beforeData, afterData);
+      if (wasUnread === isUnread && !shouldPush) {
+        return null;
+      }
+
+      try {
+        // Counted in the same run as the push, so the badge includes this one
+        const badge = await applyNotificationBadgeChange(
+            event.id, userId, Number(isUnread) - Number(wasUnread),
+        );
+        if (!shouldPush) {
+          return null;
+        }
+        const result = await sendNotificationPush(
+            userId, afterData.type, afterData, notificationId, badge,
+        );
+        logger.info("Notification push", {
+          userId,
+          notificationId,
+          type: afterData.type,
+          result,
+        });
+        return null;
+      } catch (error) {
+        logger.error("Error sending notification push", {
+          error,
+          userId,
+          notificationId,
+        });
+        return null;
+      }
+    },
+);
+
+/**
+ * Firestore trigger to push friend requests, which are stored in
+ * friend_requests rather than as notification docs
+ */
+exports.onFriendRequestWrittenPush = onDocumentWritten(
+    {
+      document: "friend_requests/{requestId}",
+      maxInstances: 10,
+    },
+    async (event) => {
+      const beforeData = event.data.before.exists ?
+        event.data.before.data() : null;
+      const afterData = event.data.after.exists ?
+        event.data.after.data() : null;
+      // Re-sending after an accept or deny sets the same doc back to pending
+      if (!afterData || afterData.status !== "pending" ||
+          beforeData?.status === "pending") {
+        return null;
+      }
+
+      try {
+        const actor = await getActor(afterData.fromUid);
+        if (!actor) {
+          return null;
+        }
+        const badge = await getBadgeCount(afterData.toUid);
+        const result = await sendNotificationPush(
+            afterData.toUid, "friend_request", {
+              userId: actor.userId,
+              username: actor.username,
+              userProfileImageURL: actor.profileImageURL,
+            }, "", badge,
+        );
+        logger.info("Friend request push", {
+          requestId: event.params.requestId,
+          result,
+        });
+        return null;
+      } catch (error) {
+        logger.error("Error sending friend request push", {
+          error,
+          requestId: event.params.requestId,
+        });
+        return null;
+      }
+    },
+);
+
+/**
+ * Firestore trigger to fan new posts out to followers' and members' home
+ * feed timelines, and to take deleted posts back out of them
+ */
+exports.onPostWrittenUpdateTimelines = onDocumentWritten(
+    {
+      document: "posts/{postId}",
+      maxInstances: 10,
+      timeoutSeconds: 300,
+    },
+    async (event) => {
+      const postId = event.params.postId;
+      const beforeData = event.data.before.exists ?
+        event.data.before.data() : null;
+      const afterData = event.data.after.exists ?
+        event.data.after.data() : null;
+
+      try {
+        if (!beforeData && afterData) {
+          const result = await fanOutPost(postId, afterData);
+          logger.info("Fanned out post to timelines", {postId, ...result});
+        } else if (beforeData && !afterData) {
+          const removed = await removePostFromTimelines(postId);
+          logger.info("Removed post from timelines", {postId, removed});
+        }
+        return null;
+      } catch (error) {
+        logger.error("Error updating timelines for post", {error, postId});
+        return null;
+      }
+    },
+);
+
+/**
+ * Firestore trigger to keep a user's timeline in step with what they follow:
+ * following or joining a collection backfills its recent posts, while
+ * unfollowing, leaving or blocking someone prunes their posts
+ */
+exports.onUserFeedSourcesChanged = onDocumentUpdated(
+    {
+      document: "users/{userId}",
+      maxInstances: 10,
+      timeoutSeconds: 300,
+    },
+    async (event) => {
+      const userId = event.params.userId;
+      const beforeData = event.data.before.data();
+      const afterData = event.data.after.data();
+
+      const beforeSources = getFeedSourceCollectionIds(beforeData);
+      const afterSources = getFeedSourceCollectionIds(afterData);
+      const addedSources = afterSources.filter(
+          (id) => !beforeSources.includes(id),
+      );
+      const removedSources = beforeSources.filter(
+          (id) => !afterSources.includes(id),
+      );
+
+      const blockedBefore = [
+        ...(beforeData.blockedUsers || []),
+        ...(beforeData.blockedByUsers || []),
+      ];
+      const newlyBlocked = [...new Set([
+        ...(afterData.blockedUsers || []),
+        ...(afterData.blockedByUsers || []),
+      ])].filter((id) => !blockedBefore.includes(id));
+
+      if (addedSources.length === 0 && removedSources.length === 0 &&
+          newlyBlocked.length === 0) {
+        return null;
+      }
+
+      try {
+        for (const collectionId of removedSources) {
+          await pruneTimeline(userId, "collectionId", collectionId);
+        }
+        for (const blockedId of newlyBlocked) {
+          await pruneTimeline(userId, "authorId", blockedId);
+          await pruneTimeline(userId, "collectionOwnerId", blockedId);
+        }
+        for (const collectionId of addedSources) {
+          await backfillTimeline(userId, collectionId);
+        }
+        logger.info("Updated timeline sources", {
+          userId,
+          addedSources,
+          removedSources,
+          newlyBlocked,
+        });
+        return null;
+      } catch (error) {
+        logger.error("Error updating timeline sources", {error, userId});
+        return null;
+      }
+    },
 );
 
 /**
  * CRITICAL: Server-side feed generation (replaces expensive client-side mixing)
  * This generates personalized feeds server-side, reducing client load by 10x+
- * 
+ *
+ * Posts come from the user's timeline (fanned out on write), merged with
+ * direct queries on any very large collections they follow (fanned out on
+ * read).
+ *
+ * mode: "ranked" blends recency with engagementScore, boosts pinned posts,
+ * drops posts the user has already viewed (plus any seenPostIds passed in)
+ * and spreads out runs from one collection or author. Weights come from
+ * config/feedRanking. Pass lastPostId back unchanged - in ranked mode it is
+ * the timeline position, not the last post shown.
+ *
  * Usage: Call from iOS app with pagination
- * Returns: Array of post IDs sorted by recency + engagement
+ * Returns: Posts sorted by recency (or rank), with hasMore and lastPostId for
+ * the next page
  */
 exports.generateHomeFeed = onCall(
-  {
-    maxInstances: 10,
-    timeoutSeconds: 60,
-  },
-  async (request) => {
-    const uid = request.auth?.uid;
-    if (!uid) {
-      throw new Error("Unauthorized");
-    }
+    {
+      maxInstances: 10,
+      timeoutSeconds: 60,
+    },
+    async (request) => {
+      const uid = request.auth?.uid;
+      if (!uid) {
+        throw new Error("Unauthorized");
+      }
 
-    const pageSize = request.data?.pageSize || 20;
-    const lastPostId = request.data?.lastPostId || null;
+      const pageSize = Math.min(
+          Math.max(parseInt(request.data?.pageSize, 10) || 20, 1), 100,
+      );
+      const lastPostId = request.data?.lastPostId || null;
+      const mode = request.data?.mode || "chronological";
+      const seenPostIds = Array.isArray(request.data?.seenPostIds) ?
+        request.data.seenPostIds.slice(0, 500) : [];
 
-    try {
-      const db = admin.firestore();
-      
-      // Get user's followed collections
-      const userDoc = await db.collection("users").doc(uid).get();
-      const userData = userDoc.data();
-      const followedCollectionIds = userData?.followedCollections || [];
-      
-      if (followedCollectionIds.length === 0) {
-        return { posts: [], hasMore: false };
+      if (mode !== "chronological" && mode !== "ranked") {
+        throw new Error("mode must be \"chronological\" or \"ranked\"");
       }
 
-      // Get posts from followed collections (paginated, sorted by createdAt desc)
-      let query = db.collection("posts")
-        .where("collectionId", "in", followedCollectionIds.slice(0, 10)) // Firestore 'in' limit is 10
-        .orderBy("createdAt", "desc")
-        .limit(pageSize);
+      try {
+        const db = admin.firestore();
+
+        const userDoc = await db.collection("users").doc(uid).get();
+        const userData = userDoc.data() || {};
 
-      // Add pagination cursor if provided
-      if (lastPostId) {
-        const lastPostDoc = await db.collection("posts").doc(lastPostId).get();
-        if (lastPostDoc.exists) {
-          query = query.startAfter(lastPostDoc);
+        if (getFeedSourceCollectionIds(userData).length === 0) {
+          return {posts: [], hasMore: false, lastPostId: null};
         }
+
+        if (mode === "ranked") {
+          return await readRankedHomeFeedPage(uid, userData, {
+            pageSize,
+            lastPostId,
+            seenPostIds,
+          });
+        }
+        return await readHomeFeedPage(uid, userData, {pageSize, lastPostId});
+      } catch (error) {
+        logger.error("Error generating home feed", {error, uid});
+        throw new Error("Failed to generate feed");
       }
+    },
+);
 
-      const snapshot = await query.get();
-      
-      // If user follows more than 10 collections, need to batch queries
-      // For now, return first 10 collections' posts
-      // TODO: Implement fan-out pattern for better scalability
-      
-      const posts = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-      }));
-
-      return {
-        posts: posts,
-        hasMore: snapshot.docs.length === pageSize,
-        lastPostId: snapshot.docs[snapshot.docs.length - 1]?.id || null,
-      };
-    } catch (error) {
-      logger.error("Error generating home feed", { error, uid });
-      throw new Error("Failed to generate feed");
-    }
-  }
+/**
+ * Server-side Discover feed (replaces DiscoverFeedService's on-device mixing)
+ * Returns public collections and posts from collections the caller doesn't
+ * follow, belong to or have hidden, leaving out blocked owners and authors.
+ * Each page is ordered by recent engagement.
+ *
+ * Usage: Call with optional postPageSize / collectionPageSize, then pass the
+ * returned cursor back for the next page (pages never repeat)
+ * Returns: { collections, posts, hasMore, cursor }
+ */
+exports.generateDiscoverFeed = onCall(
+    {
+      maxInstances: 10,
+      timeoutSeconds: 60,
+    },
+    async (request) => {
+      const uid = request.auth?.uid;
+      if (!uid) {
+        throw new Error("Unauthorized");
+      }
+
+      const postLimit = Math.min(
+          Math.max(parseInt(request.data?.postPageSize, 10) || 20, 1), 50,
+      );
+      // 0 is a valid size (posts only), so only a missing value gets the
+      // default
+      const collectionPageSize = parseInt(
+          request.data?.collectionPageSize, 10,
+      );
+      const collectionLimit = Math.min(Math.max(
+        Number.isFinite(collectionPageSize) ? collectionPageSize : 10, 0,
+      ), 50);
+
+      let cursor = null;
+      if (request.data?.cursor) {
+        cursor = decodeDiscoverCursor(request.data.cursor);
+        if (!cursor) {
+          throw new Error("Invalid cursor");
+        }
+      }
+
+      try {
+        const userDoc = await admin.firestore()
+            .collection("users")
+            .doc(uid)
+            .get();
+        const userData = userDoc.data() || {};
+
+        const page = await readDiscoverPage(uid, userData, {
+          postLimit,
+          collectionLimit,
+          cursor,
+        });
+        return {
+          collections: page.collections,
+          posts: page.posts,
+          hasMore: page.hasMore,
+          cursor: page.nextCursor,
+        };
+      } catch (error) {
+        logger.error("Error generating discover feed", {error, uid});
+        throw new Error("Failed to generate discover feed");
+      }
+    },
 );
@@ -0,0 +1,304 @@
+/**
+ * Server-generated notifications
+ *
+ * Triggers create users/{uid}/notifications docs from the events themselves
+ * (stars, comments, posts, joins, invites) instead of trusting clients to
+ * write into other users' inboxes.
+ *
+ * Repeated events about the same thing are aggregated into a single doc,
+ * users/{uid}/notifications/{type}_{key}, while it is unread and recent:
+ * "ana and 4 others starred your post". The same actor is only counted once,
+ * and a withdrawn action (unstar) takes the actor back out.
+ */
+
+const admin = require("firebase-admin");
+
+// Unread notifications newer than this absorb new events
+const AGGREGATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Actors kept on a notification for display
+const MAX_DISPLAY_ACTORS = 10;
+
+// Actor IDs kept for dedupe
+const MAX_ACTOR_IDS = 500;
+
+// collection_join messages list everyone up to this many joins
+const MAX_LISTED_JOINS = 6;
+
+/**
+ * Loads the display fields of the user behind an event
+ * @param {string} userId User document ID
+ * @return {Promise<?Object>} {userId, username, name, profileImageURL}
+ */
+async function getActor(userId) {
+  const doc = await admin.firestore().collection("users").doc(userId).get();
+  if (!doc.exists) {
+    return null;
+  }
+  return {
+    userId,
+    username: doc.get("username") || "",
+    name: doc.get("name") || "",
+    profileImageURL: doc.get("profileImageURL") || "",
+  };
+}
+
+/**
+ * Names for an aggregated message: "ana", "ana and ben",
+ * "ana and 4 others"
+ * @param {Array<Object>} actors Newest first
+ * @param {number} count Total distinct actors
+ * @return {string} Display names
+ */
+function actorNames(actors, count) {
+  const first = actors[0] ? actors[0].username || "Someone" : "Someone";
+  if (count <= 1) {
+    return first;
+  }
+  if (count === 2 && actors[1]) {
+    return `${first} and ${actors[1].username || "someone"}`;
+  }
+  const others = count - 1;
+  return `${first} and ${others} other${others === 1 ? "" : "s"}`;
+}
+
+/**
+ * Message for a collection_join notification (same wording the app used)
+ * @param {Array<Object>} actors Newest first
+ * @param {number} count Total distinct joins
+ * @param {string} collectionName Collection name
+ * @return {string} Message
+ */
+function joinMessage(actors, count, collectionName) {
+  const usernames = actors.map((actor) => actor.username);
+  if (count <= 1) {
+    return `${usernames[0] || "Someone"} joined ${collectionName}`;
+  }
+  if (count <= MAX_LISTED_JOINS && usernames.length === count) {
+    return `${usernames.join(", ")} joined ${collectionName}`;
+  }
+  const remaining = count - 3;
+  return `${usernames.slice(0, 3).join(", ")} and ${remaining} ` +
+    `other${remaining === 1 ? "" : "s"} joined ${collectionName}`;
+}
+
+const MESSAGES = {
+  collection_star: (actors, count, fields) =>
+    `${actorNames(actors, count)} starred your post in ` +
+    `"${fields.collectionName || ""}"`,
+  // The app shows the comment text next to the names
+  comment: (actors, count) => actorNames(actors, count),
+  comment_reply: (actors, count) => actorNames(actors, count),
+  collection_post: (actors, count, fields) =>
+    `${actorNames(actors, count)} ${count === 1 ? "has" : "have"} posted ` +
+    `in the collection\n"${fields.collectionName || ""}"`,
+  collection_join: (actors, count, fields) =>
+    joinMessage(actors, count, fields.collectionName || ""),
+  collection_invite: (actors, count, fields) =>
+    `${actorNames(actors, 1)} invited you to join ${fields.collectionName}`,
+};
+
+/**
+ * Whether either user has blocked the other
+ * @param {Object} recipientData Recipient's user document data
+ * @param {string} actorId Actor's user ID
+ * @return {boolean} True if blocked
+ */
+function isBlocked(recipientData, actorId) {
+  return (recipientData.blockedUsers || []).includes(actorId) ||
+    (recipientData.blockedByUsers || []).includes(actorId);
+}
+
+/**
+ * Reference to an aggregated notification
+ * @param {string} recipientId Recipient's user ID
+ * @param {string} type Notification type
+ * @param {string} key What the notification is about (post ID, ...)
+ * @return {Object} DocumentReference
+ */
+function notificationRef(recipientId, type, key) {
+  return admin.firestore()
+      .collection("users")
+      .doc(recipientId)
+      .collection("notifications")
+      .doc(`${type}_${key}`.replace(/\//g, "_"));
+}
+
+/**
+ * Adds an event to a recipient's notification, aggregating with a recent
+ * unread one about the same thing
+ * @param {Object} params
+ * @param {string} params.recipientId User to notify
+ * @param {string} params.type Notification type (key of MESSAGES)
+ * @param {string} params.key What the notification is about
+ * @param {Object} params.actor From getActor
+ * @param {Object} params.fields Type-specific fields (collectionId, ...)
+ * @return {Promise<string>} "created", "aggregated", "duplicate" or "skipped"
+ */
+async function addNotification({recipientId, type, key, actor, fields}) {
+  if (!recipientId || !actor || recipientId === actor.userId) {
+    return "skipped";
+  }
+  const db = admin.firestore();
+  const recipientRef = db.collection("users").doc(recipientId);
+  const ref = notificationRef(recipientId, type, key);
+
+  return db.runTransaction(async (transaction) => {
+    const [recipientDoc, existingDoc] = await Promise.all([
+      transaction.get(recipientRef),
+      transaction.get(ref),
+    ]);
+    if (!recipientDoc.exists || isBlocked(recipientDoc.data(), actor.userId)) {
+      return "skipped";
+    }
+
+    const existing = existingDoc.exists ? existingDoc.data() : null;
+    const createdAt = existing && existing.createdAt ?
+      existing.createdAt.toMillis() : 0;
+    const canAggregate = existing && !existing.isRead &&
+      Date.now() - createdAt < AGGREGATE_WINDOW_MS &&
+      Array.isArray(existing.actorIds);
+
+    if (canAggregate && existing.actorIds.includes(actor.userId)) {
+      return "duplicate";
+    }
+
+    const previousActors = canAggregate ? existing.actors || [] : [];
+    const actors = [actor, ...previousActors].slice(0, MAX_DISPLAY_ACTORS);
+    const actorIds = [actor.userId, ...(canAggregate ? existing.actorIds : [])]
+        .slice(0, MAX_ACTOR_IDS);
+    const actorCount = (canAggregate ? existing.actorCount || 1 : 0) + 1;
+
+    transaction.set(ref, buildNotification(
+        type, actors, actorIds, actorCount, fields,
+    ));
+    return canAggregate ? "aggregated" : "created";
+  });
+}
+
+/**
+ * Builds the stored notification. userId/username/userProfileImageURL are
+ * the newest actor, as the app expects.
+ * @param {string} type Notification type
+ * @param {Array<Object>} actors Newest first
+ * @param {Array<string>} actorIds Distinct actor IDs, newest first
+ * @param {number} actorCount Total distinct actors
+ * @param {Object} fields Type-specific fields
+ * @return {Object} Notification document data
+ */
+function buildNotification(type, actors, actorIds, actorCount, fields) {
+  const latest = actors[0];
+  const data = {
+    ...fields,
+    type,
+    userId: latest.userId,
+    username: latest.username,
+    userProfileImageURL: latest.profileImageURL,
+    message: MESSAGES[type](actors, actorCount, fields),
+    isRead: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    actors,
+    actorIds,
+    actorCount,
+  };
+  if (type === "collection_join") {
+    data.joinedUsers = actors.map((actor) => ({
+      userId: actor.userId,
+      username: actor.username,
+      name: actor.name,
+      profileImageURL: actor.profileImageURL,
+    }));
+    data.joinCount = actorCount;
+  }
+  return data;
+}
+
+/**
+ * Takes an actor back out of an unread notification (e.g. after an unstar),
+ * deleting it if nobody is left
+ * @param {Object} params
+ * @param {string} params.recipientId Notified user
+ * @param {string} params.type Notification type
+ * @param {string} params.key What the notification is about
+ * @param {string} params.actorId Actor to remove
+ * @return {Promise<string>} "removed", "deleted" or "skipped"
+ */
+async function withdrawNotification({recipientId, type, key, actorId}) {
+  if (!recipientId || recipientId === actorId) {
+    return "skipped";
+  }
+  const db = admin.firestore();
+  const ref = notificationRef(recipientId, type, key);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const data = doc.exists ? doc.data() : null;
+    if (!data || data.isRead || !(data.actorIds || []).includes(actorId)) {
+      return "skipped";
+    }
+
+    const actorIds = data.actorIds.filter((id) => id !== actorId);
+    const actorCount = Math.max(0, (data.actorCount || 1) - 1);
+    if (actorIds.length === 0 || actorCount === 0) {
+      transaction.delete(ref);
+      return "deleted";
+    }
+
+    const actors = (data.actors || []).filter((a) => a.userId !== actorId);
+    if (actors.length === 0) {
+      // The remaining actors weren't kept for display; leave it as it was
+      return "skipped";
+    }
+    const fields = {...data};
+    const next = buildNotification(
+        data.type, actors, actorIds, actorCount, fields,
+    );
+    // Withdrawing doesn't make the notification newer
+    next.createdAt = data.createdAt;
+    transaction.set(ref, next);
+    return "removed";
+  });
+}
+
+/**
+ * Deletes a notification outright, e.g. an invite that was taken back
+ * @param {Object} params
+ * @param {string} params.recipientId Notified user
+ * @param {string} params.type Notification type
+ * @param {string} params.key What the notification is about
+ * @param {?string} params.status Only delete while the status is this
+ * @return {Promise<boolean>} True if a notification was deleted
+ */
+async function removeNotification({recipientId, type, key, status}) {
+  const db = admin.firestore();
+  const ref = notificationRef(recipientId, type, key);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists || (status && doc.get("status") !== status)) {
+      return false;
+    }
+    transaction.delete(ref);
+    return true;
+  });
+}
+
+/**
+ * Everyone who manages a collection: the owner and admins
+ * @param {Object} collectionData Collection document data
+ * @return {Array<string>} User IDs
+ */
+function getCollectionAdmins(collectionData) {
+  return [...new Set([
+    collectionData.ownerId,
+    ...(collectionData.owners || []),
+  ].filter(Boolean))];
+}
+
+module.exports = {
+  getActor,
+  addNotification,
+  withdrawNotification,
+  removeNotification,
+  getCollectionAdmins,
+};
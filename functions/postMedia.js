@@ -0,0 +1,104 @@
+/**
+ * Shared helpers for reading post media
+ * Keeps the web pages in sync with CollectionRowDesign.getImageURL
+ */
+
+/**
+ * Returns true when value is a non-empty URL string
+ * @param {*} value Candidate URL
+ * @return {boolean} Whether the value can be used as an image URL
+ */
+function isUsableURL(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+/**
+ * Picks the image to show for a post in grids and previews.
+ * Order: any thumbnailURL, then any imageURL, then firstMediaItem.
+ * @param {Object} postData Post document data
+ * @return {?string} Image URL, or null when the post has no usable media
+ */
+function getPostThumbnailURL(postData) {
+  const mediaItems = postData.mediaItems || [];
+
+  // First, try to find a thumbnailURL from any mediaItem
+  for (const media of mediaItems) {
+    if (media && isUsableURL(media.thumbnailURL)) {
+      return media.thumbnailURL;
+    }
+  }
+
+  // If no thumbnail found, try to find an imageURL from any mediaItem
+  for (const media of mediaItems) {
+    if (media && isUsableURL(media.imageURL)) {
+      return media.imageURL;
+    }
+  }
+
+  // Fallback to firstMediaItem if mediaItems array is empty or no URL found
+  const firstMedia = postData.firstMediaItem;
+  if (firstMedia) {
+    if (isUsableURL(firstMedia.thumbnailURL)) {
+      return firstMedia.thumbnailURL;
+    }
+    if (isUsableURL(firstMedia.imageURL)) {
+      return firstMedia.imageURL;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Normalizes a post's media for the web carousel.
+ * Videos use their thumbnailURL as the poster frame.
+ * @param {Object} postData Post document data
+ * @return {Array<Object>} Items of {type, url, posterURL, duration}
+ */
+function getPostMediaItems(postData) {
+  let mediaItems = postData.mediaItems || [];
+  if (mediaItems.length === 0 && postData.firstMediaItem) {
+    mediaItems = [postData.firstMediaItem];
+  }
+
+  const items = [];
+  for (const media of mediaItems) {
+    if (!media) continue;
+    if (isUsableURL(media.videoURL)) {
+      items.push({
+        type: "video",
+        url: media.videoURL,
+        posterURL: isUsableURL(media.thumbnailURL) ? media.thumbnailURL : null,
+        duration: media.videoDuration || null,
+      });
+    } else if (isUsableURL(media.imageURL) || isUsableURL(media.thumbnailURL)) {
+      items.push({
+        type: "image",
+        url: isUsableURL(media.imageURL) ? media.imageURL : media.thumbnailURL,
+        posterURL: null,
+        duration: null,
+      });
+    }
+  }
+  return items;
+}
+
+/**
+ * Label shown under a collection name - matches CollectionRowDesign.memberLabel
+ * @param {Object} collectionData Collection document data
+ * @return {string} "Individual" or "N member(s)"
+ */
+function getMemberLabel(collectionData) {
+  if ((collectionData.type || "Individual") === "Individual") {
+    return "Individual";
+  }
+  const memberCount = collectionData.memberCount || 0;
+  return `${memberCount} member${memberCount === 1 ? "" : "s"}`;
+}
+
+module.exports = {
+  isUsableURL,
+  getPostThumbnailURL,
+  getPostMediaItems,
+  getMemberLabel,
+};
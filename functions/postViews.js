@@ -0,0 +1,87 @@
+/**
+ * Post view counting
+ *
+ * posts/{postId}/views/{uid} marks that a user has seen a post (the ranked
+ * feed skips those) and records the last UTC day the view was counted, so
+ * each user adds at most one view per post per day. Counts go to the
+ * "views" sharded counter and are rolled up into viewCount.
+ */
+
+const admin = require("firebase-admin");
+const {incrementCounter} = require("./counters");
+
+// Post IDs accepted per call
+const MAX_VIEWS_PER_CALL = 100;
+
+/**
+ * UTC calendar day of a time, used as the dedupe key
+ * @param {number} millis Time in milliseconds
+ * @return {string} YYYY-MM-DD
+ */
+function viewDay(millis) {
+  return new Date(millis).toISOString().slice(0, 10);
+}
+
+/**
+ * Counts one user's view of one post unless it was already counted today
+ * @param {string} uid Viewer's user ID
+ * @param {string} postId Post document ID
+ * @param {string} day From viewDay
+ * @return {Promise<string>} "recorded", "duplicate", "own" or "missing"
+ */
+async function recordPostView(uid, postId, day) {
+  const db = admin.firestore();
+  const postRef = db.collection("posts").doc(postId);
+  const viewRef = postRef.collection("views").doc(uid);
+
+  return db.runTransaction(async (transaction) => {
+    const [postDoc, viewDoc] = await Promise.all([
+      transaction.get(postRef),
+      transaction.get(viewRef),
+    ]);
+    if (!postDoc.exists) {
+      return "missing";
+    }
+    if (postDoc.get("authorId") === uid) {
+      return "own";
+    }
+    if (viewDoc.exists && viewDoc.get("lastCountedDay") === day) {
+      return "duplicate";
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    transaction.set(viewRef, {
+      userId: uid,
+      viewedAt: viewDoc.exists ? viewDoc.get("viewedAt") || now : now,
+      lastViewedAt: now,
+      lastCountedDay: day,
+    }, {merge: true});
+    incrementCounter(transaction, postRef, "views", 1);
+    return "recorded";
+  });
+}
+
+/**
+ * Records a batch of post views for a user
+ * @param {string} uid Viewer's user ID
+ * @param {Array<string>} postIds Post IDs the user has seen
+ * @return {Promise<Object>} {recorded, skipped}
+ */
+async function recordPostViews(uid, postIds) {
+  const uniqueIds = [...new Set(postIds.filter(
+      (postId) => typeof postId === "string" && postId &&
+        !postId.includes("/"),
+  ))].slice(0, MAX_VIEWS_PER_CALL);
+  const day = viewDay(Date.now());
+
+  const results = await Promise.all(
+      uniqueIds.map((postId) => recordPostView(uid, postId, day)),
+  );
+  const recorded = results.filter((result) => result === "recorded").length;
+  return {recorded, skipped: results.length - recorded};
+}
+
+module.exports = {
+  MAX_VIEWS_PER_CALL,
+  recordPostViews,
+};
@@ -0,0 +1,539 @@
+/**
+ * Link preview (og:image) rendering for the profile server
+ * Builds 1200x630 PNG share cards with sharp - no headless browser needed
+ * Rendered cards are cached in Cloud Storage under previews/
+ *
+ * Each card has a version stamp in preview_versions/{cache key}, and the
+ * cached PNG's path includes it. Invalidating a card bumps the stamp, so a
+ * render that started before the bump can only write a copy nobody reads.
+ */
+
+const admin = require("firebase-admin");
+const sharp = require("sharp");
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const BACKGROUND_HEIGHT = 315;
+const PROFILE_IMAGE_SIZE = 140;
+const PROFILE_IMAGE_BORDER = 6;
+const MOSAIC_GAP = 4;
+const FETCH_TIMEOUT_MS = 5000;
+
+const PREVIEW_VERSIONS_COLLECTION = "preview_versions";
+// Larger images are skipped rather than buffered
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Same gradient the profile page uses when there is no background image
+const GRADIENT_SVG = `<svg width="${WIDTH}" height="${BACKGROUND_HEIGHT}">
+  <defs>
+    <linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="#667eea"/>
+      <stop offset="100%" stop-color="#764ba2"/>
+    </linearGradient>
+  </defs>
+  <rect width="100%" height="100%" fill="url(#g)"/>
+</svg>`;
+
+/**
+ * Escapes text for use inside SVG markup
+ * @param {string} text Raw text
+ * @return {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text || "").replace(/[&<>"']/g, (c) => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    "\"": "&quot;",
+    "'": "&apos;",
+  })[c]);
+}
+
+/**
+ * Shortens text so it fits on a single line of the card
+ * @param {string} text Raw text
+ * @param {number} maxLength Maximum number of characters
+ * @return {string} Text, truncated with an ellipsis when needed
+ */
+function truncate(text, maxLength) {
+  const chars = Array.from(String(text || ""));
+  if (chars.length <= maxLength) return chars.join("");
+  return chars.slice(0, maxLength - 1).join("") + "…";
+}
+
+/**
+ * Whether a URL points into the app's Storage bucket - the only place
+ * profile, background and post images are uploaded to
+ * @param {string} url Image URL
+ * @return {boolean} True if the URL may be fetched
+ */
+function isStorageURL(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  if (parsed.protocol !== "https:") return false;
+  const bucket = admin.storage().bucket().name;
+  if (parsed.hostname === "firebasestorage.googleapis.com") {
+    return parsed.pathname.startsWith(`/v0/b/${bucket}/o/`);
+  }
+  if (parsed.hostname === "storage.googleapis.com") {
+    return parsed.pathname.startsWith(`/${bucket}/`);
+  }
+  return false;
+}
+
+/**
+ * Reads a response body, giving up past MAX_IMAGE_BYTES
+ * @param {Response} response Fetch response
+ * @return {Promise<?Buffer>} Body bytes, or null if too large
+ */
+async function readLimitedBody(response) {
+  const declared = Number(response.headers.get("content-length"));
+  if (declared > MAX_IMAGE_BYTES) {
+    await response.body.cancel();
+    return null;
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > MAX_IMAGE_BYTES) {
+      // Leaving the loop cancels the download
+      return null;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Downloads an image from the app's Storage bucket, returning null instead
+ * of throwing
+ * A broken image URL should degrade the card, not fail the request
+ * @param {?string} url Image URL
+ * @return {Promise<?Buffer>} Image bytes
+ */
+async function fetchImage(url) {
+  if (!url || typeof url !== "string" || url.trim() === "") return null;
+  if (!isStorageURL(url)) {
+    console.log(`⚠️ Skipping preview image outside the Storage bucket`);
+    return null;
+  }
+  try {
+    const response = await fetch(url, {
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      // A redirect could lead outside the bucket
+      redirect: "error",
+    });
+    if (!response.ok) return null;
+    const bytes = await readLimitedBody(response);
+    if (!bytes) {
+      console.log(`⚠️ Preview image over ${MAX_IMAGE_BYTES} bytes, skipped`);
+    }
+    return bytes;
+  } catch (error) {
+    console.log(`⚠️ Could not fetch preview image: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Resizes an image to cover the given box, or null if it can't be decoded
+ * @param {?Buffer} buffer Image bytes
+ * @param {number} width Box width
+ * @param {number} height Box height
+ * @return {Promise<?Buffer>} PNG bytes
+ */
+async function coverImage(buffer, width, height) {
+  if (!buffer) return null;
+  try {
+    return await sharp(buffer)
+        .resize(width, height, {fit: "cover", position: "centre"})
+        .png()
+        .toBuffer();
+  } catch (error) {
+    console.log(`⚠️ Could not decode preview image: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * SVG of a solid rectangle (placeholder tiles)
+ * @param {number} width Rectangle width
+ * @param {number} height Rectangle height
+ * @param {string} fill Fill colour
+ * @return {Buffer} SVG bytes
+ */
+function rectSVG(width, height, fill) {
+  return Buffer.from(`<svg width="${width}" height="${height}">` +
+    `<rect width="100%" height="100%" fill="${fill}"/></svg>`);
+}
+
+/**
+ * SVG of a filled circle centred in a square canvas
+ * @param {number} size Canvas size
+ * @param {number} radius Circle radius
+ * @param {string} fill Fill colour
+ * @return {Buffer} SVG bytes
+ */
+function circleSVG(size, radius, fill) {
+  const c = size / 2;
+  return Buffer.from(`<svg width="${size}" height="${size}">` +
+    `<circle cx="${c}" cy="${c}" r="${radius}" fill="${fill}"/></svg>`);
+}
+
+/**
+ * Crops an image into a circle
+ * @param {?Buffer} buffer Image bytes
+ * @param {number} size Circle diameter
+ * @return {Promise<?Buffer>} PNG bytes with transparent corners
+ */
+async function circleImage(buffer, size) {
+  const resized = await coverImage(buffer, size, size);
+  if (!resized) return null;
+  const mask = circleSVG(size, size / 2, "#000");
+  return sharp(resized)
+      .composite([{input: mask, blend: "dest-in"}])
+      .png()
+      .toBuffer();
+}
+
+/**
+ * Renders the profile share card - same layout as the old /preview HTML page:
+ * background on top, circular profile photo, @username and name below
+ * @param {Object} user username, name, profileImageURL, backgroundImageURL
+ * @return {Promise<Buffer>} 1200x630 PNG
+ */
+async function renderProfilePreview(user) {
+  const [backgroundBytes, profileBytes] = await Promise.all([
+    fetchImage(user.backgroundImageURL),
+    fetchImage(user.profileImageURL),
+  ]);
+
+  const background =
+    await coverImage(backgroundBytes, WIDTH, BACKGROUND_HEIGHT) ||
+    Buffer.from(GRADIENT_SVG);
+
+  const innerSize = PROFILE_IMAGE_SIZE - PROFILE_IMAGE_BORDER * 2;
+  const profileLeft = (WIDTH - PROFILE_IMAGE_SIZE) / 2;
+  const profileTop = BACKGROUND_HEIGHT - 70;
+  const profileImage = await circleImage(profileBytes, innerSize);
+
+  const username = escapeXml(truncate(user.username, 40));
+  const name = escapeXml(truncate(user.name, 60));
+  const text = Buffer.from(`<svg width="${WIDTH}" height="${HEIGHT - 400}">
+    <style>
+      .username { font: 600 36px sans-serif; fill: #fff; }
+      .name { font: 400 24px sans-serif; fill: #fff; fill-opacity: 0.8; }
+    </style>
+    <text x="50%" y="40" text-anchor="middle" class="username">
+      @${username}
+    </text>
+    <text x="50%" y="84" text-anchor="middle" class="name">${name}</text>
+  </svg>`);
+
+  // Black ring + grey placeholder disc, the photo (if any) goes on top
+  const layers = [
+    {input: background, top: 0, left: 0},
+    {
+      input: circleSVG(PROFILE_IMAGE_SIZE, PROFILE_IMAGE_SIZE / 2, "#000"),
+      top: profileTop,
+      left: profileLeft,
+    },
+    {
+      input: circleSVG(PROFILE_IMAGE_SIZE, innerSize / 2, "#333"),
+      top: profileTop,
+      left: profileLeft,
+    },
+  ];
+  if (profileImage) {
+    layers.push({
+      input: profileImage,
+      top: profileTop + PROFILE_IMAGE_BORDER,
+      left: profileLeft + PROFILE_IMAGE_BORDER,
+    });
+  }
+  layers.push({input: text, top: 400, left: 0});
+
+  return sharp({
+    create: {width: WIDTH, height: HEIGHT, channels: 4, background: "#000"},
+  })
+      .composite(layers)
+      .png()
+      .toBuffer();
+}
+
+/**
+ * Renders the collection share card: a 2x2 mosaic of the newest four post
+ * thumbnails on the left, collection details on the right
+ * @param {Object} collection name, memberLabel, postCount, ownerUsername,
+ *   profileImageURL and thumbnailURLs (newest first, up to 4)
+ * @return {Promise<Buffer>} 1200x630 PNG
+ */
+async function renderCollectionPreview(collection) {
+  const tileSize = HEIGHT / 2 - MOSAIC_GAP / 2;
+  const thumbnailURLs = (collection.thumbnailURLs || []).slice(0, 4);
+  const [profileBytes, ...tileBytes] = await Promise.all([
+    fetchImage(collection.profileImageURL),
+    ...thumbnailURLs.map(fetchImage),
+  ]);
+
+  const layers = [];
+  for (let i = 0; i < 4; i++) {
+    const top = Math.floor(i / 2) * (tileSize + MOSAIC_GAP);
+    const left = (i % 2) * (tileSize + MOSAIC_GAP);
+    const tile = await coverImage(tileBytes[i], tileSize, tileSize);
+    layers.push({
+      input: tile || rectSVG(tileSize, tileSize, "#222"),
+      top,
+      left,
+    });
+  }
+
+  // Details panel (right of the mosaic)
+  const panelLeft = HEIGHT + 40;
+  const panelWidth = WIDTH - panelLeft - 40;
+  const avatarSize = 96;
+  const avatar = await circleImage(profileBytes, avatarSize);
+  layers.push({
+    input: avatar || circleSVG(avatarSize, avatarSize / 2, "#333"),
+    top: 150,
+    left: panelLeft,
+  });
+
+  const name = escapeXml(truncate(collection.name, 19));
+  const meta = escapeXml(collection.memberLabel || "");
+  const postCount = collection.postCount || 0;
+  const posts = `${postCount} post${postCount === 1 ? "" : "s"}`;
+  const owner = collection.ownerUsername ?
+    `by @${escapeXml(truncate(collection.ownerUsername, 28))}` : "";
+  layers.push({
+    input: Buffer.from(`<svg width="${panelWidth}" height="260">
+      <style>
+        .name { font: 600 40px sans-serif; fill: #fff; }
+        .meta { font: 400 24px sans-serif; fill: #999; }
+        .owner { font: 400 24px sans-serif; fill: #fff; }
+      </style>
+      <text x="0" y="48" class="name">${name}</text>
+      <text x="0" y="92" class="meta">${meta} · ${posts}</text>
+      <text x="0" y="136" class="owner">${owner}</text>
+    </svg>`),
+    top: 270,
+    left: panelLeft,
+  });
+
+  return sharp({
+    create: {width: WIDTH, height: HEIGHT, channels: 4, background: "#000"},
+  })
+      .composite(layers)
+      .png()
+      .toBuffer();
+}
+
+/**
+ * Renders the post share card: the first media item full-bleed with the
+ * author (photo, @username, collection) overlaid along the bottom
+ * @param {Object} post imageURL, username, profileImageURL, collectionName
+ * @return {Promise<Buffer>} 1200x630 PNG
+ */
+async function renderPostPreview(post) {
+  const [mediaBytes, profileBytes] = await Promise.all([
+    fetchImage(post.imageURL),
+    fetchImage(post.profileImageURL),
+  ]);
+
+  // Falls back to the profile gradient stretched full height
+  const media = await coverImage(mediaBytes, WIDTH, HEIGHT) ||
+    await coverImage(Buffer.from(GRADIENT_SVG), WIDTH, HEIGHT);
+  const avatarSize = 72;
+  const avatar = await circleImage(profileBytes, avatarSize);
+
+  const username = escapeXml(truncate(post.username, 40));
+  const collectionName = escapeXml(truncate(post.collectionName, 50));
+  const overlayHeight = 180;
+
+  const layers = [
+    {input: media, top: 0, left: 0},
+    {
+      // Bottom shade so the author text stays readable on bright photos
+      input: Buffer.from(`<svg width="${WIDTH}" height="${overlayHeight}">
+        <defs>
+          <linearGradient id="shade" x1="0" y1="0" x2="0" y2="1">
+            <stop offset="0%" stop-color="#000" stop-opacity="0"/>
+            <stop offset="100%" stop-color="#000" stop-opacity="0.75"/>
+          </linearGradient>
+        </defs>
+        <rect width="100%" height="100%" fill="url(#shade)"/>
+      </svg>`),
+      top: HEIGHT - overlayHeight,
+      left: 0,
+    },
+    {
+      input: avatar || circleSVG(avatarSize, avatarSize / 2, "#333"),
+      top: HEIGHT - avatarSize - 36,
+      left: 40,
+    },
+    {
+      input: Buffer.from(`<svg width="${WIDTH - 140}" height="${avatarSize}">
+        <style>
+          .username { font: 600 30px sans-serif; fill: #fff; }
+          .collection { font: 400 22px sans-serif; fill: #ccc; }
+        </style>
+        <text x="0" y="32" class="username">@${username}</text>
+        <text x="0" y="64" class="collection">${collectionName}</text>
+      </svg>`),
+      top: HEIGHT - avatarSize - 36,
+      left: 40 + avatarSize + 20,
+    },
+  ];
+  return sharp({
+    create: {width: WIDTH, height: HEIGHT, channels: 4, background: "#000"},
+  })
+      .composite(layers)
+      .png()
+      .toBuffer();
+}
+
+/**
+ * Storage path of a user's cached profile card
+ * @param {string} userId User document ID
+ * @return {string} Object path in the default bucket
+ */
+function profilePreviewPath(userId) {
+  return `previews/users/${userId}.png`;
+}
+
+/**
+ * Storage path of a collection's cached share card
+ * @param {string} collectionId Collection document ID
+ * @return {string} Object path in the default bucket
+ */
+function collectionPreviewPath(collectionId) {
+  return `previews/collections/${collectionId}.png`;
+}
+
+/**
+ * Storage path of a post's cached share card
+ * @param {string} postId Post document ID
+ * @return {string} Object path in the default bucket
+ */
+function postPreviewPath(postId) {
+  return `previews/posts/${postId}.png`;
+}
+
+/**
+ * Reference to a card's version stamp
+ * @param {string} cachePath Card path from profilePreviewPath and friends
+ * @return {Object} DocumentReference
+ */
+function previewVersionRef(cachePath) {
+  return admin.firestore()
+      .collection(PREVIEW_VERSIONS_COLLECTION)
+      .doc(cachePath.replace(/\//g, "_"));
+}
+
+/**
+ * Reads a card's current version
+ * @param {string} cachePath Card path from profilePreviewPath and friends
+ * @return {Promise<number>} Version stamp (0 if never invalidated)
+ */
+async function getPreviewVersion(cachePath) {
+  const doc = await previewVersionRef(cachePath).get();
+  return doc.exists ? doc.get("version") || 0 : 0;
+}
+
+/**
+ * Storage path of a card rendered at a given version
+ * @param {string} cachePath Card path from profilePreviewPath and friends
+ * @param {number} version Version stamp
+ * @return {string} Object path (version 0 keeps the unversioned path)
+ */
+function versionedPreviewPath(cachePath, version) {
+  return version ? cachePath.replace(/\.png$/, `.v${version}.png`) : cachePath;
+}
+
+/**
+ * Reads a cached card from Storage
+ * @param {string} path Object path
+ * @return {Promise<?Buffer>} PNG bytes, or null on a cache miss
+ */
+async function readCachedPreview(path) {
+  try {
+    const [contents] = await admin.storage().bucket().file(path).download();
+    return contents;
+  } catch (error) {
+    if (error.code !== 404) {
+      console.log(`⚠️ Could not read cached preview ${path}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Writes a rendered card to the Storage cache (failures are logged, not thrown)
+ * @param {string} path Object path
+ * @param {Buffer} png PNG bytes
+ * @return {Promise<void>}
+ */
+async function writeCachedPreview(path, png) {
+  try {
+    await admin.storage().bucket().file(path).save(png, {
+      contentType: "image/png",
+      resumable: false,
+    });
+  } catch (error) {
+    console.log(`⚠️ Could not cache preview ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Removes a cached card (failures are logged, not thrown)
+ * @param {string} path Object path
+ * @return {Promise<void>}
+ */
+async function deleteCachedPreview(path) {
+  try {
+    await admin.storage().bucket().file(path).delete({ignoreNotFound: true});
+  } catch (error) {
+    console.log(`⚠️ Could not delete preview ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Bumps a card's version so the next request re-renders it, and removes the
+ * copy cached at the previous version
+ * @param {string} cachePath Card path from profilePreviewPath and friends
+ * @return {Promise<number>} The new version
+ */
+async function invalidateCachedPreview(cachePath) {
+  const ref = previewVersionRef(cachePath);
+  const previous = await admin.firestore().runTransaction(async (t) => {
+    const doc = await t.get(ref);
+    const version = doc.exists ? doc.get("version") || 0 : 0;
+    t.set(ref, {
+      version: version + 1,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return version;
+  });
+  await deleteCachedPreview(versionedPreviewPath(cachePath, previous));
+  return previous + 1;
+}
+
+module.exports = {
+  renderProfilePreview,
+  renderCollectionPreview,
+  renderPostPreview,
+  profilePreviewPath,
+  collectionPreviewPath,
+  postPreviewPath,
+  getPreviewVersion,
+  versionedPreviewPath,
+  readCachedPreview,
+  writeCachedPreview,
+  deleteCachedPreview,
+  invalidateCachedPreview,
+};
@@ -0,0 +1,108 @@
+/**
+ * Response caching for rendered profile pages
+ *
+ * Each user has a version stamp in profile_versions/{userId}. Triggers bump it
+ * whenever the user's doc, their collections or their posts change. The stamp
+ * is part of the page ETag and keys the per-instance HTML cache, so a bump
+ * invalidates both without touching the CDN.
+ */
+
+const admin = require("firebase-admin");
+
+const PROFILE_VERSIONS_COLLECTION = "profile_versions";
+
+// CDN keeps pages for a few seconds and may serve stale copies while it
+// revalidates with If-None-Match; browsers always revalidate
+const PROFILE_CACHE_CONTROL =
+  "public, max-age=0, s-maxage=10, stale-while-revalidate=60";
+
+// Rendered pages kept per function instance
+const MAX_CACHED_PAGES = 200;
+
+// Changes with every deploy so template changes aren't masked by old ETags
+const RENDER_REVISION = process.env.K_REVISION || "local";
+
+const pageCache = new Map();
+
+/**
+ * Reads a user's current profile version
+ * @param {string} userId User document ID
+ * @return {Promise<number>} Version stamp (0 if never bumped)
+ */
+async function getProfileVersion(userId) {
+  const doc = await admin.firestore()
+      .collection(PROFILE_VERSIONS_COLLECTION)
+      .doc(userId)
+      .get();
+  return doc.exists ? doc.data().version || 0 : 0;
+}
+
+/**
+ * Bumps the profile version of each given user
+ * @param {Array<?string>} userIds User IDs (falsy and duplicates skipped)
+ * @return {Promise<Array<string>>} The users whose version was bumped
+ */
+async function bumpProfileVersions(userIds) {
+  const uniqueIds = [...new Set(userIds.filter(Boolean))];
+  const db = admin.firestore();
+
+  await Promise.all(uniqueIds.map((userId) => db
+      .collection(PROFILE_VERSIONS_COLLECTION)
+      .doc(userId)
+      .set({
+        version: admin.firestore.FieldValue.increment(1),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, {merge: true})));
+
+  return uniqueIds;
+}
+
+/**
+ * Builds the ETag for a rendered profile page
+ * @param {string} userId User document ID
+ * @param {number} version Profile version stamp
+ * @return {string} Weak ETag header value
+ */
+function profileETag(userId, version) {
+  return `W/"${userId}-${version}-${RENDER_REVISION}"`;
+}
+
+/**
+ * Returns cached HTML for a page if it was rendered at this version
+ * @param {string} key Cache key
+ * @param {number} version Profile version stamp
+ * @return {?string} HTML, or null on a miss
+ */
+function getCachedPage(key, version) {
+  const entry = pageCache.get(key);
+  if (!entry || entry.version !== version) {
+    return null;
+  }
+  // Re-insert so the Map's insertion order tracks recency
+  pageCache.delete(key);
+  pageCache.set(key, entry);
+  return entry.html;
+}
+
+/**
+ * Stores rendered HTML, evicting the least recently used page when full
+ * @param {string} key Cache key
+ * @param {number} version Profile version stamp the page was rendered at
+ * @param {string} html Rendered page
+ */
+function setCachedPage(key, version, html) {
+  pageCache.delete(key);
+  pageCache.set(key, {version, html});
+  if (pageCache.size > MAX_CACHED_PAGES) {
+    pageCache.delete(pageCache.keys().next().value);
+  }
+}
+
+module.exports = {
+  PROFILE_CACHE_CONTROL,
+  getProfileVersion,
+  bumpProfileVersions,
+  profileETag,
+  getCachedPage,
+  setCachedPage,
+};
@@ -1,6 +1,33 @@
 const express = require('express');
 const admin = require('firebase-admin');
 const path = require('path');
+const {
+  getPostThumbnailURL,
+  getPostMediaItems,
+  getMemberLabel,
+} = require("./postMedia");
+const {getCollectionPreview} = require("./collectionPreviews");
+const { findUserByUsername, findFormerUsernameOwner, isReservedUsername } = require('./usernames');
+const {
+  PROFILE_CACHE_CONTROL,
+  getProfileVersion,
+  profileETag,
+  getCachedPage,
+  setCachedPage,
+} = require("./profileCache");
+const {
+  renderProfilePreview,
+  renderCollectionPreview,
+  renderPostPreview,
+  profilePreviewPath,
+  collectionPreviewPath,
+  postPreviewPath,
+  getPreviewVersion,
+  versionedPreviewPath,
+  readCachedPreview,
+  writeCachedPreview,
+  deleteCachedPreview,
+} = require("./previewImage");
 
 const app = express();
 
@@ -48,157 +75,800 @@ function formatDate(timestamp) {
   });
 }
 
+/**
+ * Sends a styled status page (404s and errors)
+ * @param {Object} res Express response
+ * @param {number} status HTTP status code
+ * @param {string} title Page title
+ * @param {?string} message Text shown under the title
+ * @return {Object} Express response
+ */
+function sendStatusPage(res, status, title, message) {
+  return res.status(status).send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${escapeHtml(title)} - COY</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI',
+                             Roboto, sans-serif;
+               text-align: center; padding: 50px;
+               background: #000; color: #fff; }
+      </style>
+    </head>
+    <body>
+      <h1>${escapeHtml(title)}</h1>
+      ${message ? `<p>${escapeHtml(message)}</p>` : ""}
+    </body>
+    </html>
+  `);
+}
+
+// Number of posts shown per page on collection pages
+const COLLECTION_PAGE_SIZE = 24;
+
+// Browser/CDN cache lifetime for preview images (seconds) - Storage holds the
+// long-lived copy
+const PREVIEW_MAX_AGE = 600;
+
+/**
+ * Sends a preview PNG from the Storage cache, rendering it on a miss
+ * @param {Object} res Express response
+ * @param {string} cachePath Card path from profilePreviewPath and friends
+ * @param {function(): Promise<Buffer>} render Renders the PNG
+ * @return {Promise<void>}
+ */
+async function sendPreviewImage(res, cachePath, render) {
+  const version = await getPreviewVersion(cachePath);
+  const path = versionedPreviewPath(cachePath, version);
+  let png = await readCachedPreview(path);
+
+  if (png) {
+    console.log(`🖼️ Preview cache hit: ${path}`);
+  } else {
+    png = await render();
+    await writeCachedPreview(path, png);
+    console.log(`🖼️ Rendered preview: ${path} (${png.length} bytes)`);
+
+    // Invalidated while rendering: the copy is outdated and never read again
+    if (await getPreviewVersion(cachePath) !== version) {
+      await deleteCachedPreview(path);
+    }
+  }
+
+  res.set({
+    "Content-Type": "image/png",
+    "Cache-Control":
+      `public, max-age=${PREVIEW_MAX_AGE}, s-maxage=${PREVIEW_MAX_AGE}`,
+  });
+  res.send(png);
+}
+
+/**
+ * Builds the collection rows shown on a profile page, from the
+ * previewPosts/postCount that onPostWrittenUpdateCollectionPreview keeps on
+ * the collection docs
+ * @param {Array<Object>} collectionDocs Collection snapshots
+ * @param {Object} ownerData Profile owner's user data
+ * @return {Promise<Array<Object>>} Collection rows
+ */
+async function buildProfileCollections(collectionDocs, ownerData) {
+  const collections = [];
+  for (const doc of collectionDocs) {
+    try {
+      const collectionData = doc.data();
+      let previewPosts = collectionData.previewPosts;
+      let postCount = collectionData.postCount || 0;
+
+      // Collections not yet backfilled - read their posts once
+      if (!Array.isArray(previewPosts)) {
+        console.log(
+            `⚠️ Collection ${doc.id} has no previewPosts yet - reading posts`,
+        );
+        ({previewPosts, postCount} = await getCollectionPreview(doc.id));
+      }
+
+      console.log(`📦 Collection "${collectionData.name}": ` +
+        `${previewPosts.length} preview posts, ${postCount} total posts`);
+
+      // Collection profile image: collection.imageURL, else the owner's
+      // profile image
+      const hasImage = typeof collectionData.imageURL === "string" &&
+        collectionData.imageURL.trim() !== "";
+      const collectionImageURL = hasImage ? collectionData.imageURL : null;
+
+      collections.push({
+        id: doc.id,
+        name: collectionData.name || "Untitled Collection",
+        description: collectionData.description || "",
+        imageURL: collectionData.imageURL || null,
+        profileImageURL: collectionImageURL ||
+          ownerData.profileImageURL ||
+          null,
+        isPublic: collectionData.isPublic || false,
+        createdAt: collectionData.createdAt,
+        postCount: postCount,
+        previewPosts: previewPosts,
+      });
+    } catch (collectionError) {
+      console.error(
+          `❌ Error processing collection ${doc.id}:`, collectionError,
+      );
+      // Skip this collection and continue with others
+      continue;
+    }
+  }
+  return collections;
+}
+
+/**
+ * Sets the cache headers for a profile page rendered at a given version
+ * @param {Object} res Express response
+ * @param {string} userId Profile owner's user ID
+ * @param {number} version Profile version the page was rendered at
+ */
+function setProfileCacheHeaders(res, userId, version) {
+  res.set({
+    "Cache-Control": PROFILE_CACHE_CONTROL,
+    "ETag": profileETag(userId, version),
+  });
+}
+
+/**
+ * Sends 304 when the client's ETag matches the current profile version
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {string} userId Profile owner's user ID
+ * @param {number} version Current profile version
+ * @return {boolean} Whether a response was sent
+ */
+function sendProfileNotModified(req, res, userId, version) {
+  setProfileCacheHeaders(res, userId, version);
+
+  if (req.fresh) {
+    console.log(`📦 Profile not modified: ${userId} (v${version})`);
+    res.status(304).end();
+    return true;
+  }
+
+  // Only successful responses get cache headers, never an error page
+  res.removeHeader("Cache-Control");
+  res.removeHeader("ETag");
+  return false;
+}
+
+/**
+ * Answers a profile request from cache: 304 when the client's ETag is
+ * current, or the HTML this instance cached for the version
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {string} userId Profile owner's user ID
+ * @param {number} version Current profile version
+ * @return {boolean} Whether a response was sent
+ */
+function sendCachedProfile(req, res, userId, version) {
+  if (sendProfileNotModified(req, res, userId, version)) {
+    return true;
+  }
+
+  const html = getCachedPage(`profile:${userId}`, version);
+  if (html) {
+    console.log(`📦 Profile cache hit: ${userId} (v${version})`);
+    setProfileCacheHeaders(res, userId, version);
+    res.send(html);
+    return true;
+  }
+
+  return false;
+}
+
+// Number of collections per profile page (first render and each API page)
+const PROFILE_PAGE_SIZE = 12;
+const MAX_PROFILE_PAGE_SIZE = 50;
+
+/**
+ * Resolves a username to a user doc - any casing, or a handle the user
+ * recently gave up
+ * @param {string} username Username from the URL
+ * @return {Promise<?Object>} {userDoc, isCanonical, isFormerUsername}, or
+ *     null when nobody has (or recently had) the name
+ */
+async function resolveUsername(username) {
+  const userDoc = await findUserByUsername(username);
+  if (userDoc) {
+    return {
+      userDoc,
+      isCanonical: userDoc.data().username === username,
+      isFormerUsername: false,
+    };
+  }
+
+  // Former handles redirect until the grace period ends or someone else
+  // claims them (see username_history)
+  const formerOwnerId = await findFormerUsernameOwner(username);
+  if (formerOwnerId) {
+    const ownerDoc = await db.collection("users").doc(formerOwnerId).get();
+    if (ownerDoc.exists && ownerDoc.data().username) {
+      return {userDoc: ownerDoc, isCanonical: false, isFormerUsername: true};
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the user object passed to the profile page / API
+ * @param {string} userId User ID
+ * @param {Object} userData User document data
+ * @return {Object} Public profile fields
+ */
+function buildProfileUser(userId, userData) {
+  return {
+    id: userId,
+    username: userData.username || "",
+    name: userData.name || "",
+    profileImageURL: userData.profileImageURL || null,
+    backgroundImageURL: userData.backgroundImageURL || null,
+    bio: userData.bio || "",
+  };
+}
+
+/**
+ * Encodes an opaque collections cursor (position after the given doc)
+ * @param {Object} doc Last collection document of a page
+ * @return {string} Cursor
+ */
+function encodeCollectionsCursor(doc) {
+  const createdAt = doc.data().createdAt;
+  return Buffer.from(JSON.stringify({
+    s: createdAt.seconds,
+    n: createdAt.nanoseconds,
+    id: doc.id,
+  })).toString("base64url");
+}
+
+/**
+ * Decodes a collections cursor
+ * @param {string} cursor Cursor from encodeCollectionsCursor
+ * @return {?Object} {createdAt, id}, or null if the cursor is malformed
+ */
+function decodeCollectionsCursor(cursor) {
+  try {
+    const {s, n, id} = JSON.parse(
+        Buffer.from(cursor, "base64url").toString("utf8"),
+    );
+    if (!Number.isInteger(s) || !Number.isInteger(n) ||
+        typeof id !== "string" || !id) {
+      return null;
+    }
+    return {createdAt: new admin.firestore.Timestamp(s, n), id};
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Loads one page of a user's public collections, newest first. Collections
+ * without createdAt aren't returned (npm run backfill:collection-created-at
+ * sets it on old ones).
+ * @param {string} userId Owner's user ID
+ * @param {Object} userData Owner's user document data
+ * @param {?Object} cursor Decoded cursor, or null for the first page
+ * @param {number} limit Page size
+ * @return {Promise<Object>} {collections, nextCursor}, nextCursor null on
+ *     the last page
+ */
+async function loadProfileCollectionsPage(userId, userData, cursor, limit) {
+  let query = db.collection("collections")
+      .where("ownerId", "==", userId)
+      .where("isPublic", "==", true)
+      .orderBy("createdAt", "desc")
+      .orderBy(admin.firestore.FieldPath.documentId(), "desc")
+      .limit(limit + 1);
+  if (cursor) {
+    query = query.startAfter(cursor.createdAt, cursor.id);
+  }
+
+  const snapshot = await query.get();
+  const pageDocs = snapshot.docs.slice(0, limit);
+
+  // previewPosts/postCount are denormalized onto each collection - no
+  // per-collection post queries
+  const collections = await buildProfileCollections(pageDocs, userData);
+  const nextCursor = snapshot.docs.length > limit ?
+    encodeCollectionsCursor(pageDocs[pageDocs.length - 1]) : null;
+
+  return {collections, nextCursor};
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
 // Route: Preview image for link previews - https://coy.services/preview/{username}
-app.get('/preview/:username', async (req, res) => {
+// Returns a 1200x630 PNG (referenced as og:image / twitter:image by
+// views/profile.ejs)
+app.get("/preview/:username", async (req, res) => {
   try {
-    const { username } = req.params;
-    
+    const {username} = req.params;
+
     console.log(`🖼️ Generating preview for username: ${username}`);
-    
-    // Find user by username
-    const usersSnapshot = await db.collection('users')
-      .where('username', '==', username)
-      .limit(1)
-      .get();
-    
-    if (usersSnapshot.empty) {
-      return res.status(404).send('User not found');
+
+    const resolved = await resolveUsername(username);
+    if (!resolved) {
+      return res.status(404).send("User not found");
     }
-    
-    const userDoc = usersSnapshot.docs[0];
+
+    const userDoc = resolved.userDoc;
     const userData = userDoc.data();
-    
-    // Escape HTML to prevent XSS
-    const safeUsername = escapeHtml(userData.username || '');
-    const safeName = escapeHtml(userData.name || '');
-    const safeBackgroundURL = userData.backgroundImageURL ? escapeHtml(userData.backgroundImageURL) : '';
-    const safeProfileURL = userData.profileImageURL ? escapeHtml(userData.profileImageURL) : '';
-    
-    // Render a special preview HTML page optimized for link previews
-    // This will be used by screenshot services or rendered directly
-    const previewHTML = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <style>
-    * {
-      margin: 0;
-      padding: 0;
-      box-sizing: border-box;
-    }
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      background: #000;
-      color: #fff;
-      width: 1200px;
-      height: 630px;
-      overflow: hidden;
-      position: relative;
-    }
-    .preview-container {
-      width: 100%;
-      height: 100%;
-      position: relative;
-    }
-    .background-section {
-      width: 100%;
-      height: 315px;
-      background: ${safeBackgroundURL ? `url('${safeBackgroundURL}')` : 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)'};
-      background-size: cover;
-      background-position: center;
-      position: relative;
-    }
-    .profile-image-container {
-      position: absolute;
-      top: 245px;
-      left: 50%;
-      transform: translateX(-50%);
-      width: 140px;
-      height: 140px;
-      border-radius: 50%;
-      border: 6px solid #000;
-      overflow: hidden;
-      background: #333;
-    }
-    .profile-image {
-      width: 100%;
-      height: 100%;
-      object-fit: cover;
-    }
-    .profile-info {
-      position: absolute;
-      top: 400px;
-      left: 50%;
-      transform: translateX(-50%);
-      text-align: center;
-      width: 100%;
-    }
-    .profile-username {
-      font-size: 36px;
-      font-weight: 600;
-      color: #fff;
-      margin-bottom: 8px;
-    }
-    .profile-name {
-      font-size: 24px;
-      font-weight: 400;
-      color: #fff;
-      opacity: 0.8;
-      margin-bottom: 20px;
-    }
-  </style>
-</head>
-<body>
-  <div class="preview-container">
-    <div class="background-section"></div>
-    <div class="profile-image-container">
-      ${safeProfileURL ? `<img src="${safeProfileURL}" alt="Profile" class="profile-image" onerror="this.style.display='none'">` : ''}
-    </div>
-    <div class="profile-info">
-      <div class="profile-username">@${safeUsername}</div>
-      <div class="profile-name">${safeName}</div>
-    </div>
-  </div>
-</body>
-</html>`;
-    
-    res.setHeader('Content-Type', 'text/html');
-    res.send(previewHTML);
+
+    // Cached card is cleared by onUserPreviewFieldsChanged
+    await sendPreviewImage(res, profilePreviewPath(userDoc.id), () =>
+      renderProfilePreview({
+        username: userData.username || "",
+        name: userData.name || "",
+        profileImageURL: userData.profileImageURL || null,
+        backgroundImageURL: userData.backgroundImageURL || null,
+      }));
+  } catch (error) {
+    console.error("❌ Error generating preview:", error);
+    res.status(500).send("Error generating preview");
+  }
+});
+
+// Route: Collection preview image - https://coy.services/preview/c/{collectionId}
+// 2x2 mosaic of the newest four post thumbnails (same posts the profile page
+// shows)
+app.get("/preview/c/:collectionId", async (req, res) => {
+  try {
+    const {collectionId} = req.params;
+
+    console.log(`🖼️ Generating collection preview: ${collectionId}`);
+
+    const collectionDoc = await db.collection("collections")
+        .doc(collectionId)
+        .get();
+    if (!collectionDoc.exists || collectionDoc.data().isPublic !== true) {
+      return res.status(404).send("Collection not found");
+    }
+
+    const collectionData = collectionDoc.data();
+
+    // Cached card is cleared by onCollectionPreviewChanged and
+    // onPostPreviewChanged
+    const cachePath = collectionPreviewPath(collectionId);
+    await sendPreviewImage(res, cachePath, async () => {
+      // Read the posts directly - the denormalized previewPosts may not be
+      // refreshed yet
+      const [preview, ownerDoc] = await Promise.all([
+        getCollectionPreview(collectionId),
+        collectionData.ownerId ?
+          db.collection("users").doc(collectionData.ownerId).get() :
+          null,
+      ]);
+      const ownerData = ownerDoc && ownerDoc.exists ? ownerDoc.data() : {};
+
+      return renderCollectionPreview({
+        name: collectionData.name || "Untitled Collection",
+        memberLabel: getMemberLabel(collectionData),
+        postCount: preview.postCount,
+        ownerUsername: ownerData.username || "",
+        profileImageURL: collectionData.imageURL ||
+          ownerData.profileImageURL ||
+          null,
+        thumbnailURLs: preview.previewPosts.map((post) => post.imageURL),
+      });
+    });
+  } catch (error) {
+    console.error("❌ Error generating collection preview:", error);
+    res.status(500).send("Error generating preview");
+  }
+});
+
+// Route: Post preview image - https://coy.services/preview/p/{postId}
+// First media item with the author overlaid
+app.get("/preview/p/:postId", async (req, res) => {
+  try {
+    const {postId} = req.params;
+
+    console.log(`🖼️ Generating post preview: ${postId}`);
+
+    const postDoc = await db.collection("posts").doc(postId).get();
+    if (!postDoc.exists) {
+      return res.status(404).send("Post not found");
+    }
+
+    const postData = postDoc.data();
+    const collectionDoc = postData.collectionId ?
+      await db.collection("collections").doc(postData.collectionId).get() :
+      null;
+    if (!collectionDoc || !collectionDoc.exists ||
+        collectionDoc.data().isPublic !== true) {
+      return res.status(404).send("Post not found");
+    }
+
+    // Cached card is cleared by onPostPreviewChanged
+    await sendPreviewImage(res, postPreviewPath(postId), async () => {
+      const authorDoc = postData.authorId ?
+        await db.collection("users").doc(postData.authorId).get() : null;
+      const authorData = authorDoc && authorDoc.exists ? authorDoc.data() : {};
+
+      // First media item: the photo itself, or the poster frame for videos
+      const firstMedia = getPostMediaItems(postData)[0];
+      let firstImageURL = null;
+      if (firstMedia) {
+        firstImageURL = firstMedia.type === "video" ?
+          firstMedia.posterURL :
+          firstMedia.url;
+      }
+
+      return renderPostPreview({
+        imageURL: firstImageURL || getPostThumbnailURL(postData),
+        username: authorData.username || postData.authorName || "",
+        profileImageURL: authorData.profileImageURL || null,
+        collectionName: collectionDoc.data().name || "",
+      });
+    });
+  } catch (error) {
+    console.error("❌ Error generating post preview:", error);
+    res.status(500).send("Error generating preview");
+  }
+});
+
+// Route: Public collection page - https://coy.services/c/{collectionId}
+// Supports ?after={postId} to page through the post grid
+app.get("/c/:collectionId", async (req, res) => {
+  try {
+    const {collectionId} = req.params;
+    const afterPostId = typeof req.query.after === "string" ?
+      req.query.after : null;
+
+    console.log(`📦 Fetching collection page: ${collectionId}`);
+
+    const collectionDoc = await db.collection("collections")
+        .doc(collectionId)
+        .get();
+
+    // Private collections are treated exactly like missing ones so their
+    // existence isn't leaked
+    if (!collectionDoc.exists || collectionDoc.data().isPublic !== true) {
+      return sendStatusPage(res, 404, "Collection Not Found",
+          "This collection does not exist or is private.");
+    }
+
+    const collectionData = collectionDoc.data();
+
+    // Get owner for the header (username links back to the profile page)
+    let owner = null;
+    if (collectionData.ownerId) {
+      const ownerDoc = await db.collection("users")
+          .doc(collectionData.ownerId)
+          .get();
+      if (ownerDoc.exists) {
+        const ownerData = ownerDoc.data();
+        owner = {
+          id: ownerDoc.id,
+          username: ownerData.username || "",
+          name: ownerData.name || "",
+          profileImageURL: ownerData.profileImageURL || null,
+        };
+      }
+    }
+
+    // Page of posts, newest first (uses the collectionId + createdAt index)
+    let postsQuery = db.collection("posts")
+        .where("collectionId", "==", collectionId)
+        .orderBy("createdAt", "desc")
+        .limit(COLLECTION_PAGE_SIZE);
+
+    if (afterPostId) {
+      const afterDoc = await db.collection("posts").doc(afterPostId).get();
+      if (afterDoc.exists && afterDoc.data().collectionId === collectionId) {
+        postsQuery = postsQuery.startAfter(afterDoc);
+      }
+    }
+
+    const [postsSnapshot, countSnapshot] = await Promise.all([
+      postsQuery.get(),
+      db.collection("posts")
+          .where("collectionId", "==", collectionId)
+          .count()
+          .get(),
+    ]);
+
+    const posts = postsSnapshot.docs.map((postDoc) => {
+      const postData = postDoc.data();
+      const mediaItems = postData.mediaItems || [];
+      return {
+        id: postDoc.id,
+        imageURL: getPostThumbnailURL(postData),
+        isVideo: mediaItems.some((media) => media && media.videoURL),
+        mediaCount: mediaItems.length,
+      };
+    });
+
+    const nextCursor = postsSnapshot.docs.length === COLLECTION_PAGE_SIZE ?
+      postsSnapshot.docs[postsSnapshot.docs.length - 1].id : null;
+
+    // Collection profile image falls back to the owner's profile image (same
+    // as profile page)
+    let profileImageURL = collectionData.imageURL || null;
+    if ((!profileImageURL || profileImageURL.trim() === "") && owner) {
+      profileImageURL = owner.profileImageURL;
+    }
+
+    console.log(
+        `📦 Collection "${collectionData.name}": ${posts.length} posts on ` +
+        `page, ${countSnapshot.data().count} total`,
+    );
+
+    res.render("collection", {
+      collection: {
+        id: collectionDoc.id,
+        name: collectionData.name || "Untitled Collection",
+        description: collectionData.description || "",
+        imageURL: collectionData.imageURL || null,
+        profileImageURL: profileImageURL,
+        memberLabel: getMemberLabel(collectionData),
+        createdAt: collectionData.createdAt,
+        postCount: countSnapshot.data().count,
+      },
+      owner: owner,
+      posts: posts,
+      nextCursor: nextCursor,
+      isFirstPage: !afterPostId,
+      escapeHtml: escapeHtml,
+      formatDate: formatDate,
+    }, (err, html) => {
+      if (err) {
+        console.error("❌ EJS rendering error:", err);
+        return sendStatusPage(res, 500, "Error",
+            "An error occurred while rendering the collection.");
+      }
+      res.send(html);
+    });
   } catch (error) {
-    console.error('❌ Error generating preview:', error);
-    res.status(500).send('Error generating preview');
+    console.error("❌ Error fetching collection:", error);
+    sendStatusPage(res, 500, "Error",
+        "An error occurred while loading the collection.");
+  }
+});
+
+// Route: Post permalink - https://coy.services/p/{postId}
+app.get("/p/:postId", async (req, res) => {
+  try {
+    const {postId} = req.params;
+
+    console.log(`🖼️ Fetching post page: ${postId}`);
+
+    const postDoc = await db.collection("posts").doc(postId).get();
+    if (!postDoc.exists) {
+      return sendStatusPage(res, 404, "Post Not Found",
+          "This post does not exist or is private.");
+    }
+
+    const postData = postDoc.data();
+
+    // Posts are only visible on the web when their collection is public
+    const collectionDoc = postData.collectionId ?
+      await db.collection("collections").doc(postData.collectionId).get() :
+      null;
+    if (!collectionDoc || !collectionDoc.exists ||
+        collectionDoc.data().isPublic !== true) {
+      return sendStatusPage(res, 404, "Post Not Found",
+          "This post does not exist or is private.");
+    }
+
+    const collectionData = collectionDoc.data();
+
+    // Author shown above the carousel; fall back to denormalized authorName
+    let author = {
+      id: postData.authorId || "",
+      username: "",
+      name: postData.authorName || "",
+      profileImageURL: null,
+    };
+    if (postData.authorId) {
+      const authorDoc = await db.collection("users")
+          .doc(postData.authorId)
+          .get();
+      if (authorDoc.exists) {
+        const authorData = authorDoc.data();
+        author = {
+          id: authorDoc.id,
+          username: authorData.username || "",
+          name: authorData.name || postData.authorName || "",
+          profileImageURL: authorData.profileImageURL || null,
+        };
+      }
+    }
+
+    const mediaItems = getPostMediaItems(postData);
+
+    console.log(
+        `🖼️ Post ${postId}: ${mediaItems.length} media items, ` +
+        `allowDownload: ${postData.allowDownload === true}`,
+    );
+
+    res.render("post", {
+      post: {
+        id: postDoc.id,
+        caption: postData.caption || postData.title || "",
+        createdAt: postData.createdAt,
+        likeCount: postData.likeCount || 0,
+        commentCount: postData.commentCount || 0,
+        allowDownload: postData.allowDownload === true,
+        mediaItems: mediaItems,
+      },
+      author: author,
+      collection: {
+        id: collectionDoc.id,
+        name: collectionData.name || "Untitled Collection",
+      },
+      escapeHtml: escapeHtml,
+      formatDate: formatDate,
+    }, (err, html) => {
+      if (err) {
+        console.error("❌ EJS rendering error:", err);
+        return sendStatusPage(res, 500, "Error",
+            "An error occurred while rendering the post.");
+      }
+      res.send(html);
+    });
+  } catch (error) {
+    console.error("❌ Error fetching post:", error);
+    sendStatusPage(res, 500, "Error",
+        "An error occurred while loading the post.");
+  }
+});
+
+/**
+ * Converts profile collections to JSON-friendly objects (timestamps as ISO
+ * strings)
+ * @param {Array<Object>} collections From buildProfileCollections
+ * @return {Array<Object>} Serializable collections
+ */
+function serializeProfileCollections(collections) {
+  return collections.map((collection) => ({
+    ...collection,
+    createdAt: collection.createdAt && collection.createdAt.toDate ?
+      collection.createdAt.toDate().toISOString() : null,
+  }));
+}
+
+/**
+ * Parses the ?limit= query parameter
+ * @param {*} value Query value
+ * @return {?number} Page size, or null if the value is invalid
+ */
+function parsePageLimit(value) {
+  if (value === undefined) {
+    return PROFILE_PAGE_SIZE;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return null;
+  }
+  return Math.min(limit, MAX_PROFILE_PAGE_SIZE);
+}
+
+// Route: Profile JSON API - https://coy.services/api/users/{username}
+// Same shape as the data passed to res.render('profile', ...) plus nextCursor
+// for more collections
+app.get("/api/users/:username", async (req, res) => {
+  try {
+    const {username} = req.params;
+
+    console.log(`📄 API: fetching profile for username: ${username}`);
+
+    const resolved = await resolveUsername(username);
+    if (!resolved) {
+      return res.status(404).json({error: "User not found"});
+    }
+
+    const foundUserDoc = resolved.userDoc;
+    const userId = foundUserDoc.id;
+    const version = await getProfileVersion(userId);
+    if (sendProfileNotModified(req, res, userId, version)) {
+      return;
+    }
+
+    // Re-read the user after the version stamp so the response is never older
+    // than its ETag
+    const userDoc = await db.collection("users").doc(userId).get();
+    const userData = userDoc.exists ? userDoc.data() : foundUserDoc.data();
+    const {collections, nextCursor} = await loadProfileCollectionsPage(
+        userId, userData, null, PROFILE_PAGE_SIZE,
+    );
+
+    setProfileCacheHeaders(res, userId, version);
+    res.json({
+      user: buildProfileUser(userId, userData),
+      collections: serializeProfileCollections(collections),
+      nextCursor: nextCursor,
+    });
+  } catch (error) {
+    console.error("❌ API error fetching profile:", error);
+    res.status(500).json({error: "Error fetching profile"});
+  }
+});
+
+// Route: Profile collections JSON API -
+// https://coy.services/api/users/{username}/collections?cursor=&limit=
+// Pass the previous response's nextCursor to get the next page
+app.get("/api/users/:username/collections", async (req, res) => {
+  try {
+    const {username} = req.params;
+
+    const limit = parsePageLimit(req.query.limit);
+    if (limit === null) {
+      return res.status(400).json({error: "Invalid limit"});
+    }
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCollectionsCursor(String(req.query.cursor));
+      if (!cursor) {
+        return res.status(400).json({error: "Invalid cursor"});
+      }
+    }
+
+    console.log(
+        `📄 API: fetching collections for username: ${username} ` +
+        `(limit ${limit})`,
+    );
+
+    const resolved = await resolveUsername(username);
+    if (!resolved) {
+      return res.status(404).json({error: "User not found"});
+    }
+
+    const foundUserDoc = resolved.userDoc;
+    const userId = foundUserDoc.id;
+    const version = await getProfileVersion(userId);
+    if (sendProfileNotModified(req, res, userId, version)) {
+      return;
+    }
+
+    // Owner data is only used for the collection image fallback
+    const userDoc = await db.collection("users").doc(userId).get();
+    const userData = userDoc.exists ? userDoc.data() : foundUserDoc.data();
+    const {collections, nextCursor} = await loadProfileCollectionsPage(
+        userId, userData, cursor, limit,
+    );
+
+    setProfileCacheHeaders(res, userId, version);
+    res.json({
+      collections: serializeProfileCollections(collections),
+      nextCursor: nextCursor,
+    });
+  } catch (error) {
+    console.error("❌ API error fetching collections:", error);
+    res.status(500).json({error: "Error fetching collections"});
   }
 });
 
 // Route: Profile by username - https://coy.services/{username}
-app.get('/:username', async (req, res) => {
-  // Set headers to prevent caching - ensure fresh data on every request
-  res.set({
-    'Cache-Control': 'no-cache, no-store, must-revalidate',
-    'Pragma': 'no-cache',
-    'Expires': '0'
-  });
-  
+app.get("/:username", async (req, res) => {
+  // Caching: short CDN s-maxage + ETag keyed on the user's profile version
+  // (see profileCache.js)
   try {
-    const { username } = req.params;
+    const {username} = req.params;
     const path = req.path;
-    
+
     // Skip static files and known routes
-    if (path.includes('.') && (path.endsWith('.html') || path.endsWith('.js') || path.endsWith('.css') || 
-        path.endsWith('.png') || path.endsWith('.jpg') || path.endsWith('.jpeg') || 
-        path.endsWith('.gif') || path.endsWith('.svg') || path.endsWith('.ico') || 
-        path.endsWith('.json'))) {
-      return res.status(404).send('Not found');
+    if (path.includes(".") && (path.endsWith(".html") ||
+        path.endsWith(".js") || path.endsWith(".css") ||
+        path.endsWith(".png") || path.endsWith(".jpg") ||
+        path.endsWith(".jpeg") || path.endsWith(".gif") ||
+        path.endsWith(".svg") || path.endsWith(".ico") ||
+        path.endsWith(".json"))) {
+      return res.status(404).send("Not found");
     }
-    
-    if (!username || username === 'terms' || username === 'privacy' || username === 'profile' || username === 'health' || 
-        username === 'preview' || username === '__' || username.startsWith('_')) {
+
+    // Reserved names (terms, privacy, preview, api, ...) are the same list claimUsername rejects
+    if (!username || isReservedUsername(username)) {
       return res.status(404).send(`
         <!DOCTYPE html>
         <html>
@@ -216,16 +886,14 @@ app.get('/:username', async (req, res) => {
         </html>
       `);
     }
-    
+
     console.log(`📄 Fetching profile for username: ${username}`);
-    
-    // Find user by username
-    const usersSnapshot = await db.collection('users')
-      .where('username', '==', username)
-      .limit(1)
-      .get();
-    
-    if (usersSnapshot.empty) {
+
+    // Find user by username (case-insensitive, falling back to recent former
+    // usernames)
+    const resolved = await resolveUsername(username);
+
+    if (!resolved) {
       return res.status(404).send(`
         <!DOCTYPE html>
         <html>
@@ -244,169 +912,75 @@ app.get('/:username', async (req, res) => {
         </html>
       `);
     }
-    
-    const userDoc = usersSnapshot.docs[0];
-    const userData = userDoc.data();
-    const userId = userDoc.id;
-    
-    console.log(`📄 Fetching profile for username: ${username}`);
-    
+
+    const foundUserDoc = resolved.userDoc;
+    const userId = foundUserDoc.id;
+
+    // Redirect to the canonical URL - permanent for a different casing,
+    // temporary for a former username since the name can be claimed by
+    // someone else later
+    if (!resolved.isCanonical) {
+      const canonicalUsername = foundUserDoc.data().username;
+      console.log(`↪️ Redirecting ${username} to ${canonicalUsername}`);
+      return res.redirect(resolved.isFormerUsername ? 302 : 301,
+          `/${encodeURIComponent(canonicalUsername)}`);
+    }
+
+    // Serve from cache when nothing on the profile changed since it was
+    // rendered
+    const version = await getProfileVersion(userId);
+    if (sendCachedProfile(req, res, userId, version)) {
+      return;
+    }
+
+    // Re-read the user after the version stamp so the page is never older
+    // than its ETag
+    const userDoc = await db.collection("users").doc(userId).get();
+    const userData = userDoc.exists ? userDoc.data() : foundUserDoc.data();
+
+    console.log(`📄 Rendering profile for username: ${username} (v${version})`);
+
     // Add logging for debugging
     console.log(`🔍 User data:`, {
       username: userData.username,
       hasProfileImage: !!userData.profileImageURL,
-      hasBackgroundImage: !!userData.backgroundImageURL
+      hasBackgroundImage: !!userData.backgroundImageURL,
     });
-    
-    // Fetch all collections for user, then filter for public ones
-    // This avoids needing a composite index
-    const collectionsSnapshot = await db.collection('collections')
-      .where('ownerId', '==', userId)
-      .get();
-    
-    // Filter for public collections and sort in memory
-    const publicCollections = collectionsSnapshot.docs
-      .filter(doc => {
-        const data = doc.data();
-        return data.isPublic === true;
-      })
-      .sort((a, b) => {
-        const aTime = a.data().createdAt?.toMillis() || 0;
-        const bTime = b.data().createdAt?.toMillis() || 0;
-        return bTime - aTime; // Descending order
-      });
-    
-    const collections = [];
-    for (const doc of publicCollections) {
-      try {
-        const collectionData = doc.data();
-        
-        // Get posts for preview (without orderBy to avoid index requirement)
-        const postsSnapshot = await db.collection('posts')
-          .where('collectionId', '==', doc.id)
-          .get();
-        
-        // Sort in memory and take first 4
-        const sortedPosts = postsSnapshot.docs.sort((a, b) => {
-          const aTime = a.data().createdAt?.toMillis() || 0;
-          const bTime = b.data().createdAt?.toMillis() || 0;
-          return bTime - aTime; // Descending order
-        }).slice(0, 4);
-        
-        const previewPosts = [];
-        for (const postDoc of sortedPosts) {
-          const postData = postDoc.data();
-          const mediaItems = postData.mediaItems || [];
-          
-          // Find first image URL - matches CollectionRowDesign.getImageURL logic
-          let imageURL = null;
-          
-          // First, try to find a thumbnailURL from any mediaItem
-          for (const media of mediaItems) {
-            if (media && media.thumbnailURL && typeof media.thumbnailURL === 'string' && media.thumbnailURL.trim() !== '') {
-              imageURL = media.thumbnailURL;
-              break;
-            }
-          }
-          
-          // If no thumbnail found, try to find an imageURL from any mediaItem
-          if (!imageURL) {
-            for (const media of mediaItems) {
-              if (media && media.imageURL && typeof media.imageURL === 'string' && media.imageURL.trim() !== '') {
-                imageURL = media.imageURL;
-                break;
-              }
-            }
-          }
-          
-          // Fallback to firstMediaItem if mediaItems array is empty or no URL found
-          if (!imageURL && postData.firstMediaItem) {
-            const firstMedia = postData.firstMediaItem;
-            if (firstMedia) {
-              if (firstMedia.thumbnailURL && typeof firstMedia.thumbnailURL === 'string' && firstMedia.thumbnailURL.trim() !== '') {
-                imageURL = firstMedia.thumbnailURL;
-              } else if (firstMedia.imageURL && typeof firstMedia.imageURL === 'string' && firstMedia.imageURL.trim() !== '') {
-                imageURL = firstMedia.imageURL;
-              }
-            }
-          }
-          
-          // Always include post (even if no image, will show placeholder)
-          previewPosts.push({
-            id: postDoc.id,
-            imageURL: imageURL || null
-          });
-          
-          // Log for debugging (only if imageURL exists and is a string)
-          if (imageURL && typeof imageURL === 'string' && imageURL.length > 0) {
-            console.log(`✅ Post ${postDoc.id}: Found image URL: ${imageURL.substring(0, 50)}...`);
-          } else {
-            console.log(`⚠️ Post ${postDoc.id}: No image URL found (mediaItems: ${mediaItems.length})`);
-          }
-        }
-        
-        console.log(`📦 Collection "${collectionData.name}": ${previewPosts.length} preview posts, ${postsSnapshot.size} total posts`);
-        
-        // Get collection profile image (collection.imageURL or owner's profile image)
-        let collectionProfileImageURL = collectionData.imageURL || null;
-        if ((!collectionProfileImageURL || (typeof collectionProfileImageURL === 'string' && collectionProfileImageURL.trim() === '')) && collectionData.ownerId) {
-          // Fetch owner's profile image as fallback
-          try {
-            const ownerDoc = await db.collection('users').doc(collectionData.ownerId).get();
-            if (ownerDoc.exists) {
-              const ownerData = ownerDoc.data();
-              collectionProfileImageURL = ownerData.profileImageURL || null;
-            }
-          } catch (error) {
-            console.log(`⚠️ Error fetching owner profile image for collection ${doc.id}: ${error.message}`);
-            // Continue without profile image - don't throw
-          }
-        }
-        
-        collections.push({
-          id: doc.id,
-          name: collectionData.name || 'Untitled Collection',
-          description: collectionData.description || '',
-          imageURL: collectionData.imageURL || null,
-          profileImageURL: collectionProfileImageURL,
-          isPublic: collectionData.isPublic || false,
-          createdAt: collectionData.createdAt,
-          postCount: postsSnapshot.size,
-          previewPosts: previewPosts
-        });
-      } catch (collectionError) {
-        console.error(`❌ Error processing collection ${doc.id}:`, collectionError);
-        // Skip this collection and continue with others
-        continue;
-      }
-    }
-    
+
+    // First page of public collections - the page loads the rest from
+    // /api/users/:username/collections
+    const {collections, nextCursor} = await loadProfileCollectionsPage(
+        userId, userData, null, PROFILE_PAGE_SIZE,
+    );
+
     // Log image URLs for debugging
-    console.log(`🖼️ Profile Image URL: ${userData.profileImageURL || 'NONE'}`);
-    console.log(`🖼️ Background Image URL: ${userData.backgroundImageURL || 'NONE'}`);
+    console.log(
+        `🖼️ Profile Image URL: ${userData.profileImageURL || "NONE"}`,
+    );
+    console.log(
+        `🖼️ Background Image URL: ${userData.backgroundImageURL || "NONE"}`,
+    );
     console.log(`📊 Collections count: ${collections.length}`);
     collections.forEach((col, idx) => {
-      console.log(`  Collection ${idx + 1}: "${col.name}" - ${col.previewPosts.length} posts, profileImage: ${col.profileImageURL ? 'YES' : 'NO'}`);
+      console.log(
+          `  Collection ${idx + 1}: "${col.name}" - ` +
+          `${col.previewPosts.length} posts, ` +
+          `profileImage: ${col.profileImageURL ? "YES" : "NO"}`,
+      );
     });
-    
+
     // Render profile page
     try {
-      res.render('profile', {
-        user: {
-          id: userId,
-          username: userData.username || '',
-          name: userData.name || '',
-          profileImageURL: userData.profileImageURL || null,
-          backgroundImageURL: userData.backgroundImageURL || null,
-          bio: userData.bio || ''
-        },
+      res.render("profile", {
+        user: buildProfileUser(userId, userData),
         collections: collections || [],
+        nextCursor: nextCursor,
         escapeHtml: escapeHtml,
-        formatDate: formatDate
+        formatDate: formatDate,
       }, (err, html) => {
         if (err) {
-          console.error('❌ EJS rendering error:', err);
-          console.error('❌ EJS error stack:', err.stack);
+          console.error("❌ EJS rendering error:", err);
+          console.error("❌ EJS error stack:", err.stack);
           return res.status(500).send(`
             <!DOCTYPE html>
             <html>
@@ -425,22 +999,24 @@ app.get('/:username', async (req, res) => {
             </html>
           `);
         }
+        setCachedPage(`profile:${userId}`, version, html);
+        setProfileCacheHeaders(res, userId, version);
         res.send(html);
       });
     } catch (renderError) {
-      console.error('❌ Error rendering template:', renderError);
+      console.error("❌ Error rendering template:", renderError);
       throw renderError; // Re-throw to be caught by outer catch
     }
-    
+
   } catch (error) {
-    console.error('❌ Error fetching profile:', error);
-    console.error('❌ Error stack:', error.stack);
-    console.error('❌ Error details:', {
+    console.error("❌ Error fetching profile:", error);
+    console.error("❌ Error stack:", error.stack);
+    console.error("❌ Error details:", {
       message: error.message,
       name: error.name,
-      code: error.code
+      code: error.code,
     });
-    
+
     // Send a proper error response
     try {
       res.status(500).send(`
@@ -457,14 +1033,17 @@ app.get('/:username', async (req, res) => {
         <body>
           <h1>Error</h1>
           <p>An error occurred while loading the profile.</p>
-          <p style="font-size: 12px; color: #666; margin-top: 20px;">${(error && error.message) ? String(error.message).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#039;') : 'Unknown error'}</p>
+          <p style="font-size: 12px; color: #666; margin-top: 20px;">
+            ${escapeHtml((error && error.message) ?
+              String(error.message) : "Unknown error")}
+          </p>
         </body>
         </html>
       `);
     } catch (sendError) {
-      console.error('❌ Error sending error response:', sendError);
+      console.error("❌ Error sending error response:", sendError);
       // Last resort - send plain text
-      res.status(500).send('Internal Server Error');
+      res.status(500).send("Internal Server Error");
     }
   }
 });
@@ -476,6 +1055,13 @@ app.get('/profile/:userId', async (req, res) => {
     
     console.log(`📄 Fetching profile for userId: ${userId}`);
     
+    // Serve from cache when nothing on the profile changed since it was
+    // rendered
+    const version = await getProfileVersion(userId);
+    if (sendCachedProfile(req, res, userId, version)) {
+      return;
+    }
+
     const userDoc = await db.collection('users').doc(userId).get();
     
     if (!userDoc.exists) {
@@ -500,128 +1086,13 @@ app.get('/profile/:userId', async (req, res) => {
     
     const userData = userDoc.data();
     
-    // Fetch all collections for user, then filter for public ones
-    // This avoids needing a composite index
-    const collectionsSnapshot = await db.collection('collections')
-      .where('ownerId', '==', userId)
-      .get();
-    
-    // Filter for public collections and sort in memory
-    const publicCollections = collectionsSnapshot.docs
-      .filter(doc => {
-        const data = doc.data();
-        return data.isPublic === true;
-      })
-      .sort((a, b) => {
-        const aTime = a.data().createdAt?.toMillis() || 0;
-        const bTime = b.data().createdAt?.toMillis() || 0;
-        return bTime - aTime; // Descending order
-      });
-    
-    const collections = [];
-    for (const doc of publicCollections) {
-      try {
-        const collectionData = doc.data();
-        
-        // Get posts for preview (without orderBy to avoid index requirement)
-        const postsSnapshot = await db.collection('posts')
-          .where('collectionId', '==', doc.id)
-          .get();
-        
-        // Sort in memory and take first 4
-        const sortedPosts = postsSnapshot.docs.sort((a, b) => {
-          const aTime = a.data().createdAt?.toMillis() || 0;
-          const bTime = b.data().createdAt?.toMillis() || 0;
-          return bTime - aTime; // Descending order
-        }).slice(0, 4);
-        
-        const previewPosts = [];
-        for (const postDoc of sortedPosts) {
-          const postData = postDoc.data();
-          const mediaItems = postData.mediaItems || [];
-          
-          // Find first image URL - matches CollectionRowDesign.getImageURL logic
-          let imageURL = null;
-          
-          // First, try to find a thumbnailURL from any mediaItem
-          for (const media of mediaItems) {
-            if (media && media.thumbnailURL && typeof media.thumbnailURL === 'string' && media.thumbnailURL.trim() !== '') {
-              imageURL = media.thumbnailURL;
-              break;
-            }
-          }
-          
-          // If no thumbnail found, try to find an imageURL from any mediaItem
-          if (!imageURL) {
-            for (const media of mediaItems) {
-              if (media && media.imageURL && typeof media.imageURL === 'string' && media.imageURL.trim() !== '') {
-                imageURL = media.imageURL;
-                break;
-              }
-            }
-          }
-          
-          // Fallback to firstMediaItem if mediaItems array is empty or no URL found
-          if (!imageURL && postData.firstMediaItem) {
-            const firstMedia = postData.firstMediaItem;
-            if (firstMedia) {
-              if (firstMedia.thumbnailURL && typeof firstMedia.thumbnailURL === 'string' && firstMedia.thumbnailURL.trim() !== '') {
-                imageURL = firstMedia.thumbnailURL;
-              } else if (firstMedia.imageURL && typeof firstMedia.imageURL === 'string' && firstMedia.imageURL.trim() !== '') {
-                imageURL = firstMedia.imageURL;
-              }
-            }
-          }
-          
-          // Always include post (even if no image, will show placeholder)
-          previewPosts.push({
-            id: postDoc.id,
-            imageURL: imageURL || null
-          });
-          
-          // Log for debugging (only if imageURL exists and is a string)
-          if (imageURL && typeof imageURL === 'string' && imageURL.length > 0) {
-            console.log(`✅ Post ${postDoc.id}: Found image URL: ${imageURL.substring(0, 50)}...`);
-          } else {
-            console.log(`⚠️ Post ${postDoc.id}: No image URL found (mediaItems: ${mediaItems.length})`);
-          }
-        }
-        
-        console.log(`📦 Collection "${collectionData.name}": ${previewPosts.length} preview posts, ${postsSnapshot.size} total posts`);
-        
-        // Get collection profile image (collection.imageURL or owner's profile image)
-        let collectionProfileImageURL = collectionData.imageURL || null;
-        if ((!collectionProfileImageURL || (typeof collectionProfileImageURL === 'string' && collectionProfileImageURL.trim() === '')) && collectionData.ownerId) {
-          // Fetch owner's profile image as fallback
-          try {
-            const ownerDoc = await db.collection('users').doc(collectionData.ownerId).get();
-            if (ownerDoc.exists) {
-              const ownerData = ownerDoc.data();
-              collectionProfileImageURL = ownerData.profileImageURL || null;
-            }
-          } catch (error) {
-            console.log(`⚠️ Error fetching owner profile image for collection ${doc.id}: ${error.message}`);
-            // Continue without profile image - don't throw
-          }
-        }
-        
-        collections.push({
-          id: doc.id,
-          name: collectionData.name || 'Untitled Collection',
-          description: collectionData.description || '',
-          imageURL: collectionData.imageURL || null,
-          profileImageURL: collectionProfileImageURL,
-          isPublic: collectionData.isPublic || false,
-          createdAt: collectionData.createdAt,
-          postCount: postsSnapshot.size,
-          previewPosts: previewPosts
-        });
-      } catch (collectionError) {
-        console.error(`❌ Error processing collection ${doc.id}:`, collectionError);
-        // Skip this collection and continue with others
-        continue;
-      }
-    }
+    console.log(`📄 Rendering profile for userId: ${userId} (v${version})`);
+
+    // First page of public collections - the page loads the rest from
+    // /api/users/:username/collections
+    const {collections, nextCursor} = await loadProfileCollectionsPage(
+        userId, userData, null, PROFILE_PAGE_SIZE,
+    );
     
     // Log image URLs for debugging
     console.log(`🖼️ Profile Image URL: ${userData.profileImageURL || 'NONE'}`);
@@ -634,15 +1105,9 @@ app.get('/profile/:userId', async (req, res) => {
     // Render profile page
     try {
       res.render('profile', {
-        user: {
-          id: userId,
-          username: userData.username || '',
-          name: userData.name || '',
-          profileImageURL: userData.profileImageURL || null,
-          backgroundImageURL: userData.backgroundImageURL || null,
-          bio: userData.bio || ''
-        },
+        user: buildProfileUser(userId, userData),
         collections: collections || [],
+        nextCursor: nextCursor,
         escapeHtml: escapeHtml,
         formatDate: formatDate
       }, (err, html) => {
@@ -667,6 +1132,8 @@ app.get('/profile/:userId', async (req, res) => {
             </html>
           `);
         }
+        setCachedPage(`profile:${userId}`, version, html);
+        setProfileCacheHeaders(res, userId, version);
         res.send(html);
       });
     } catch (renderError) {
@@ -0,0 +1,368 @@
+/**
+ * Push delivery
+ *
+ * Turns notification documents (and friend requests, which live in their
+ * own collection) into pushes. Each type has its own title and body, and the
+ * data payload carries a `link` the app's DeepLinkManager routes:
+ *   coy://post/{postId}       stars, comments, replies, collection posts
+ *   coy://profile/{userId}    friend requests
+ *   coy://notifications       joins, invites and join requests
+ *
+ * Users control pushes in users/{uid}/settings/notifications:
+ *   {muteAll: true}                 no pushes at all
+ *   {types: {collection_star: false}}  no pushes of that type
+ *   {mutedChats: {chatId: Timestamp | true}}  no message pushes from a chat
+ *                                   until then (true: until unmuted)
+ *   {quietHours: {enabled, start: "22:00", end: "07:00", timeZone}}
+ *                                   pushes in that window arrive silently
+ *   {hidePreviews: true}            message pushes say "New message"
+ *                                   instead of showing the message
+ * In-app notifications are unaffected either way. Wording follows the
+ * recipient's locale (see pushText.js).
+ */
+
+const admin = require("firebase-admin");
+const {sendToUserDevices} = require("./devices");
+const {pushLanguage, pushString, actorNames, truncatePreview} =
+    require("./pushText");
+
+const PREFERENCES_DOC = "notifications";
+
+/**
+ * Title and body for each push type, from the notification data, in the
+ * recipient's language
+ * @type {Object<string,
+ *   function(Object, string): {title: string, body: string}>}
+ */
+const PUSH_CONTENT = {
+  collection_star: (data, language) => ({
+    title: pushString(language, "starTitle"),
+    body: pushString(language, "starBody", {
+      names: actorNames(language, data),
+      collection: data.collectionName || "",
+    }, data.actorCount),
+  }),
+  comment: (data, language) => ({
+    title: pushString(language, "commentTitle", {
+      names: actorNames(language, data),
+    }, data.actorCount),
+    body: truncatePreview(data.commentText, language),
+  }),
+  comment_reply: (data, language) => ({
+    title: pushString(language, "replyTitle", {
+      names: actorNames(language, data),
+    }, data.actorCount),
+    body: truncatePreview(data.commentText, language),
+  }),
+  collection_post: (data, language) => ({
+    title: data.collectionName || pushString(language, "postTitle"),
+    body: pushString(language, "postBody", {
+      names: actorNames(language, data),
+      collection: data.collectionName || "",
+    }, data.actorCount),
+  }),
+  collection_join: (data, language) => ({
+    title: data.collectionName || pushString(language, "joinTitle"),
+    body: pushString(language, "joinBody", {
+      names: actorNames(language, data),
+      collection: data.collectionName || "",
+    }, data.actorCount),
+  }),
+  collection_invite: (data, language) => ({
+    title: pushString(language, "inviteTitle"),
+    body: pushString(language, "inviteBody", {
+      name: data.username || pushString(language, "someone"),
+      collection: data.collectionName || "",
+    }),
+  }),
+  collection_request: (data, language) => ({
+    title: pushString(language, "requestTitle"),
+    body: pushString(language, "requestBody", {
+      name: data.username || pushString(language, "someone"),
+      collection: data.collectionName || "",
+    }),
+  }),
+  friend_request: (data, language) => ({
+    title: pushString(language, "friendRequestTitle"),
+    body: pushString(language, "friendRequestBody", {
+      name: data.username || pushString(language, "someone"),
+    }),
+  }),
+};
+
+/**
+ * Deep link for a push, routed by the app's DeepLinkManager
+ * @param {string} type Push type
+ * @param {Object} data Notification data
+ * @return {string} coy:// URL
+ */
+function deepLinkFor(type, data) {
+  switch (type) {
+    case "collection_star":
+    case "comment":
+    case "comment_reply":
+    case "collection_post":
+      return data.postId ?
+        `coy://post/${data.postId}` : "coy://notifications";
+    case "friend_request":
+      return `coy://profile/${data.userId}`;
+    default:
+      return "coy://notifications";
+  }
+}
+
+/**
+ * Loads a user's push preferences
+ * @param {string} uid User ID
+ * @return {Promise<Object>} {muteAll, types}
+ */
+async function getNotificationPreferences(uid) {
+  const doc = await admin.firestore()
+      .collection("users")
+      .doc(uid)
+      .collection("settings")
+      .doc(PREFERENCES_DOC)
+      .get();
+  const data = doc.exists ? doc.data() : {};
+  return {
+    muteAll: data.muteAll === true,
+    types: data.types || {},
+    mutedChats: data.mutedChats || {},
+    quietHours: data.quietHours || null,
+    hidePreviews: data.hidePreviews === true,
+  };
+}
+
+/**
+ * Whether a user wants pushes of a type. Types default to on.
+ * @param {Object} preferences From getNotificationPreferences
+ * @param {string} type Push type ("message", "comment", ...)
+ * @return {boolean} True if the push should be sent
+ */
+function isPushEnabled(preferences, type) {
+  return !preferences.muteAll && preferences.types[type] !== false;
+}
+
+/**
+ * Whether a user has muted a chat
+ * @param {Object} preferences From getNotificationPreferences
+ * @param {string} chatId Chat room ID
+ * @param {number} now Current time in milliseconds
+ * @return {boolean} True if the chat's messages shouldn't push
+ */
+function isChatMuted(preferences, chatId, now) {
+  const mutedUntil = preferences.mutedChats[chatId];
+  if (mutedUntil === true) {
+    return true;
+  }
+  return Boolean(mutedUntil && typeof mutedUntil.toMillis === "function" &&
+    mutedUntil.toMillis() > now);
+}
+
+/**
+ * Minutes past midnight for "HH:mm"
+ * @param {*} value Time of day
+ * @return {?number} Minutes, or null if malformed
+ */
+function minutesOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ""));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return null;
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Minutes past midnight at a time in a time zone (UTC if it's unknown)
+ * @param {number} now Time in milliseconds
+ * @param {string} timeZone IANA time zone, e.g. "Europe/Berlin"
+ * @return {number} Minutes
+ */
+function localMinutes(now, timeZone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat("en-US", {
+      timeZone: timeZone || "UTC",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).formatToParts(new Date(now));
+  } catch (error) {
+    return localMinutes(now, "UTC");
+  }
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  return part("hour") * 60 + part("minute");
+}
+
+/**
+ * Whether it's within a user's quiet hours, which may span midnight
+ * @param {Object} preferences From getNotificationPreferences
+ * @param {number} now Current time in milliseconds
+ * @return {boolean} True if pushes should be silent
+ */
+function isQuietTime(preferences, now) {
+  const quietHours = preferences.quietHours;
+  if (!quietHours || quietHours.enabled !== true) {
+    return false;
+  }
+  const start = minutesOfDay(quietHours.start);
+  const end = minutesOfDay(quietHours.end);
+  if (start === null || end === null || start === end) {
+    return false;
+  }
+  const minutes = localMinutes(now, quietHours.timeZone);
+  return start < end ?
+    minutes >= start && minutes < end :
+    minutes >= start || minutes < end;
+}
+
+/**
+ * Makes a push arrive without sound or lighting up the screen
+ * @param {Object} message FCM message with apns.payload.aps
+ * @return {Object} The same message
+ */
+function silencePush(message) {
+  const aps = message.apns.payload.aps;
+  delete aps.sound;
+  aps["interruption-level"] = "passive";
+  return message;
+}
+
+/**
+ * Whether a value can be sent as a push image: a non-empty https URL
+ * @param {*} value Image URL
+ * @return {boolean} True if FCM will accept it
+ */
+function isPushImageURL(value) {
+  if (typeof value !== "string" || value === "") {
+    return false;
+  }
+  try {
+    return new URL(value).protocol === "https:";
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Attaches an image to an iOS push. FCM rejects the whole message for an
+ * empty or malformed imageUrl, so pushes without a usable one go without.
+ * @param {Object} message FCM message with apns
+ * @param {*} imageUrl Image URL
+ * @return {Object} The same message
+ */
+function setPushImage(message, imageUrl) {
+  if (isPushImageURL(imageUrl)) {
+    message.apns.fcmOptions = {imageUrl};
+  }
+  return message;
+}
+
+/**
+ * Whether a notification write should push: a new notification, or an
+ * aggregated one that just took in another event (createdAt moves forward).
+ * Reads, status changes and withdrawals don't push.
+ * @param {?Object} beforeData Notification before the write
+ * @param {?Object} afterData Notification after the write
+ * @return {boolean} True if the write should push
+ */
+function isNewNotificationEvent(beforeData, afterData) {
+  if (!afterData || afterData.isRead) {
+    return false;
+  }
+  if (!beforeData) {
+    return true;
+  }
+  const before = beforeData.createdAt;
+  const after = afterData.createdAt;
+  return Boolean(after && (!before || !after.isEqual(before)));
+}
+
+/**
+ * Builds the FCM message for a push, without a token
+ * @param {string} type Push type
+ * @param {Object} data Notification data
+ * @param {string} notificationId Notification document ID ("" if none)
+ * @param {number} badge App icon badge number
+ * @param {string} language Recipient's language, from pushLanguage
+ * @return {?Object} FCM message, or null for types that don't push
+ */
+function buildPushMessage(type, data, notificationId, badge, language) {
+  const content = PUSH_CONTENT[type];
+  if (!content) {
+    return null;
+  }
+  const {title, body} = content(data, language);
+  const imageUrl = data.userProfileImageURL || "";
+
+  const message = {
+    notification: {title, body},
+    data: {
+      type,
+      notificationId,
+      link: deepLinkFor(type, data),
+      userId: data.userId || "",
+      postId: data.postId || "",
+      collectionId: data.collectionId || "",
+      userProfileImageURL: imageUrl,
+    },
+    apns: {
+      payload: {
+        "aps": {
+          "alert": {title, body},
+          "sound": "default",
+          "badge": badge,
+          "mutable-content": 1,
+        },
+        "userProfileImageURL": imageUrl,
+      },
+    },
+  };
+  return setPushImage(message, imageUrl);
+}
+
+/**
+ * Sends the push for a notification if the recipient wants it
+ * @param {string} recipientId Recipient's user ID
+ * @param {string} type Push type
+ * @param {Object} data Notification data (actor fields, postId, ...)
+ * @param {string} notificationId Notification document ID ("" if none)
+ * @param {number} badge App icon badge number (see badges.js)
+ * @return {Promise<Object|string>} sendToUserDevices result, or "disabled"
+ *   or "unsupported"
+ */
+async function sendNotificationPush(
+    recipientId, type, data, notificationId, badge,
+) {
+  const preferences = await getNotificationPreferences(recipientId);
+  if (!isPushEnabled(preferences, type)) {
+    return "disabled";
+  }
+
+  if (!PUSH_CONTENT[type]) {
+    return "unsupported";
+  }
+
+  const recipientDoc = await admin.firestore()
+      .collection("users")
+      .doc(recipientId)
+      .get();
+  const message = buildPushMessage(
+      type, data, notificationId, badge, pushLanguage(recipientDoc),
+  );
+  if (isQuietTime(preferences, Date.now())) {
+    silencePush(message);
+  }
+  return sendToUserDevices(recipientId, message, recipientDoc);
+}
+
+module.exports = {
+  getNotificationPreferences,
+  isPushEnabled,
+  isChatMuted,
+  isQuietTime,
+  silencePush,
+  setPushImage,
+  isNewNotificationEvent,
+  sendNotificationPush,
+};
@@ -0,0 +1,313 @@
+/**
+ * Push wording
+ *
+ * Push titles and bodies are written in the recipient's language, from the
+ * `locale` the app stores on their user doc ("pt-BR", "de_DE", ...). Unknown
+ * languages and missing strings fall back to English.
+ *
+ * A string is either a template or, where the wording depends on how many
+ * people acted, {one, other} templates picked with Intl.PluralRules.
+ * Templates take {name} style parameters.
+ */
+
+const DEFAULT_LANGUAGE = "en";
+
+// Longest text shown in a push body, in user-perceived characters
+const MAX_PREVIEW_LENGTH = 150;
+
+const STRINGS = {
+  en: {
+    someone: "Someone",
+    namesTwo: "{first} and {second}",
+    namesOthers: {
+      one: "{first} and 1 other",
+      other: "{first} and {count} others",
+    },
+    starTitle: "New star",
+    starBody: "{names} starred your post in \"{collection}\"",
+    commentTitle: "{names} commented on your post",
+    replyTitle: "{names} replied to your comment",
+    postTitle: "New post",
+    postBody: {
+      one: "{names} has posted in \"{collection}\"",
+      other: "{names} have posted in \"{collection}\"",
+    },
+    joinTitle: "New members",
+    joinBody: "{names} joined {collection}",
+    inviteTitle: "Collection invite",
+    inviteBody: "{name} invited you to join {collection}",
+    requestTitle: "Join request",
+    requestBody: "{name} requested to join {collection}",
+    friendRequestTitle: "Friend request",
+    friendRequestBody: "{name} wants to add you",
+    newMessage: "New message",
+    photo: "Sent photo",
+    video: "Sent video",
+    voice: "Voice message",
+    group: "Group",
+    groupBody: "{name}: {preview}",
+  },
+  es: {
+    someone: "Alguien",
+    namesTwo: "{first} y {second}",
+    namesOthers: {
+      one: "{first} y 1 persona más",
+      other: "{first} y {count} personas más",
+    },
+    starTitle: "Nueva estrella",
+    starBody: {
+      one: "{names} le dio una estrella a tu publicación en \"{collection}\"",
+      other: "{names} le dieron una estrella a tu publicación en " +
+        "\"{collection}\"",
+    },
+    commentTitle: {
+      one: "{names} comentó tu publicación",
+      other: "{names} comentaron tu publicación",
+    },
+    replyTitle: {
+      one: "{names} respondió a tu comentario",
+      other: "{names} respondieron a tu comentario",
+    },
+    postTitle: "Nueva publicación",
+    postBody: {
+      one: "{names} publicó en \"{collection}\"",
+      other: "{names} publicaron en \"{collection}\"",
+    },
+    joinTitle: "Nuevos miembros",
+    joinBody: {
+      one: "{names} se unió a {collection}",
+      other: "{names} se unieron a {collection}",
+    },
+    inviteTitle: "Invitación a una colección",
+    inviteBody: "{name} te invitó a unirte a {collection}",
+    requestTitle: "Solicitud para unirse",
+    requestBody: "{name} pidió unirse a {collection}",
+    friendRequestTitle: "Solicitud de amistad",
+    friendRequestBody: "{name} quiere agregarte",
+    newMessage: "Nuevo mensaje",
+    photo: "Envió una foto",
+    video: "Envió un video",
+    voice: "Mensaje de voz",
+    group: "Grupo",
+  },
+  fr: {
+    someone: "Quelqu'un",
+    namesTwo: "{first} et {second}",
+    namesOthers: {
+      one: "{first} et 1 autre personne",
+      other: "{first} et {count} autres personnes",
+    },
+    starTitle: "Nouvelle étoile",
+    starBody: {
+      one: "{names} a mis une étoile à votre publication dans " +
+        "« {collection} »",
+      other: "{names} ont mis une étoile à votre publication dans " +
+        "« {collection} »",
+    },
+    commentTitle: {
+      one: "{names} a commenté votre publication",
+      other: "{names} ont commenté votre publication",
+    },
+    replyTitle: {
+      one: "{names} a répondu à votre commentaire",
+      other: "{names} ont répondu à votre commentaire",
+    },
+    postTitle: "Nouvelle publication",
+    postBody: {
+      one: "{names} a publié dans « {collection} »",
+      other: "{names} ont publié dans « {collection} »",
+    },
+    joinTitle: "Nouveaux membres",
+    joinBody: {
+      one: "{names} a rejoint {collection}",
+      other: "{names} ont rejoint {collection}",
+    },
+    inviteTitle: "Invitation à une collection",
+    inviteBody: "{name} vous invite à rejoindre {collection}",
+    requestTitle: "Demande d'adhésion",
+    requestBody: "{name} demande à rejoindre {collection}",
+    friendRequestTitle: "Demande d'ami",
+    friendRequestBody: "{name} veut vous ajouter",
+    newMessage: "Nouveau message",
+    photo: "Photo envoyée",
+    video: "Vidéo envoyée",
+    voice: "Message vocal",
+    group: "Groupe",
+  },
+  de: {
+    someone: "Jemand",
+    namesTwo: "{first} und {second}",
+    namesOthers: {
+      one: "{first} und 1 weitere Person",
+      other: "{first} und {count} weitere Personen",
+    },
+    starTitle: "Neuer Stern",
+    starBody: {
+      one: "{names} hat deinem Beitrag in „{collection}“ einen Stern " +
+        "gegeben",
+      other: "{names} haben deinem Beitrag in „{collection}“ einen Stern " +
+        "gegeben",
+    },
+    commentTitle: {
+      one: "{names} hat deinen Beitrag kommentiert",
+      other: "{names} haben deinen Beitrag kommentiert",
+    },
+    replyTitle: {
+      one: "{names} hat auf deinen Kommentar geantwortet",
+      other: "{names} haben auf deinen Kommentar geantwortet",
+    },
+    postTitle: "Neuer Beitrag",
+    postBody: {
+      one: "{names} hat in „{collection}“ gepostet",
+      other: "{names} haben in „{collection}“ gepostet",
+    },
+    joinTitle: "Neue Mitglieder",
+    joinBody: {
+      one: "{names} ist {collection} beigetreten",
+      other: "{names} sind {collection} beigetreten",
+    },
+    inviteTitle: "Einladung zu einer Sammlung",
+    inviteBody: "{name} hat dich eingeladen, {collection} beizutreten",
+    requestTitle: "Beitrittsanfrage",
+    requestBody: "{name} möchte {collection} beitreten",
+    friendRequestTitle: "Freundschaftsanfrage",
+    friendRequestBody: "{name} möchte dich hinzufügen",
+    newMessage: "Neue Nachricht",
+    photo: "Foto gesendet",
+    video: "Video gesendet",
+    voice: "Sprachnachricht",
+    group: "Gruppe",
+  },
+  pt: {
+    someone: "Alguém",
+    namesTwo: "{first} e {second}",
+    namesOthers: {
+      one: "{first} e mais 1 pessoa",
+      other: "{first} e mais {count} pessoas",
+    },
+    starTitle: "Nova estrela",
+    starBody: {
+      one: "{names} deu uma estrela na sua publicação em \"{collection}\"",
+      other: "{names} deram uma estrela na sua publicação em " +
+        "\"{collection}\"",
+    },
+    commentTitle: {
+      one: "{names} comentou na sua publicação",
+      other: "{names} comentaram na sua publicação",
+    },
+    replyTitle: {
+      one: "{names} respondeu ao seu comentário",
+      other: "{names} responderam ao seu comentário",
+    },
+    postTitle: "Nova publicação",
+    postBody: {
+      one: "{names} publicou em \"{collection}\"",
+      other: "{names} publicaram em \"{collection}\"",
+    },
+    joinTitle: "Novos membros",
+    joinBody: {
+      one: "{names} entrou em {collection}",
+      other: "{names} entraram em {collection}",
+    },
+    inviteTitle: "Convite para uma coleção",
+    inviteBody: "{name} convidou você para entrar em {collection}",
+    requestTitle: "Pedido para entrar",
+    requestBody: "{name} pediu para entrar em {collection}",
+    friendRequestTitle: "Pedido de amizade",
+    friendRequestBody: "{name} quer adicionar você",
+    newMessage: "Nova mensagem",
+    photo: "Enviou uma foto",
+    video: "Enviou um vídeo",
+    voice: "Mensagem de voz",
+    group: "Grupo",
+  },
+};
+
+/**
+ * Language to write a user's pushes in
+ * @param {?Object} userDoc The user's document
+ * @return {string} A language in STRINGS
+ */
+function pushLanguage(userDoc) {
+  const locale = userDoc && userDoc.exists ? userDoc.get("locale") : null;
+  const language = typeof locale === "string" ?
+    locale.split(/[-_]/)[0].toLowerCase() : "";
+  return STRINGS[language] ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Localized push string
+ * @param {string} language From pushLanguage
+ * @param {string} key String key
+ * @param {?Object} params Template parameters
+ * @param {?number} count Picks the plural form, for {one, other} strings
+ * @return {string} Text
+ */
+function pushString(language, key, params, count) {
+  let template = (STRINGS[language] || {})[key] || STRINGS.en[key];
+  if (typeof template !== "string") {
+    const form = new Intl.PluralRules(language).select(count || 1);
+    template = template[form] || template.other;
+  }
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params && params[name] !== undefined ? String(params[name]) : match);
+}
+
+/**
+ * Names of the people behind a notification: "ana", "ana and ben",
+ * "ana and 4 others"
+ * @param {string} language From pushLanguage
+ * @param {Object} data Notification data (username, actors, actorCount)
+ * @return {string} Names
+ */
+function actorNames(language, data) {
+  const someone = pushString(language, "someone");
+  const first = data.username || someone;
+  const count = data.actorCount || 1;
+  if (count <= 1) {
+    return first;
+  }
+  const second = (data.actors || [])[1];
+  if (count === 2 && second) {
+    return pushString(language, "namesTwo", {
+      first,
+      second: second.username || someone,
+    });
+  }
+  return pushString(language, "namesOthers", {first, count: count - 1},
+      count - 1);
+}
+
+/**
+ * Shortens text for a push body without splitting a character (emoji,
+ * accented letters, flags)
+ * @param {string} text Text
+ * @param {string} language From pushLanguage
+ * @param {?number} maxLength Most user-perceived characters to keep
+ * @return {string} Text, ending in "…" if it was cut
+ */
+function truncatePreview(text, language, maxLength) {
+  const limit = maxLength || MAX_PREVIEW_LENGTH;
+  if (!text || text.length <= limit) {
+    return text || "";
+  }
+  const segmenter = new Intl.Segmenter(language, {granularity: "grapheme"});
+  let kept = "";
+  let count = 0;
+  for (const {segment} of segmenter.segment(text)) {
+    if (count === limit) {
+      return kept.trimEnd() + "…";
+    }
+    kept += segment;
+    count++;
+  }
+  return text;
+}
+
+module.exports = {
+  MAX_PREVIEW_LENGTH,
+  pushLanguage,
+  pushString,
+  actorNames,
+  truncatePreview,
+};
@@ -0,0 +1,411 @@
+/**
+ * Counter reconciliation
+ *
+ * Recomputes denormalized counters from their sources and corrects drift:
+ *   posts:       likeCount (stars), commentCount (comments with countedAt)
+ *   collections: memberCount (members), followerCount (followers)
+ *   chat_rooms:  unreadCount.{uid} (messages since the user last read or
+ *                wrote in the room)
+ *   users:       counters/badge (unread notifications, and each room's
+ *                unreadCount for the user)
+ *
+ * The nightly run walks each collection in document ID order with a time
+ * budget and resumes from counter_reconciliation/{collection} next time.
+ *
+ * Counts only include what the triggers have already applied: stars are
+ * matched against the likes shards (rolledUp), and only comments marked with
+ * countedAt are counted. A corrected commentCount stamps
+ * counters/comments.reconciledAt, so onCommentDeleted skips comments deleted
+ * before it instead of uncounting them twice.
+ *
+ * Badge counters only start counting notifications once the badge triggers
+ * are deployed, so backfillBadgeCounters seeds every user's counter from
+ * their unread notifications once (npm run backfill:badge-counters).
+ */
+
+const admin = require("firebase-admin");
+const {readCounter} = require("./counters");
+const {badgeRef} = require("./badges");
+
+const STATE_COLLECTION = "counter_reconciliation";
+
+// Docs reconciled per page
+const PAGE_SIZE = 100;
+
+// Messages scanned per chat participant
+const MAX_UNREAD_SCAN = 500;
+
+// Only chats with messages this recent can have drifted since the last run
+const ACTIVE_CHAT_WINDOW_MS = 2 * 24 * 60 * 60 * 1000;
+
+/**
+ * A single counter correction
+ * @param {string} path Document path
+ * @param {string} field Counter field
+ * @param {number} expected Value recomputed from the source
+ * @param {number} actual Value found on the document
+ * @return {Object} Drift entry
+ */
+function drift(path, field, expected, actual) {
+  return {path, field, expected, actual};
+}
+
+/**
+ * Reconciles likeCount and commentCount on a post
+ * @param {Object} postRef Post DocumentReference
+ * @return {Promise<Array<Object>>} Drift entries that were corrected
+ */
+async function reconcilePost(postRef) {
+  return admin.firestore().runTransaction(async (transaction) => {
+    const counterRef = postRef.collection("counters").doc("likes");
+    const [postDoc, likeShardTotal, starsCount, commentsCount] =
+      await Promise.all([
+        transaction.get(postRef),
+        readCounter(postRef, "likes", transaction),
+        transaction.get(postRef.collection("stars").count()),
+        transaction.get(postRef.collection("comments")
+            .where("countedAt", "!=", null)
+            .count()),
+      ]);
+    const expectedLikes = starsCount.data().count;
+    const expectedComments = commentsCount.data().count;
+    if (!postDoc.exists) {
+      return [];
+    }
+
+    const found = [];
+    if ((postDoc.get("likeCount") || 0) !== expectedLikes) {
+      found.push(drift(postRef.path, "likeCount",
+          expectedLikes, postDoc.get("likeCount") || 0));
+    }
+    if ((postDoc.get("commentCount") || 0) !== expectedComments) {
+      found.push(drift(postRef.path, "commentCount",
+          expectedComments, postDoc.get("commentCount") || 0));
+    }
+    if (found.length === 0) {
+      return found;
+    }
+
+    transaction.update(postRef, {
+      likeCount: expectedLikes,
+      commentCount: expectedComments,
+    });
+    // The stars already include any shard change not yet rolled up
+    transaction.set(counterRef, {rolledUp: likeShardTotal}, {merge: true});
+    // Comments deleted so far are already left out of expectedComments
+    transaction.set(postRef.collection("counters").doc("comments"), {
+      reconciledAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+    return found;
+  });
+}
+
+/**
+ * Reconciles memberCount and followerCount on a collection
+ * @param {Object} collectionRef Collection DocumentReference
+ * @return {Promise<Array<Object>>} Drift entries that were corrected
+ */
+async function reconcileCollection(collectionRef) {
+  return admin.firestore().runTransaction(async (transaction) => {
+    const doc = await transaction.get(collectionRef);
+    if (!doc.exists) {
+      return [];
+    }
+
+    const found = [];
+    const update = {};
+    [["memberCount", "members"], ["followerCount", "followers"]]
+        .forEach(([field, source]) => {
+          const expected = (doc.get(source) || []).length;
+          const actual = doc.get(field) || 0;
+          if (expected !== actual) {
+            found.push(drift(collectionRef.path, field, expected, actual));
+            update[field] = expected;
+          }
+        });
+    if (found.length > 0) {
+      transaction.update(collectionRef, update);
+    }
+    return found;
+  });
+}
+
+/**
+ * Counts a participant's unread messages: messages from others, newest
+ * first, up to the first one they sent or have read
+ * @param {Object} chatRef Chat room DocumentReference
+ * @param {string} uid Participant's user ID
+ * @return {Promise<number>} Unread messages
+ */
+async function countUnreadMessages(chatRef, uid) {
+  const snapshot = await chatRef.collection("messages")
+      .orderBy("timestamp", "desc")
+      .limit(MAX_UNREAD_SCAN)
+      .select("senderUid", "readBy", "deletedFor", "isDeleted")
+      .get();
+
+  let unread = 0;
+  for (const doc of snapshot.docs) {
+    if (doc.get("senderUid") === uid ||
+      (doc.get("readBy") || []).includes(uid)) {
+      break;
+    }
+    if (!doc.get("isDeleted") && !(doc.get("deletedFor") || []).includes(uid)) {
+      unread++;
+    }
+  }
+  return unread;
+}
+
+/**
+ * Reconciles unreadCount for every participant of a chat room
+ * @param {Object} chatRef Chat room DocumentReference
+ * @return {Promise<Array<Object>>} Drift entries that were corrected
+ */
+async function reconcileChatRoom(chatRef) {
+  const chatDoc = await chatRef.get();
+  if (!chatDoc.exists) {
+    return [];
+  }
+  const participants = chatDoc.get("participants") || [];
+  const expected = await Promise.all(
+      participants.map((uid) => countUnreadMessages(chatRef, uid)),
+  );
+
+  return admin.firestore().runTransaction(async (transaction) => {
+    const doc = await transaction.get(chatRef);
+    if (!doc.exists) {
+      return [];
+    }
+    // A message that arrived since the scan changes the count; leave it for
+    // the next run rather than overwrite a newer value
+    if (!doc.get("lastMessageTs") || !chatDoc.get("lastMessageTs") ||
+      !doc.get("lastMessageTs").isEqual(chatDoc.get("lastMessageTs"))) {
+      return [];
+    }
+
+    const found = [];
+    const update = {};
+    const unreadCount = doc.get("unreadCount") || {};
+    participants.forEach((uid, i) => {
+      const actual = unreadCount[uid] || 0;
+      if (actual !== expected[i]) {
+        found.push(drift(chatRef.path, `unreadCount.${uid}`,
+            expected[i], actual));
+        update[`unreadCount.${uid}`] = expected[i];
+      }
+    });
+    if (found.length > 0) {
+      transaction.update(chatRef, update);
+    }
+    return found;
+  });
+}
+
+/**
+ * Reconciles a user's badge counter against their notifications and chat
+ * rooms
+ * @param {Object} userRef User DocumentReference
+ * @return {Promise<Array<Object>>} Drift entries that were corrected
+ */
+async function reconcileUserBadge(userRef) {
+  const roomsSnapshot = await admin.firestore().collection("chat_rooms")
+      .where("participants", "array-contains", userRef.id)
+      .select("unreadCount")
+      .get();
+  const expectedChats = {};
+  roomsSnapshot.docs.forEach((doc) => {
+    const count = (doc.get("unreadCount") || {})[userRef.id] || 0;
+    if (count > 0) {
+      expectedChats[doc.id] = count;
+    }
+  });
+
+  const ref = badgeRef(userRef.id);
+  return admin.firestore().runTransaction(async (transaction) => {
+    const [badgeDoc, unreadCount] = await Promise.all([
+      transaction.get(ref),
+      transaction.get(userRef.collection("notifications")
+          .where("isRead", "==", false)
+          .count()),
+    ]);
+    const expectedNotifications = unreadCount.data().count;
+    const actualNotifications = badgeDoc.exists ?
+      badgeDoc.get("notifications") || 0 : 0;
+    const actualChats = badgeDoc.exists ?
+      badgeDoc.get("unreadChats") || {} : {};
+
+    const found = [];
+    if (actualNotifications !== expectedNotifications) {
+      found.push(drift(ref.path, "notifications",
+          expectedNotifications, actualNotifications));
+    }
+    const chatIds = new Set([
+      ...Object.keys(expectedChats),
+      ...Object.keys(actualChats),
+    ]);
+    chatIds.forEach((chatId) => {
+      const expected = expectedChats[chatId] || 0;
+      const actual = actualChats[chatId] || 0;
+      if (expected !== actual) {
+        found.push(drift(ref.path, `unreadChats.${chatId}`, expected, actual));
+      }
+    });
+    if (found.length > 0) {
+      transaction.set(ref, {
+        notifications: expectedNotifications,
+        unreadChats: expectedChats,
+      });
+    }
+    return found;
+  });
+}
+
+// Cheapest first, so a slow posts pass can't starve the others
+const RECONCILERS = {
+  collections: reconcileCollection,
+  chat_rooms: reconcileChatRoom,
+  posts: reconcilePost,
+  users: reconcileUserBadge,
+};
+
+/**
+ * Reconciles the counters of one document
+ * @param {string} path "posts/{id}", "collections/{id}", "chat_rooms/{id}"
+ *   or "users/{id}"
+ * @return {Promise<Array<Object>>} Drift entries that were corrected
+ */
+async function reconcileDocument(path) {
+  const segments = String(path).split("/").filter(Boolean);
+  const reconcile = RECONCILERS[segments[0]];
+  if (segments.length !== 2 || !reconcile) {
+    throw new Error(`Can't reconcile counters for "${path}"`);
+  }
+  return reconcile(admin.firestore().collection(segments[0]).doc(segments[1]));
+}
+
+/**
+ * Builds the query for the next page of a reconciliation pass
+ * @param {string} collectionName Key of RECONCILERS
+ * @param {?Object} cursor {id, lastMessageTs} of the last doc reconciled
+ * @return {Object} Query
+ */
+function pageQuery(collectionName, cursor) {
+  const db = admin.firestore();
+  const documentId = admin.firestore.FieldPath.documentId();
+
+  if (collectionName === "chat_rooms") {
+    const query = db.collection(collectionName)
+        .where("lastMessageTs", ">=", admin.firestore.Timestamp.fromMillis(
+            Date.now() - ACTIVE_CHAT_WINDOW_MS,
+        ))
+        .orderBy("lastMessageTs")
+        .orderBy(documentId)
+        .limit(PAGE_SIZE);
+    return cursor ? query.startAfter(cursor.lastMessageTs, cursor.id) : query;
+  }
+
+  const query = db.collection(collectionName)
+      .orderBy(documentId)
+      .limit(PAGE_SIZE);
+  return cursor ? query.startAfter(cursor.id) : query;
+}
+
+/**
+ * Reconciles one collection, resuming where the previous run stopped
+ * @param {string} collectionName Key of RECONCILERS
+ * @param {number} deadline Stop starting new pages after this time (ms)
+ * @return {Promise<Object>} {scanned, drift, complete}
+ */
+async function reconcileCollectionGroup(collectionName, deadline) {
+  const db = admin.firestore();
+  const stateRef = db.collection(STATE_COLLECTION).doc(collectionName);
+  const stateDoc = await stateRef.get();
+
+  // The active chat window moves, so chat passes always start over
+  let cursor = stateDoc.exists && collectionName !== "chat_rooms" ?
+    stateDoc.get("cursor") || null : null;
+
+  const found = [];
+  let scanned = 0;
+  let complete = false;
+
+  while (Date.now() < deadline) {
+    const snapshot = await pageQuery(collectionName, cursor).get();
+    for (const doc of snapshot.docs) {
+      found.push(...await RECONCILERS[collectionName](doc.ref));
+    }
+    scanned += snapshot.size;
+
+    if (snapshot.size < PAGE_SIZE) {
+      complete = true;
+      cursor = null;
+      break;
+    }
+    const last = snapshot.docs[snapshot.docs.length - 1];
+    cursor = {id: last.id, lastMessageTs: last.get("lastMessageTs") || null};
+  }
+
+  await stateRef.set({
+    cursor,
+    lastRunAt: admin.firestore.FieldValue.serverTimestamp(),
+    lastDriftCount: found.length,
+  }, {merge: true});
+  return {scanned, drift: found, complete};
+}
+
+/**
+ * Reconciles collections, active chat rooms, posts and user badges within a
+ * time budget
+ * @param {number} budgetMs How long to keep starting new pages
+ * @return {Promise<Object>} {[collection]: {scanned, drift, complete}}
+ */
+async function reconcileAllCounters(budgetMs) {
+  const deadline = Date.now() + budgetMs;
+  const results = {};
+  for (const collectionName of Object.keys(RECONCILERS)) {
+    results[collectionName] =
+      await reconcileCollectionGroup(collectionName, deadline);
+  }
+  return results;
+}
+
+/**
+ * Sets every user's badge counter from their unread notifications and chats
+ * @param {Object} [options]
+ * @param {function(string): void} [options.log] Progress logger
+ * @return {Promise<Object>} {scanned, corrected}
+ */
+async function backfillBadgeCounters(options = {}) {
+  const log = options.log || (() => {});
+  let scanned = 0;
+  let corrected = 0;
+  let cursor = null;
+
+  for (;;) {
+    const snapshot = await pageQuery("users", cursor).select().get();
+    for (const doc of snapshot.docs) {
+      const found = await reconcileUserBadge(doc.ref);
+      found.forEach((d) => {
+        log(`${d.path} ${d.field}: ${d.actual} -> ${d.expected}`);
+      });
+      if (found.length > 0) {
+        corrected++;
+      }
+    }
+    scanned += snapshot.size;
+
+    if (snapshot.size < PAGE_SIZE) {
+      break;
+    }
+    cursor = {id: snapshot.docs[snapshot.docs.length - 1].id};
+  }
+
+  return {scanned, corrected};
+}
+
+module.exports = {
+  reconcileDocument,
+  reconcileAllCounters,
+  backfillBadgeCounters,
+};
@@ -0,0 +1,24 @@
+/**
+ * One-off backfill of users/{uid}/counters/badge. Notifications that were
+ * unread before the badge triggers were deployed aren't in the counter, so
+ * reading them would take it below zero. Run once, right after deploying.
+ *
+ * Usage (from functions/, with application default credentials):
+ *   npm run backfill:badge-counters
+ */
+
+const admin = require("firebase-admin");
+
+admin.initializeApp();
+
+const {backfillBadgeCounters} = require("../reconcileCounters");
+
+backfillBadgeCounters({log: (line) => console.log(line)})
+    .then(({scanned, corrected}) => {
+      console.log(`Done: ${corrected} of ${scanned} badge counters corrected`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Backfill failed:", error);
+      process.exit(1);
+    });
@@ -0,0 +1,24 @@
+/**
+ * One-off backfill of createdAt on collections created before the app set
+ * it. Profile pages and the profile API order collections by createdAt, so
+ * collections without it don't show up there.
+ *
+ * Usage (from functions/, with application default credentials):
+ *   npm run backfill:collection-created-at
+ */
+
+const admin = require("firebase-admin");
+
+admin.initializeApp();
+
+const {backfillCollectionCreatedAt} = require("../collectionPreviews");
+
+backfillCollectionCreatedAt({log: (line) => console.log(line)})
+    .then(({updated, skipped}) => {
+      console.log(`Done: ${updated} collections updated, ${skipped} skipped`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Backfill failed:", error);
+      process.exit(1);
+    });
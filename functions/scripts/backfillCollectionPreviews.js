@@ -0,0 +1,23 @@
+/**
+ * One-off backfill of previewPosts and postCount on existing collections.
+ * New writes are kept up to date by onPostWrittenUpdateCollectionPreview.
+ *
+ * Usage (from functions/, with application default credentials):
+ *   npm run backfill:collection-previews
+ */
+
+const admin = require("firebase-admin");
+
+admin.initializeApp();
+
+const {backfillCollectionPreviews} = require("../collectionPreviews");
+
+backfillCollectionPreviews({log: (line) => console.log(line)})
+    .then(({updated, failed}) => {
+      console.log(`Done: ${updated} collections updated, ${failed} failed`);
+      process.exit(failed > 0 ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error("Backfill failed:", error);
+      process.exit(1);
+    });
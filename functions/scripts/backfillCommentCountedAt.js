@@ -0,0 +1,24 @@
+/**
+ * One-off backfill of comments.countedAt for comments the app counted before
+ * the comment count triggers. Without it, deleting one of them would leave
+ * the post's commentCount too high. Run once, right after deploying.
+ *
+ * Usage (from functions/, with application default credentials):
+ *   npm run backfill:comment-counted-at
+ */
+
+const admin = require("firebase-admin");
+
+admin.initializeApp();
+
+const {backfillCommentCountedAt} = require("../commentCounts");
+
+backfillCommentCountedAt({log: (line) => console.log(line)})
+    .then(({updated, skipped}) => {
+      console.log(`Done: ${updated} comments marked, ${skipped} skipped`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Backfill failed:", error);
+      process.exit(1);
+    });
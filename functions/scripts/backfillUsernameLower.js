@@ -0,0 +1,23 @@
+/**
+ * One-off backfill of users.usernameLower for case-insensitive profile URLs.
+ * New writes are kept up to date by onUsernameWritten.
+ *
+ * Usage (from functions/, with application default credentials):
+ *   npm run backfill:username-lower
+ */
+
+const admin = require("firebase-admin");
+
+admin.initializeApp();
+
+const {backfillUsernameLower} = require("../usernames");
+
+backfillUsernameLower({log: (line) => console.log(line)})
+    .then(({updated, skipped}) => {
+      console.log(`Done: ${updated} users updated, ${skipped} already current`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Backfill failed:", error);
+      process.exit(1);
+    });
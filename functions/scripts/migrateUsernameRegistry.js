@@ -0,0 +1,29 @@
+/**
+ * One-off migration that fills the usernames/{normalized} registry from
+ * existing users and reports usernames held by more than one account.
+ *
+ * Usage (from functions/, with application default credentials):
+ *   npm run migrate:username-registry -- --dry-run
+ *   npm run migrate:username-registry
+ */
+
+const admin = require("firebase-admin");
+
+admin.initializeApp();
+
+const {migrateUsernameRegistry} = require("../usernames");
+
+const dryRun = process.argv.includes("--dry-run");
+
+migrateUsernameRegistry({dryRun, log: (line) => console.log(line)})
+    .then((report) => {
+      console.log(JSON.stringify(report, null, 2));
+      console.log(`${dryRun ? "Dry run: would register" : "Registered"} ` +
+        `${report.registered} usernames, ${report.collisions.length} ` +
+        `collisions, ${report.invalid.length} invalid`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Migration failed:", error);
+      process.exit(1);
+    });
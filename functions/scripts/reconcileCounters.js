@@ -0,0 +1,40 @@
+/**
+ * Recomputes counters from their sources and fixes any drift, on demand.
+ * The same reconciliation runs nightly as the reconcileCounters function.
+ *
+ * Usage (from functions/, with application default credentials):
+ *   npm run reconcile:counters -- posts/{postId}
+ *   npm run reconcile:counters -- collections/{collectionId}
+ *   npm run reconcile:counters -- chat_rooms/{chatId}
+ *   npm run reconcile:counters -- users/{uid}      (badge counter)
+ *   npm run reconcile:counters    (finishes the nightly pass, no time limit)
+ */
+
+const admin = require("firebase-admin");
+
+admin.initializeApp();
+
+const {
+  reconcileDocument,
+  reconcileAllCounters,
+} = require("../reconcileCounters");
+
+const path = process.argv[2];
+
+const run = path ?
+  reconcileDocument(path) :
+  reconcileAllCounters(Infinity).then((results) => Object.values(results)
+      .flatMap((result) => result.drift));
+
+run
+    .then((drift) => {
+      drift.forEach((d) => {
+        console.log(`${d.path} ${d.field}: ${d.actual} -> ${d.expected}`);
+      });
+      console.log(`Done: ${drift.length} counters corrected`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Reconciliation failed:", error);
+      process.exit(1);
+    });
@@ -0,0 +1,156 @@
+const {PROJECT_ID, hasEmulator, clearFirestore} = require("./helpers");
+const {
+  DEFAULT_ENGAGEMENT_CONFIG,
+  resolveEngagementConfig,
+  computeEngagementScore,
+  scorePostData,
+} = require("../engagementScore");
+
+const config = {
+  likeWeight: 3,
+  commentWeight: 5,
+  viewWeight: 0.1,
+  halfLifeHours: 24,
+  activeWindowDays: 7,
+};
+
+describe("computeEngagementScore", () => {
+  it("weights likes, comments and views", () => {
+    const score = computeEngagementScore(
+        {likeCount: 2, commentCount: 1, viewCount: 30}, 0, config,
+    );
+    expect(score.rawScore).toBeCloseTo(2 * 3 + 1 * 5 + 30 * 0.1);
+    expect(score.recencyFactor).toBe(1);
+    expect(score.engagementScore).toBeCloseTo(14);
+  });
+
+  it("treats missing counts as zero", () => {
+    expect(computeEngagementScore({likeCount: 1}, 0, config).rawScore)
+        .toBe(3);
+    expect(computeEngagementScore({}, 0, config).engagementScore).toBe(0);
+  });
+
+  it("halves the score every half-life", () => {
+    const counts = {likeCount: 10};
+    expect(computeEngagementScore(counts, 24, config).engagementScore)
+        .toBeCloseTo(15);
+    expect(computeEngagementScore(counts, 48, config).engagementScore)
+        .toBeCloseTo(7.5);
+    expect(computeEngagementScore(counts, 12, config).recencyFactor)
+        .toBeCloseTo(Math.SQRT1_2);
+  });
+
+  it("doesn't boost posts dated in the future", () => {
+    expect(computeEngagementScore({likeCount: 1}, -5, config).recencyFactor)
+        .toBe(1);
+  });
+
+  it("matches the original exp(-hours / 48) curve by default", () => {
+    const {recencyFactor} = computeEngagementScore(
+        {likeCount: 1}, 30, DEFAULT_ENGAGEMENT_CONFIG,
+    );
+    expect(recencyFactor).toBeCloseTo(Math.exp(-30 / 48));
+  });
+});
+
+describe("scorePostData", () => {
+  it("ages the post from createdAt", () => {
+    const now = Date.UTC(2026, 0, 2);
+    const createdAt = {toMillis: () => now - 24 * 3600000};
+    const {engagementScore} = scorePostData(
+        {likeCount: 10, createdAt}, config, now,
+    );
+    expect(engagementScore).toBeCloseTo(15);
+  });
+
+  it("scores a post without createdAt as new", () => {
+    expect(scorePostData({likeCount: 1}, config, 0).recencyFactor).toBe(1);
+  });
+});
+
+describe("resolveEngagementConfig", () => {
+  it("uses the defaults without a config doc", () => {
+    expect(resolveEngagementConfig(null)).toEqual(DEFAULT_ENGAGEMENT_CONFIG);
+    expect(resolveEngagementConfig({})).toEqual(DEFAULT_ENGAGEMENT_CONFIG);
+  });
+
+  it("overrides the fields that are set", () => {
+    expect(resolveEngagementConfig({likeWeight: 1, halfLifeHours: 12}))
+        .toEqual({
+          ...DEFAULT_ENGAGEMENT_CONFIG,
+          likeWeight: 1,
+          halfLifeHours: 12,
+        });
+  });
+
+  it("allows a weight of zero", () => {
+    expect(resolveEngagementConfig({viewWeight: 0}).viewWeight).toBe(0);
+  });
+
+  it("ignores invalid values", () => {
+    expect(resolveEngagementConfig({
+      likeWeight: "4",
+      commentWeight: -1,
+      viewWeight: NaN,
+      halfLifeHours: 0,
+      activeWindowDays: Infinity,
+      unknownField: 2,
+    })).toEqual(DEFAULT_ENGAGEMENT_CONFIG);
+  });
+});
+
+const describeWithEmulator = hasEmulator ? describe : describe.skip;
+
+describeWithEmulator("getEngagementConfig (emulator)", () => {
+  let admin;
+  let getEngagementConfig;
+
+  // Fresh modules per test, so the config cache starts empty
+  beforeEach(async () => {
+    jest.resetModules();
+    admin = require("firebase-admin");
+    admin.initializeApp({projectId: PROJECT_ID});
+    ({getEngagementConfig} = require("../engagementScore"));
+    await clearFirestore();
+  });
+
+  afterEach(async () => {
+    await admin.app().delete();
+  });
+
+  it("uses the defaults when config/engagementScore is missing", async () => {
+    expect(await getEngagementConfig()).toEqual(DEFAULT_ENGAGEMENT_CONFIG);
+  });
+
+  it("reads overrides from config/engagementScore", async () => {
+    await admin.firestore().doc("config/engagementScore").set({
+      commentWeight: 8,
+      activeWindowDays: 3,
+    });
+    expect(await getEngagementConfig()).toEqual({
+      ...DEFAULT_ENGAGEMENT_CONFIG,
+      commentWeight: 8,
+      activeWindowDays: 3,
+    });
+  });
+
+  it("falls back to the defaults for invalid fields", async () => {
+    await admin.firestore().doc("config/engagementScore").set({
+      likeWeight: -3,
+      halfLifeHours: "a day",
+      viewWeight: 0.5,
+    });
+    expect(await getEngagementConfig()).toEqual({
+      ...DEFAULT_ENGAGEMENT_CONFIG,
+      viewWeight: 0.5,
+    });
+  });
+
+  it("reuses the config it read for a minute", async () => {
+    const first = await getEngagementConfig();
+    await admin.firestore().doc("config/engagementScore").set({
+      likeWeight: 1,
+    });
+    expect(await getEngagementConfig()).toBe(first);
+  });
+});
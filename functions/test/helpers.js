@@ -0,0 +1,56 @@
+/**
+ * Shared test setup
+ *
+ * Suites that read or write Firestore run against the emulator and are
+ * skipped without one. `npm run test:emulator` starts it and runs every
+ * suite; plain `npm test` only runs the ones that need no backend.
+ */
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || "demo-coy";
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || "";
+
+// Whether Firestore calls go to an emulator
+const hasEmulator = EMULATOR_HOST !== "";
+
+/**
+ * Deletes every document in the emulator's database
+ * @return {Promise<void>}
+ */
+async function clearFirestore() {
+  const response = await fetch(
+      `http://${EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}` +
+      "/databases/(default)/documents",
+      {method: "DELETE"},
+  );
+  if (!response.ok) {
+    throw new Error(`Could not clear Firestore: ${response.status}`);
+  }
+}
+
+/**
+ * Runs a Firestore trigger for a write: reads the document, applies the
+ * write, reads it again and passes both snapshots to the wrapped trigger
+ * @param {Function} wrapped Trigger wrapped by firebase-functions-test
+ * @param {Object} ref DocumentReference written
+ * @param {?Object} data New document data, or null to delete it
+ * @param {Object} params Path parameters of the trigger
+ * @param {Object} test firebase-functions-test instance
+ * @return {Promise<*>} The trigger's result
+ */
+async function writeAndTrigger(wrapped, ref, data, params, test) {
+  const before = await ref.get();
+  if (data) {
+    await ref.set(data);
+  } else {
+    await ref.delete();
+  }
+  const after = await ref.get();
+  return wrapped({data: test.makeChange(before, after), params});
+}
+
+module.exports = {
+  PROJECT_ID,
+  hasEmulator,
+  clearFirestore,
+  writeAndTrigger,
+};
@@ -0,0 +1,256 @@
+const {
+  PROJECT_ID,
+  hasEmulator,
+  clearFirestore,
+  writeAndTrigger,
+} = require("./helpers");
+const {
+  profileETag,
+  getCachedPage,
+  setCachedPage,
+} = require("../profileCache");
+
+describe("profileETag", () => {
+  it("changes with the profile version", () => {
+    expect(profileETag("u1", 3)).toMatch(/^W\/"u1-3-/);
+    expect(profileETag("u1", 3)).toBe(profileETag("u1", 3));
+    expect(profileETag("u1", 4)).not.toBe(profileETag("u1", 3));
+  });
+});
+
+describe("page cache", () => {
+  it("hits only at the version the page was rendered at", () => {
+    setCachedPage("page:hit", 2, "<p>v2</p>");
+    expect(getCachedPage("page:hit", 2)).toBe("<p>v2</p>");
+    expect(getCachedPage("page:hit", 3)).toBeNull();
+    expect(getCachedPage("page:missing", 2)).toBeNull();
+  });
+
+  it("evicts the least recently used page when full", () => {
+    setCachedPage("page:kept", 1, "kept");
+    for (let i = 0; i < 199; i++) {
+      setCachedPage(`page:filler-${i}`, 1, "filler");
+    }
+    // Reading makes it the most recently used
+    expect(getCachedPage("page:kept", 1)).toBe("kept");
+    setCachedPage("page:new", 1, "new");
+
+    expect(getCachedPage("page:kept", 1)).toBe("kept");
+    expect(getCachedPage("page:filler-0", 1)).toBeNull();
+    expect(getCachedPage("page:new", 1)).toBe("new");
+  });
+});
+
+const describeWithEmulator = hasEmulator ? describe : describe.skip;
+
+describeWithEmulator("profile caching (emulator)", () => {
+  let test;
+  let functions;
+  let admin;
+  let server;
+  let baseURL;
+
+  beforeAll(async () => {
+    test = require("firebase-functions-test")({projectId: PROJECT_ID});
+    functions = require("../index");
+    admin = require("firebase-admin");
+    const app = require("../profileServer");
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    test.cleanup();
+  });
+
+  beforeEach(async () => {
+    await clearFirestore();
+    const db = admin.firestore();
+    await db.collection("users").doc("u1").set({
+      username: "ana",
+      usernameLower: "ana",
+      name: "Ana",
+    });
+    await db.collection("collections").doc("c1").set({
+      ownerId: "u1",
+      name: "Trips",
+      isPublic: true,
+      createdAt: admin.firestore.Timestamp.now(),
+      previewPosts: [],
+      postCount: 0,
+    });
+  });
+
+  /**
+   * Requests a page from the profile server
+   * @param {string} path URL path
+   * @param {?string} etag Sent as If-None-Match
+   * @return {Promise<Response>} Response
+   */
+  function get(path, etag) {
+    return fetch(baseURL + path, {
+      headers: etag ? {"If-None-Match": etag} : {},
+      redirect: "manual",
+    });
+  }
+
+  /**
+   * Reads a user's profile version stamp
+   * @param {string} userId User ID
+   * @return {Promise<number>} Version (0 if never bumped)
+   */
+  async function version(userId) {
+    const doc = await admin.firestore()
+        .collection("profile_versions")
+        .doc(userId)
+        .get();
+    return doc.exists ? doc.get("version") : 0;
+  }
+
+  it("answers 304 to a matching ETag", async () => {
+    const first = await get("/api/users/ana");
+    expect(first.status).toBe(200);
+    const etag = first.headers.get("etag");
+    expect(etag).toBe(profileETag("u1", 0));
+
+    const second = await get("/api/users/ana", etag);
+    expect(second.status).toBe(304);
+    expect(second.headers.get("etag")).toBe(etag);
+  });
+
+  it("answers 200 to an outdated ETag", async () => {
+    const response = await get("/api/users/ana", profileETag("u1", 99));
+    expect(response.status).toBe(200);
+    expect(response.headers.get("etag")).toBe(profileETag("u1", 0));
+  });
+
+  it("serves the rendered page from cache until the version changes",
+      async () => {
+        const userRef = admin.firestore().collection("users").doc("u1");
+        const first = await get("/ana");
+        expect(first.status).toBe(200);
+        expect(await first.text()).toContain("Ana - COY");
+
+        // Changed without running the trigger: still the cached render
+        const before = await userRef.get();
+        await userRef.update({name: "Anna"});
+        const cached = await get("/ana");
+        expect(cached.headers.get("etag")).toBe(first.headers.get("etag"));
+        expect(await cached.text()).toContain("Ana - COY");
+
+        const after = await userRef.get();
+        await test.wrap(functions.onUserWrittenBumpProfileVersion)({
+          data: test.makeChange(before, after),
+          params: {userId: "u1"},
+        });
+        const fresh = await get("/ana", first.headers.get("etag"));
+        expect(fresh.status).toBe(200);
+        expect(fresh.headers.get("etag")).toBe(profileETag("u1", 1));
+        expect(await fresh.text()).toContain("Anna - COY");
+      });
+
+  it("invalidates after a user write", async () => {
+    const etag = (await get("/api/users/ana")).headers.get("etag");
+
+    await writeAndTrigger(
+        test.wrap(functions.onUserWrittenBumpProfileVersion),
+        admin.firestore().collection("users").doc("u1"),
+        {username: "ana", usernameLower: "ana", name: "Ana", bio: "Hi"},
+        {userId: "u1"},
+        test,
+    );
+    expect(await version("u1")).toBe(1);
+
+    const response = await get("/api/users/ana", etag);
+    expect(response.status).toBe(200);
+    expect(response.headers.get("etag")).toBe(profileETag("u1", 1));
+    expect((await response.json()).user.bio).toBe("Hi");
+  });
+
+  it("doesn't bump for user fields the page doesn't show", async () => {
+    await writeAndTrigger(
+        test.wrap(functions.onUserWrittenBumpProfileVersion),
+        admin.firestore().collection("users").doc("u1"),
+        {username: "ana", usernameLower: "ana", name: "Ana", lastSeen: 1},
+        {userId: "u1"},
+        test,
+    );
+    expect(await version("u1")).toBe(0);
+  });
+
+  it("invalidates after a collection write", async () => {
+    const etag = (await get("/api/users/ana")).headers.get("etag");
+    const collectionRef = admin.firestore().collection("collections")
+        .doc("c1");
+    const data = (await collectionRef.get()).data();
+
+    await writeAndTrigger(
+        test.wrap(functions.onCollectionWrittenBumpProfileVersion),
+        collectionRef,
+        {...data, name: "Road trips"},
+        {collectionId: "c1"},
+        test,
+    );
+    expect(await version("u1")).toBe(1);
+
+    const response = await get("/api/users/ana", etag);
+    expect(response.status).toBe(200);
+    expect(response.headers.get("etag")).toBe(profileETag("u1", 1));
+    expect((await response.json()).collections[0].name).toBe("Road trips");
+  });
+
+  it("bumps both owners when a collection changes hands", async () => {
+    const collectionRef = admin.firestore().collection("collections")
+        .doc("c1");
+    const data = (await collectionRef.get()).data();
+
+    await writeAndTrigger(
+        test.wrap(functions.onCollectionWrittenBumpProfileVersion),
+        collectionRef,
+        {...data, ownerId: "u2"},
+        {collectionId: "c1"},
+        test,
+    );
+    expect(await version("u1")).toBe(1);
+    expect(await version("u2")).toBe(1);
+  });
+
+  it("invalidates after a post write", async () => {
+    const etag = (await get("/api/users/ana")).headers.get("etag");
+
+    await writeAndTrigger(
+        test.wrap(functions.onPostWrittenBumpProfileVersion),
+        admin.firestore().collection("posts").doc("p1"),
+        {
+          collectionId: "c1",
+          authorId: "u2",
+          createdAt: admin.firestore.Timestamp.now(),
+        },
+        {postId: "p1"},
+        test,
+    );
+    expect(await version("u1")).toBe(1);
+    // The author's own profile doesn't show the post
+    expect(await version("u2")).toBe(0);
+
+    const response = await get("/api/users/ana", etag);
+    expect(response.status).toBe(200);
+    expect(response.headers.get("etag")).toBe(profileETag("u1", 1));
+  });
+
+  it("bumps the collection owner when a post is deleted", async () => {
+    const postRef = admin.firestore().collection("posts").doc("p1");
+    await postRef.set({collectionId: "c1", collectionOwnerId: "u1"});
+
+    await writeAndTrigger(
+        test.wrap(functions.onPostWrittenBumpProfileVersion),
+        postRef,
+        null,
+        {postId: "p1"},
+        test,
+    );
+    expect(await version("u1")).toBe(1);
+  });
+});
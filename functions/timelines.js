@@ -0,0 +1,336 @@
+/**
+ * Home feed timelines
+ *
+ * New posts are fanned out on write into timelines/{uid}/items/{postId} for
+ * every follower and member of the post's collection. Collections whose
+ * audience is too large to fan out are flagged with timelineFanout: "read"
+ * and queried directly when the feed is read instead.
+ *
+ * timelines/{uid} itself records when the timeline was first built, so
+ * existing users get theirs built lazily on their first feed request.
+ *
+ * Posts without createdAt are left out: the feed pages by createdAt and
+ * couldn't resume after them.
+ */
+
+const admin = require("firebase-admin");
+
+const TIMELINES_COLLECTION = "timelines";
+
+// Audiences larger than this are read at feed time instead of fanned out
+const FANOUT_WRITE_LIMIT = 5000;
+
+// Newest posts copied in when a collection is followed or joined
+const BACKFILL_POSTS_PER_COLLECTION = 50;
+
+// Firestore "in" filters accept at most 30 values
+const IN_QUERY_LIMIT = 30;
+
+/**
+ * Collections whose posts belong in a user's home feed
+ * @param {Object} userData User document data
+ * @return {Array<string>} Followed and member-of collection IDs
+ */
+function getFeedSourceCollectionIds(userData) {
+  // The app writes followedCollectionIds; followedCollections is the old name
+  const followed = userData.followedCollectionIds ||
+    userData.followedCollections || [];
+  const memberOf = userData.collections || [];
+  return [...new Set([...followed, ...memberOf])];
+}
+
+/**
+ * Users who should see a collection's posts
+ * @param {Object} collectionData Collection document data
+ * @return {Array<string>} Follower and member user IDs
+ */
+function getCollectionAudience(collectionData) {
+  return [...new Set([
+    ...(collectionData.followers || []),
+    ...(collectionData.members || []),
+    ...(collectionData.owners || []),
+    collectionData.ownerId,
+  ].filter(Boolean))];
+}
+
+/**
+ * Reference to a user's timeline items
+ * @param {string} uid User ID
+ * @return {Object} CollectionReference
+ */
+function timelineItems(uid) {
+  return admin.firestore()
+      .collection(TIMELINES_COLLECTION)
+      .doc(uid)
+      .collection("items");
+}
+
+/**
+ * The fields copied into a timeline item
+ * @param {string} postId Post document ID
+ * @param {Object} postData Post document data
+ * @param {Object} collectionData Collection the post is in
+ * @return {Object} Timeline item data
+ */
+function timelineItem(postId, postData, collectionData) {
+  return {
+    postId,
+    collectionId: postData.collectionId,
+    authorId: postData.authorId || null,
+    collectionOwnerId: collectionData.ownerId || null,
+    createdAt: postData.createdAt,
+  };
+}
+
+/**
+ * Fans a new post out to its collection's audience.
+ * Large collections are flagged for fan-out-on-read instead.
+ * @param {string} postId Post document ID
+ * @param {Object} postData Post document data
+ * @return {Promise<Object>} {mode: "write"|"read"|"skipped", count}
+ */
+async function fanOutPost(postId, postData) {
+  if (!postData.collectionId || !postData.createdAt) {
+    return {mode: "skipped", count: 0};
+  }
+  const db = admin.firestore();
+  const collectionRef = db.collection("collections").doc(postData.collectionId);
+  const collectionDoc = await collectionRef.get();
+  if (!collectionDoc.exists) {
+    return {mode: "skipped", count: 0};
+  }
+
+  const collectionData = collectionDoc.data();
+  const audience = getCollectionAudience(collectionData);
+
+  if (audience.length > FANOUT_WRITE_LIMIT) {
+    if (collectionData.timelineFanout !== "read") {
+      await collectionRef.update({timelineFanout: "read"});
+    }
+    return {mode: "read", count: audience.length};
+  }
+
+  const item = timelineItem(postId, postData, collectionData);
+  const writer = db.bulkWriter();
+  for (const uid of audience) {
+    writer.set(timelineItems(uid).doc(postId), item);
+  }
+  await writer.close();
+  return {mode: "write", count: audience.length};
+}
+
+/**
+ * Removes a deleted post from every timeline it was fanned out to
+ * @param {string} postId Post document ID
+ * @return {Promise<number>} Number of timeline items removed
+ */
+async function removePostFromTimelines(postId) {
+  const db = admin.firestore();
+  const snapshot = await db.collectionGroup("items")
+      .where("postId", "==", postId)
+      .get();
+
+  const writer = db.bulkWriter();
+  snapshot.docs
+      .filter((doc) => doc.ref.parent.parent &&
+        doc.ref.parent.parent.parent.id === TIMELINES_COLLECTION)
+      .forEach((doc) => writer.delete(doc.ref));
+  await writer.close();
+  return snapshot.size;
+}
+
+/**
+ * Copies a collection's newest posts into a user's timeline (follow / join)
+ * @param {string} uid User ID
+ * @param {string} collectionId Collection document ID
+ * @return {Promise<number>} Number of items written
+ */
+async function backfillTimeline(uid, collectionId) {
+  const db = admin.firestore();
+  const collectionDoc = await db.collection("collections")
+      .doc(collectionId)
+      .get();
+  // Fan-out-on-read collections are merged in at read time
+  if (!collectionDoc.exists ||
+    collectionDoc.data().timelineFanout === "read") {
+    return 0;
+  }
+
+  const postsSnapshot = await db.collection("posts")
+      .where("collectionId", "==", collectionId)
+      .orderBy("createdAt", "desc")
+      .limit(BACKFILL_POSTS_PER_COLLECTION)
+      .get();
+
+  const writer = db.bulkWriter();
+  for (const postDoc of postsSnapshot.docs) {
+    writer.set(
+        timelineItems(uid).doc(postDoc.id),
+        timelineItem(postDoc.id, postDoc.data(), collectionDoc.data()),
+    );
+  }
+  await writer.close();
+  return postsSnapshot.size;
+}
+
+/**
+ * Deletes timeline items matching a field (unfollow, leave, block)
+ * @param {string} uid User ID
+ * @param {string} field "collectionId", "authorId" or "collectionOwnerId"
+ * @param {string} value Value to prune
+ * @return {Promise<number>} Number of items removed
+ */
+async function pruneTimeline(uid, field, value) {
+  const db = admin.firestore();
+  const snapshot = await timelineItems(uid).where(field, "==", value).get();
+
+  const writer = db.bulkWriter();
+  snapshot.docs.forEach((doc) => writer.delete(doc.ref));
+  await writer.close();
+  return snapshot.size;
+}
+
+/**
+ * Builds a user's timeline from scratch if it has never been built
+ * @param {string} uid User ID
+ * @param {Object} userData User document data
+ * @return {Promise<boolean>} True if the timeline was built now
+ */
+async function ensureTimelineBuilt(uid, userData) {
+  const timelineRef = admin.firestore()
+      .collection(TIMELINES_COLLECTION)
+      .doc(uid);
+  const timelineDoc = await timelineRef.get();
+  if (timelineDoc.exists) {
+    return false;
+  }
+
+  for (const collectionId of getFeedSourceCollectionIds(userData)) {
+    await backfillTimeline(uid, collectionId);
+  }
+  await timelineRef.set({
+    builtAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return true;
+}
+
+/**
+ * Sort order of the feed: newest first, post ID as the tie-breaker
+ * @param {Object} a Entry with createdAtMillis and id
+ * @param {Object} b Entry with createdAtMillis and id
+ * @return {number} Comparator result
+ */
+function compareNewestFirst(a, b) {
+  return b.createdAtMillis - a.createdAtMillis || (b.id < a.id ? -1 : 1);
+}
+
+/**
+ * Reads one page of a user's home feed, merging the fanned-out timeline
+ * with direct queries on any fan-out-on-read collections they follow
+ * @param {string} uid User ID
+ * @param {Object} userData User document data
+ * @param {Object} options
+ * @param {number} options.pageSize Posts per page
+ * @param {?string} options.lastPostId Last post of the previous page
+ * @return {Promise<Object>} {posts, hasMore, lastPostId}
+ */
+async function readHomeFeedPage(uid, userData, {pageSize, lastPostId}) {
+  const db = admin.firestore();
+  await ensureTimelineBuilt(uid, userData);
+
+  // Cursor: the previous page's last post
+  let cursor = null;
+  if (lastPostId) {
+    const lastPostDoc = await db.collection("posts").doc(lastPostId).get();
+    if (lastPostDoc.exists && lastPostDoc.data().createdAt) {
+      cursor = {doc: lastPostDoc, createdAt: lastPostDoc.data().createdAt};
+    }
+  }
+
+  // Fanned-out items (one extra to know whether there is another page)
+  let timelineQuery = timelineItems(uid)
+      .orderBy("createdAt", "desc")
+      .orderBy(admin.firestore.FieldPath.documentId(), "desc")
+      .limit(pageSize + 1);
+  if (cursor) {
+    timelineQuery = timelineQuery.startAfter(cursor.createdAt, cursor.doc.id);
+  }
+
+  // Followed collections that are too large to fan out
+  const sourceRefs = getFeedSourceCollectionIds(userData)
+      .map((id) => db.collection("collections").doc(id));
+  const sourceDocs = sourceRefs.length > 0 ?
+    await db.getAll(...sourceRefs, {fieldMask: ["timelineFanout"]}) : [];
+  const readModeIds = sourceDocs
+      .filter((doc) => doc.exists && doc.get("timelineFanout") === "read")
+      .map((doc) => doc.id);
+
+  const readQueries = [];
+  for (let i = 0; i < readModeIds.length; i += IN_QUERY_LIMIT) {
+    let query = db.collection("posts")
+        .where("collectionId", "in", readModeIds.slice(i, i + IN_QUERY_LIMIT))
+        .orderBy("createdAt", "desc")
+        .limit(pageSize + 1);
+    if (cursor) {
+      query = query.startAfter(cursor.doc);
+    }
+    readQueries.push(query.get());
+  }
+
+  const [timelineSnapshot, ...readSnapshots] = await Promise.all([
+    timelineQuery.get(),
+    ...readQueries,
+  ]);
+
+  const blocked = new Set([
+    ...(userData.blockedUsers || []),
+    ...(userData.blockedByUsers || []),
+  ]);
+
+  // Load the posts behind the timeline items (deleted posts drop out)
+  const postRefs = timelineSnapshot.docs.map(
+      (doc) => db.collection("posts").doc(doc.id),
+  );
+  const timelinePosts = postRefs.length > 0 ?
+    await db.getAll(...postRefs) : [];
+
+  const entries = new Map();
+  const addEntry = (postDoc) => {
+    if (!postDoc.exists || entries.has(postDoc.id)) {
+      return;
+    }
+    const postData = postDoc.data();
+    entries.set(postDoc.id, {
+      id: postDoc.id,
+      data: postData,
+      createdAtMillis: postData.createdAt && postData.createdAt.toMillis ?
+        postData.createdAt.toMillis() : 0,
+    });
+  };
+  timelinePosts.forEach(addEntry);
+  readSnapshots.forEach((snapshot) => snapshot.docs.forEach(addEntry));
+
+  const merged = [...entries.values()]
+      .filter((entry) => !blocked.has(entry.data.authorId))
+      .sort(compareNewestFirst);
+
+  const hasMore = merged.length > pageSize ||
+    timelineSnapshot.size > pageSize ||
+    readSnapshots.some((snapshot) => snapshot.size > pageSize);
+  const page = merged.slice(0, pageSize);
+
+  return {
+    posts: page.map((entry) => ({id: entry.id, ...entry.data})),
+    hasMore,
+    lastPostId: page.length > 0 ? page[page.length - 1].id : null,
+  };
+}
+
+module.exports = {
+  getFeedSourceCollectionIds,
+  fanOutPost,
+  removePostFromTimelines,
+  backfillTimeline,
+  pruneTimeline,
+  readHomeFeedPage,
+};
@@ -0,0 +1,202 @@
+/**
+ * Username + password sign-in
+ *
+ * The password is checked against Firebase Auth on the server and the client
+ * gets back a custom token, so a user's email is never sent to the client.
+ * Failed attempts are counted per IP and per username in login_attempts/,
+ * and too many failures lock the key out for a while.
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const {findUserByUsername, normalizeUsername} = require("./usernames");
+
+const LOGIN_ATTEMPTS_COLLECTION = "login_attempts";
+
+const IDENTITY_TOOLKIT_URL =
+  "https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword";
+
+// Failures allowed per window before a lockout
+const MAX_USERNAME_FAILURES = 5;
+const MAX_IP_FAILURES = 20;
+
+// Failures older than this are forgotten
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+// How long a username or IP stays locked once it hits the limit
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// Shared message so responses don't reveal whether the username exists
+const INVALID_CREDENTIALS_MESSAGE = "Incorrect username/email or password";
+
+// Looked up in place of a missing account, so unknown usernames take as long
+// to fail as wrong passwords (.invalid is a reserved TLD, never a real inbox)
+const DUMMY_UID = "username-login-placeholder";
+const DUMMY_EMAIL = "no-such-account@coy.invalid";
+
+/**
+ * Error thrown when a sign-in is refused
+ */
+class LoginError extends Error {
+  /**
+   * @param {string} code "invalid-credentials" or "locked-out"
+   * @param {string} message User-facing message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "LoginError";
+    this.code = code;
+  }
+}
+
+/**
+ * Hashes a rate-limit key so it is a safe document ID and raw IPs aren't stored
+ * @param {string} value Username or IP
+ * @return {string} Hex digest
+ */
+function hashKey(value) {
+  return crypto.createHash("sha256").update(value || "unknown").digest("hex");
+}
+
+/**
+ * Builds the login_attempts document references for a sign-in attempt
+ * @param {string} normalized Normalized username
+ * @param {string} ip Caller IP address
+ * @return {Array<Object>} [{ref, maxFailures}]
+ */
+function attemptRefs(normalized, ip) {
+  const attempts = admin.firestore().collection(LOGIN_ATTEMPTS_COLLECTION);
+  return [
+    {
+      ref: attempts.doc(`user_${hashKey(normalized)}`),
+      maxFailures: MAX_USERNAME_FAILURES,
+    },
+    {
+      ref: attempts.doc(`ip_${hashKey(ip)}`),
+      maxFailures: MAX_IP_FAILURES,
+    },
+  ];
+}
+
+/**
+ * Throws if any of the keys is currently locked out
+ * @param {Array<Object>} refs From attemptRefs
+ * @return {Promise<void>}
+ */
+async function assertNotLockedOut(refs) {
+  const docs = await Promise.all(refs.map(({ref}) => ref.get()));
+  const now = Date.now();
+  for (const doc of docs) {
+    const lockedUntil = doc.exists ? doc.data().lockedUntil : null;
+    if (lockedUntil && lockedUntil.toMillis() > now) {
+      throw new LoginError(
+          "locked-out",
+          "Too many failed attempts. Please try again later.",
+      );
+    }
+  }
+}
+
+/**
+ * Counts a failed attempt against each key, locking keys that hit the limit
+ * @param {Array<Object>} refs From attemptRefs
+ * @return {Promise<void>}
+ */
+async function recordFailure(refs) {
+  const db = admin.firestore();
+  await Promise.all(refs.map(({ref, maxFailures}) => db.runTransaction(
+      async (transaction) => {
+        const doc = await transaction.get(ref);
+        const now = Date.now();
+        const data = doc.exists ? doc.data() : {};
+        const windowStart = data.windowStart ? data.windowStart.toMillis() : 0;
+
+        // Start a new window once the old one has expired
+        const failures = now - windowStart < FAILURE_WINDOW_MS ?
+          (data.failures || 0) + 1 : 1;
+        const update = {
+          failures,
+          windowStart: failures === 1 ?
+            admin.firestore.Timestamp.fromMillis(now) : data.windowStart,
+          lastFailureAt: admin.firestore.FieldValue.serverTimestamp(),
+        };
+        if (failures >= maxFailures) {
+          update.lockedUntil = admin.firestore.Timestamp.fromMillis(
+              now + LOCKOUT_MS,
+          );
+          update.failures = 0;
+        }
+        transaction.set(ref, update, {merge: true});
+      },
+  )));
+}
+
+/**
+ * Checks an email/password pair with the Firebase Auth REST API
+ * @param {string} email Account email
+ * @param {string} password Password as entered
+ * @param {string} apiKey Web API key of the Firebase project
+ * @return {Promise<?string>} The account's uid, or null if it doesn't match
+ */
+async function verifyPassword(email, password, apiKey) {
+  const response = await fetch(`${IDENTITY_TOOLKIT_URL}?key=${apiKey}`, {
+    method: "POST",
+    headers: {"Content-Type": "application/json"},
+    body: JSON.stringify({email, password, returnSecureToken: false}),
+  });
+  if (response.ok) {
+    const body = await response.json();
+    return body.localId || null;
+  }
+
+  // INVALID_PASSWORD / INVALID_LOGIN_CREDENTIALS / USER_DISABLED etc.
+  if (response.status === 400) {
+    return null;
+  }
+  throw new Error(`Password check failed with HTTP ${response.status}`);
+}
+
+/**
+ * Signs a user in by username and password
+ * @param {Object} params
+ * @param {string} params.username Username in any casing
+ * @param {string} params.password Password as entered
+ * @param {string} params.ip Caller IP address (for rate limiting)
+ * @param {string} params.apiKey Web API key of the Firebase project
+ * @return {Promise<Object>} {token, userId} - token is a custom auth token
+ */
+async function signInWithUsername({username, password, ip, apiKey}) {
+  const normalized = normalizeUsername(username);
+  const refs = attemptRefs(normalized, ip);
+
+  await assertNotLockedOut(refs);
+
+  // The email comes from Auth (not the user doc) and never leaves the server.
+  // Unknown usernames make the same Auth and password calls against
+  // placeholders, so timing doesn't reveal which usernames exist.
+  const userDoc = await findUserByUsername(normalized);
+  const authUser = await admin.auth()
+      .getUser(userDoc ? userDoc.id : DUMMY_UID)
+      .catch(() => null);
+  const hasEmail = Boolean(authUser && authUser.email);
+  const uid = await verifyPassword(
+      hasEmail ? authUser.email : DUMMY_EMAIL, password, apiKey,
+  );
+
+  // Unknown usernames count as failures too, so they can't be probed freely
+  if (!hasEmail || !uid || uid !== authUser.uid) {
+    await recordFailure(refs);
+    throw new LoginError("invalid-credentials", INVALID_CREDENTIALS_MESSAGE);
+  }
+
+  // A successful sign-in clears the username's failure count (not the IP's)
+  await refs[0].ref.delete();
+
+  const token = await admin.auth().createCustomToken(uid);
+  return {token, userId: uid};
+}
+
+module.exports = {
+  LoginError,
+  signInWithUsername,
+};
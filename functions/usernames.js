@@ -0,0 +1,528 @@
+/**
+ * Username lookup helpers
+ *
+ * Usernames resolve case-insensitively through users.usernameLower. When a
+ * user renames, their former handle is kept in username_history/{normalized}
+ * so old links keep working for a grace period, until someone else claims it.
+ *
+ * Uniqueness is enforced by the usernames/{normalized} registry, which is only
+ * written in transactions by claimUsername/changeUsername. Clients can't write
+ * username themselves; users.username keeps the casing the user chose.
+ */
+
+const admin = require("firebase-admin");
+
+const USERNAME_HISTORY_COLLECTION = "username_history";
+const USERNAMES_COLLECTION = "usernames";
+
+// Same limits as the app's sign-up validation (AuthViewModel.validateUsername)
+const USERNAME_MAX_LENGTH = 30;
+const USERNAME_PATTERN = /^[\p{L}\p{N}._]+$/u;
+
+// Paths profileServer serves itself, so they can never be profile URLs
+const RESERVED_USERNAMES = new Set([
+  "terms",
+  "privacy",
+  "profile",
+  "preview",
+  "health",
+  "api",
+  "c",
+  "p",
+]);
+
+// Minimum time between username changes
+const USERNAME_CHANGE_COOLDOWN_DAYS = 14;
+
+// How long a former handle keeps redirecting to its previous owner
+const USERNAME_HISTORY_GRACE_DAYS = 90;
+
+// Users processed per page by the backfill
+const BACKFILL_PAGE_SIZE = 200;
+
+/**
+ * Error thrown when a username can't be claimed or changed
+ */
+class UsernameError extends Error {
+  /**
+   * @param {string} code "invalid-argument", "already-exists" or
+   *   "failed-precondition"
+   * @param {string} message User-facing message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "UsernameError";
+    this.code = code;
+  }
+}
+
+/**
+ * Normalizes a username for lookups (matches the app's lowercased/trimmed form)
+ * @param {string} username Username in any casing
+ * @return {string} Normalized username
+ */
+function normalizeUsername(username) {
+  return String(username || "").trim().toLowerCase();
+}
+
+/**
+ * Whether a username collides with a route profileServer handles itself
+ * @param {string} username Username in any casing
+ * @return {boolean} True for reserved names and names starting with "_" or "."
+ */
+function isReservedUsername(username) {
+  const normalized = normalizeUsername(username);
+  return RESERVED_USERNAMES.has(normalized) ||
+    normalized.startsWith("_") ||
+    normalized.startsWith(".");
+}
+
+/**
+ * Validates a username for claimUsername/changeUsername
+ * @param {string} username Username as entered
+ * @return {?string} Error message, or null when the username is valid
+ */
+function validateUsername(username) {
+  const normalized = normalizeUsername(username);
+  if (!normalized) {
+    return "Username is required";
+  }
+  if ([...normalized].length > USERNAME_MAX_LENGTH) {
+    return `Username must be ${USERNAME_MAX_LENGTH} characters or less`;
+  }
+  if (!USERNAME_PATTERN.test(normalized)) {
+    return "Username cannot contain emojis or symbols";
+  }
+  if (isReservedUsername(normalized)) {
+    return "This username is not available";
+  }
+  return null;
+}
+
+/**
+ * Finds the user who currently holds a username, in any casing
+ * @param {string} username Username as typed or linked
+ * @return {Promise<?Object>} User document snapshot, or null
+ */
+async function findUserByUsername(username) {
+  const normalized = normalizeUsername(username);
+  if (!normalized) {
+    return null;
+  }
+  const users = admin.firestore().collection("users");
+
+  const snapshot = await users
+      .where("usernameLower", "==", normalized)
+      .limit(1)
+      .get();
+  if (!snapshot.empty) {
+    return snapshot.docs[0];
+  }
+
+  // Users written before usernameLower existed (see backfillUsernameLower)
+  for (const candidate of new Set([username, normalized])) {
+    const legacySnapshot = await users
+        .where("username", "==", candidate)
+        .limit(1)
+        .get();
+    if (!legacySnapshot.empty) {
+      return legacySnapshot.docs[0];
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the user who recently gave up a username
+ * @param {string} username Former username in any casing
+ * @return {Promise<?string>} User ID, or null if unknown or expired
+ */
+async function findFormerUsernameOwner(username) {
+  const normalized = normalizeUsername(username);
+  if (!normalized) {
+    return null;
+  }
+
+  const historyDoc = await admin.firestore()
+      .collection(USERNAME_HISTORY_COLLECTION)
+      .doc(normalized)
+      .get();
+  if (!historyDoc.exists) {
+    return null;
+  }
+
+  const history = historyDoc.data();
+  if (!history.expiresAt || history.expiresAt.toMillis() <= Date.now()) {
+    return null;
+  }
+  return history.userId || null;
+}
+
+/**
+ * Records a former username so it redirects to its owner for the grace period
+ * @param {string} userId User who renamed
+ * @param {string} oldUsername The handle they gave up
+ * @return {Promise<void>}
+ */
+async function recordFormerUsername(userId, oldUsername) {
+  const normalized = normalizeUsername(oldUsername);
+  if (!normalized) {
+    return;
+  }
+  const expiresAt = admin.firestore.Timestamp.fromMillis(
+      Date.now() + USERNAME_HISTORY_GRACE_DAYS * 24 * 60 * 60 * 1000,
+  );
+
+  await admin.firestore()
+      .collection(USERNAME_HISTORY_COLLECTION)
+      .doc(normalized)
+      .set({
+        userId,
+        username: oldUsername,
+        changedAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt,
+      });
+}
+
+/**
+ * Drops the history record for a username once it is claimed again
+ * @param {string} username The newly claimed handle
+ * @return {Promise<void>}
+ */
+async function clearFormerUsername(username) {
+  const normalized = normalizeUsername(username);
+  if (!normalized) {
+    return;
+  }
+  await admin.firestore()
+      .collection(USERNAME_HISTORY_COLLECTION)
+      .doc(normalized)
+      .delete();
+}
+
+/**
+ * Reserves a username for a user who doesn't have one yet (sign-up)
+ * @param {string} userId Caller's user ID
+ * @param {string} username Requested username
+ * @return {Promise<string>} The username now held by the user, as typed
+ */
+async function claimUsername(userId, username) {
+  const validationError = validateUsername(username);
+  if (validationError) {
+    throw new UsernameError("invalid-argument", validationError);
+  }
+  const displayName = String(username).trim();
+  const normalized = normalizeUsername(username);
+  const db = admin.firestore();
+  const registryRef = db.collection(USERNAMES_COLLECTION).doc(normalized);
+  const userRef = db.collection("users").doc(userId);
+
+  await db.runTransaction(async (transaction) => {
+    const [registryDoc, userDoc] = await Promise.all([
+      transaction.get(registryRef),
+      transaction.get(userRef),
+    ]);
+
+    if (registryDoc.exists && registryDoc.data().userId !== userId) {
+      throw new UsernameError(
+          "already-exists", "This username is already registered",
+      );
+    }
+    const currentUsername = userDoc.exists ? userDoc.data().username : null;
+    if (currentUsername && normalizeUsername(currentUsername) !== normalized) {
+      throw new UsernameError(
+          "failed-precondition",
+          "Username already set - use changeUsername instead",
+      );
+    }
+
+    transaction.set(registryRef, {
+      userId,
+      claimedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    transaction.set(userRef, {
+      username: displayName,
+      usernameLower: normalized,
+    }, {merge: true});
+  });
+
+  return displayName;
+}
+
+/**
+ * Moves a user to a new username, releasing the old one. Changing only the
+ * casing keeps the registry entry and isn't subject to the cooldown.
+ * @param {string} userId Caller's user ID
+ * @param {string} username Requested username
+ * @return {Promise<string>} The username now held by the user, as typed
+ */
+async function changeUsername(userId, username) {
+  const validationError = validateUsername(username);
+  if (validationError) {
+    throw new UsernameError("invalid-argument", validationError);
+  }
+  const displayName = String(username).trim();
+  const normalized = normalizeUsername(username);
+  const db = admin.firestore();
+  const registryRef = db.collection(USERNAMES_COLLECTION).doc(normalized);
+  const userRef = db.collection("users").doc(userId);
+
+  await db.runTransaction(async (transaction) => {
+    const [registryDoc, userDoc] = await Promise.all([
+      transaction.get(registryRef),
+      transaction.get(userRef),
+    ]);
+
+    if (!userDoc.exists || !userDoc.data().username) {
+      throw new UsernameError(
+          "failed-precondition",
+          "No username to change - use claimUsername instead",
+      );
+    }
+    const userData = userDoc.data();
+    const oldNormalized = normalizeUsername(userData.username);
+    if (oldNormalized === normalized) {
+      if (userData.username === displayName) {
+        throw new UsernameError(
+            "failed-precondition", "That is already your username",
+        );
+      }
+      transaction.update(userRef, {username: displayName});
+      return;
+    }
+    if (registryDoc.exists && registryDoc.data().userId !== userId) {
+      throw new UsernameError(
+          "already-exists", "This username is already registered",
+      );
+    }
+
+    const lastChangedAt = userData.usernameChangedAt;
+    if (lastChangedAt) {
+      const nextChangeMillis = lastChangedAt.toMillis() +
+        USERNAME_CHANGE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000;
+      if (nextChangeMillis > Date.now()) {
+        const nextChange = new Date(nextChangeMillis).toISOString();
+        throw new UsernameError(
+            "failed-precondition",
+            `You can change your username again after ${nextChange}`,
+        );
+      }
+    }
+
+    // Only release the old name if the registry says it is ours
+    const oldRegistryRef = db.collection(USERNAMES_COLLECTION)
+        .doc(oldNormalized);
+    const oldRegistryDoc = await transaction.get(oldRegistryRef);
+    if (oldRegistryDoc.exists && oldRegistryDoc.data().userId === userId) {
+      transaction.delete(oldRegistryRef);
+    }
+
+    transaction.set(registryRef, {
+      userId,
+      claimedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    // onUsernameWritten records the old handle in username_history
+    transaction.update(userRef, {
+      username: displayName,
+      usernameLower: normalized,
+      usernameChangedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+
+  return displayName;
+}
+
+/**
+ * Frees a user's registry entry (e.g. when the account is deleted)
+ * @param {string} userId User ID
+ * @param {string} username Username the user held
+ * @return {Promise<void>}
+ */
+async function releaseUsername(userId, username) {
+  const normalized = normalizeUsername(username);
+  if (!normalized) {
+    return;
+  }
+  const db = admin.firestore();
+  const registryRef = db.collection(USERNAMES_COLLECTION).doc(normalized);
+
+  await db.runTransaction(async (transaction) => {
+    const registryDoc = await transaction.get(registryRef);
+    if (registryDoc.exists && registryDoc.data().userId === userId) {
+      transaction.delete(registryRef);
+    }
+  });
+}
+
+/**
+ * Populates the usernames registry from existing users.
+ * When several users share a normalized username, the oldest account keeps
+ * it and the rest are reported as collisions to be renamed by hand.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] Report only, write nothing
+ * @param {function(string): void} [options.log] Progress logger
+ * @return {Promise<Object>} Counts plus collisions and invalid names
+ */
+async function migrateUsernameRegistry(options = {}) {
+  const log = options.log || (() => {});
+  const db = admin.firestore();
+
+  const [usersSnapshot, registrySnapshot] = await Promise.all([
+    db.collection("users").select("username", "createdAt").get(),
+    db.collection(USERNAMES_COLLECTION).select("userId").get(),
+  ]);
+
+  const registry = new Map(registrySnapshot.docs.map(
+      (doc) => [doc.id, doc.data().userId],
+  ));
+
+  // normalized username -> users holding it, oldest first
+  const holders = new Map();
+  for (const doc of usersSnapshot.docs) {
+    const {username, createdAt} = doc.data();
+    const normalized = normalizeUsername(username);
+    if (!normalized) {
+      continue;
+    }
+    if (!holders.has(normalized)) {
+      holders.set(normalized, []);
+    }
+    holders.get(normalized).push({
+      userId: doc.id,
+      username,
+      createdAtMillis: createdAt && createdAt.toMillis ?
+        createdAt.toMillis() : Number.MAX_SAFE_INTEGER,
+    });
+  }
+
+  const report = {
+    registered: 0,
+    alreadyRegistered: 0,
+    collisions: [],
+    invalid: [],
+  };
+  let batch = db.batch();
+  let batchSize = 0;
+
+  for (const [normalized, users] of holders) {
+    users.sort((a, b) => a.createdAtMillis - b.createdAtMillis ||
+      a.userId.localeCompare(b.userId));
+
+    // Existing names are registered even if they'd fail today's validation
+    const validationError = validateUsername(normalized);
+    if (validationError) {
+      report.invalid.push({
+        username: normalized,
+        userIds: users.map((user) => user.userId),
+        reason: validationError,
+      });
+    }
+
+    const registeredUserId = registry.get(normalized);
+    const ownerId = registeredUserId || users[0].userId;
+    const others = users.filter((user) => user.userId !== ownerId);
+    if (others.length > 0) {
+      report.collisions.push({
+        username: normalized,
+        ownerId,
+        userIds: others.map((user) => user.userId),
+      });
+      log(`collision: ${normalized} kept by ${ownerId}, ` +
+        `also held by ${others.map((user) => user.userId).join(", ")}`);
+    }
+
+    if (registeredUserId) {
+      report.alreadyRegistered++;
+      continue;
+    }
+
+    report.registered++;
+    if (options.dryRun) {
+      continue;
+    }
+    batch.set(db.collection(USERNAMES_COLLECTION).doc(normalized), {
+      userId: ownerId,
+      claimedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    batchSize++;
+    if (batchSize === 500) {
+      await batch.commit();
+      batch = db.batch();
+      batchSize = 0;
+    }
+  }
+
+  if (batchSize > 0) {
+    await batch.commit();
+  }
+  return report;
+}
+
+/**
+ * Sets usernameLower on every user that is missing it or has a stale value
+ * @param {Object} [options]
+ * @param {number} [options.pageSize] Users read per page
+ * @param {function(string): void} [options.log] Progress logger
+ * @return {Promise<Object>} {updated, skipped}
+ */
+async function backfillUsernameLower(options = {}) {
+  const pageSize = options.pageSize || BACKFILL_PAGE_SIZE;
+  const log = options.log || (() => {});
+  const db = admin.firestore();
+  let updated = 0;
+  let skipped = 0;
+  let lastDoc = null;
+
+  for (;;) {
+    let query = db.collection("users")
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .select("username", "usernameLower")
+        .limit(pageSize);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = db.batch();
+    let batchSize = 0;
+    for (const doc of snapshot.docs) {
+      const {username, usernameLower} = doc.data();
+      const normalized = normalizeUsername(username);
+      if (!normalized || usernameLower === normalized) {
+        skipped++;
+        continue;
+      }
+      batch.update(doc.ref, {usernameLower: normalized});
+      batchSize++;
+      log(`${doc.id}: ${username} -> ${normalized}`);
+    }
+    if (batchSize > 0) {
+      await batch.commit();
+      updated += batchSize;
+    }
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return {updated, skipped};
+}
+
+module.exports = {
+  UsernameError,
+  normalizeUsername,
+  isReservedUsername,
+  validateUsername,
+  findUserByUsername,
+  findFormerUsernameOwner,
+  recordFormerUsername,
+  clearFormerUsername,
+  claimUsername,
+  changeUsername,
+  releaseUsername,
+  migrateUsernameRegistry,
+  backfillUsernameLower,
+};